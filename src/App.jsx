@@ -1,4 +1,105 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  addDays,
+  addDaysISO,
+  clamp,
+  endOfISOWeek,
+  endOfMonth,
+  fmtFull,
+  fmtMonthDay,
+  fmtShortWeekday,
+  hhmmToMinutes,
+  isoRange,
+  minutesToHHMM,
+  parseISODate,
+  startOfDay,
+  startOfISOWeek,
+  startOfMonth,
+  toISODate,
+  uid,
+} from "./lib/dates.js";
+import {
+  defaultRepeat,
+  normalizeRepeat,
+  occurrencesForDates,
+  parseOccurrenceId,
+  seriesFromEvent,
+  setException,
+  splitSeries,
+  truncateSeriesBefore,
+} from "./lib/recurrence.js";
+import RepeatFields from "./components/RepeatFields.jsx";
+import { IconButton, Modal, Pie, Pill, Section, Toast } from "./components/common.jsx";
+import IcsDialog from "./components/IcsDialog.jsx";
+import BackupDialog from "./components/BackupDialog.jsx";
+import { eventUID } from "./lib/ics.js";
+import { LS_KEY, buildPersistedPayload } from "./lib/persistence.js";
+import {
+  STORAGE_BACKENDS,
+  createStorageAdapter,
+  getBackendPreference,
+  hasIndexedDB,
+  switchStorageBackend,
+} from "./lib/storageBackend.js";
+import { migratePayload } from "./lib/schema.js";
+import { quarantinePayload, recordSnapshot } from "./lib/snapshots.js";
+import RestoreDialog from "./components/RestoreDialog.jsx";
+import { layoutDayEvents } from "./lib/layout.js";
+import {
+  DEFAULT_SCHEDULE,
+  completionForDays,
+  describeSchedule,
+  isHabitScheduledOn,
+  quotaProgress,
+  wantsDefaultBlock,
+} from "./lib/habitSchedule.js";
+import ScheduleFields from "./components/ScheduleFields.jsx";
+import HabitStatsDialog from "./components/HabitStatsDialog.jsx";
+import { currentStreak, streakUnitLabel } from "./lib/habitStats.js";
+import { isDoneValue, measuredValue, normalizeMeasure } from "./lib/habitMeasure.js";
+import MeasureFields from "./components/MeasureFields.jsx";
+import SettingsDialog from "./components/SettingsDialog.jsx";
+import { loadSettings, saveSettings } from "./lib/settings.js";
+import FocusTimerBar from "./components/FocusTimerBar.jsx";
+import { POMODORO, focusMinutes, loadTimer, pauseTimer, resumeTimer, saveTimer, startTimer } from "./lib/focusTimer.js";
+import TimeReportDialog from "./components/TimeReportDialog.jsx";
+import { actualMinutes, isTracking, nowMinutes } from "./lib/timeTracking.js";
+import {
+  DEFAULT_CATEGORIES,
+  UNCATEGORIZED_COLOR,
+  eventGroup,
+  findCategory,
+  patchCategoryUsers,
+} from "./lib/categories.js";
+import CategoryChart from "./components/CategoryChart.jsx";
+import CategoriesDialog from "./components/CategoriesDialog.jsx";
+import SearchDialog from "./components/SearchDialog.jsx";
+import TemplatesDialog from "./components/TemplatesDialog.jsx";
+import { buildTemplate } from "./lib/templates.js";
+import CopyPlanDialog from "./components/CopyPlanDialog.jsx";
+import { applyCopy, planCopy, unfinishedCandidates } from "./lib/copyPlan.js";
+import TaskInbox from "./components/TaskInbox.jsx";
+import { eventToTask, normalizeTask, taskToEvent } from "./lib/tasks.js";
+import AutoPlanDialog from "./components/AutoPlanDialog.jsx";
+import { TIME_OF_DAY } from "./lib/autoSchedule.js";
+import {
+  REMINDER_OPTIONS,
+  buildReminders,
+  notificationPermission,
+  reminderLabel,
+  requestNotificationPermission,
+  showNotification,
+} from "./lib/reminders.js";
+import { registerServiceWorker } from "./lib/serviceWorker.js";
+import { useUndoHistory } from "./hooks/useUndoHistory.js";
+import {
+  applyChanges,
+  applyCheckChanges,
+  applyEventChanges,
+  applySeriesChanges,
+  createSyncChannel,
+  diffPayload,
+} from "./lib/sync.js";
 
 
 /**
@@ -6,199 +107,27 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Weekly habits grid (top)
  * - Calendar: Day / Week / Month (middle)
  *   - Day view: drag & drop timeboxing
- *   - + button opens modal to add events (time, name, color, comments, duration)
+ *   - + button opens modal to add events (time, name, category, comments, duration)
  *   - Click event to edit/delete
- * - 3 pies (bottom)
+ *   - Events can repeat (daily/weekdays/weekly/monthly), see lib/recurrence.js
+ * - 3 pies and planned hours per category (bottom)
  *
- * Persistence: localStorage
+ * Persistence: IndexedDB or localStorage behind a storage adapter, versioned
+ * (see lib/schema.js, lib/persistence.js and lib/idbStorage.js)
  */
 
 // ------------------------- Helpers -------------------------
-const LS_KEY = "tb_habits_v4";
-
-const pad2 = (n) => String(n).padStart(2, "0");
-
-function toISODate(d) {
-  const x = new Date(d);
-  return `${x.getFullYear()}-${pad2(x.getMonth() + 1)}-${pad2(x.getDate())}`;
-}
-
-// Use noon to avoid DST/off-by-one issues for date-only logic.
-function parseISODate(iso) {
-  const [y, m, d] = iso.split("-").map(Number);
-  return new Date(y, m - 1, d, 12, 0, 0, 0);
-}
-function startOfDay(d) {
-  const x = new Date(d);
-  x.setHours(12, 0, 0, 0);
-  return x;
-}
-function addDays(d, n) {
-  const x = new Date(d);
-  x.setDate(x.getDate() + n);
-  x.setHours(12, 0, 0, 0);
-  return x;
-}
-function startOfISOWeek(d) {
-  const x = startOfDay(d);
-  const day = x.getDay(); // 0 Sun ... 6 Sat
-  const diff = day === 0 ? -6 : 1 - day; // Monday start
-  return addDays(x, diff);
-}
-function endOfISOWeek(d) {
-  return addDays(startOfISOWeek(d), 6);
-}
-function startOfMonth(d) {
-  const x = startOfDay(d);
-  x.setDate(1);
-  return x;
-}
-function endOfMonth(d) {
-  const x = startOfMonth(d);
-  x.setMonth(x.getMonth() + 1);
-  x.setDate(0);
-  x.setHours(12, 0, 0, 0);
-  return x;
-}
-
 function completionColor(pct) {
   // 0% → ljusgrön, 100% → mörkgrön
   const light = 92 - Math.round((pct / 100) * 40); // 92 → 52
   return `hsl(140, 45%, ${light}%)`;
 }
 
-function minutesToHHMM(m) {
-  const hh = Math.floor(m / 60);
-  const mm = m % 60;
-  return `${pad2(hh)}:${pad2(mm)}`;
-}
-
-function hhmmToMinutes(hhmm) {
-  const [hh, mm] = hhmm.split(":").map(Number);
-  if (Number.isNaN(hh) || Number.isNaN(mm)) return 8 * 60;
-  return hh * 60 + mm;
-}
-
-function uid() {
-  return Math.random().toString(16).slice(2) + Date.now().toString(16);
-}
-
-function fmtShortWeekday(d) {
-  return new Date(d).toLocaleDateString("sv-SE", { weekday: "short" });
-}
-function fmtMonthDay(d) {
-  return new Date(d).toLocaleDateString("sv-SE", { month: "short", day: "numeric" });
-}
-function fmtFull(d) {
-  return new Date(d).toLocaleDateString("sv-SE", {
-    weekday: "long",
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-  });
-}
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-// ------------------------- UI bits -------------------------
-function Section({ title, right, children }) {
-  return (
-    <div className="rounded-2xl border bg-white/50 p-4 shadow-sm">
-      <div className="flex items-start justify-between gap-3">
-        <div>
-          <div className="text-base font-semibold">{title}</div>
-        </div>
-        {right}
-      </div>
-      <div className="mt-3">{children}</div>
-    </div>
-  );
-}
-
-function Pill({ children }) {
-  return (
-    <span className="inline-flex items-center rounded-xl border bg-white px-2.5 py-1 text-xs font-medium shadow-sm">
-      {children}
-    </span>
-  );
-}
-
-function IconButton({ title, onClick, children }) {
-  return (
-    <button
-      type="button"
-      title={title}
-      onClick={onClick}
-      className="inline-flex h-9 w-9 items-center justify-center rounded-2xl border bg-white text-sm shadow-sm hover:bg-neutral-50"
-    >
-      {children}
-    </button>
-  );
-}
-
-function Pie({ percent, label, sublabel }) {
-  const p = clamp(Math.round(percent), 0, 100);
-  const r = 36;
-  const c = 2 * Math.PI * r;
-  const dash = (p / 100) * c;
-  const gap = c - dash;
-
-  return (
-    <div className="flex items-center gap-3 rounded-2xl border bg-white/50 p-4 shadow-sm">
-      <svg width="92" height="92" viewBox="0 0 92 92" aria-label={label}>
-        <circle cx="46" cy="46" r={r} fill="none" stroke="rgba(0,0,0,0.12)" strokeWidth="10" />
-        <circle
-          cx="46"
-          cy="46"
-          r={r}
-          fill="none"
-          stroke="rgba(0,0,0,0.85)"
-          strokeWidth="10"
-          strokeLinecap="round"
-          strokeDasharray={`${dash} ${gap}`}
-          transform="rotate(-90 46 46)"
-        />
-        <text x="46" y="51" textAnchor="middle" className="fill-black" style={{ fontSize: 16, fontWeight: 700 }}>
-          {p}%
-        </text>
-      </svg>
-      <div>
-        <div className="text-sm font-semibold">{label}</div>
-        <div className="text-sm text-black/60">{sublabel}</div>
-      </div>
-    </div>
-  );
-}
-
-function Modal({ open, title, onClose, children }) {
-  if (!open) return null;
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
-      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
-      <div className="relative w-full max-w-lg rounded-2xl border bg-white p-4 shadow-xl">
-        <div className="flex items-start justify-between gap-3">
-          <div className="text-base font-semibold">{title}</div>
-          <button
-            type="button"
-            className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
-            onClick={onClose}
-          >
-            Stäng
-          </button>
-        </div>
-        <div className="mt-3">{children}</div>
-      </div>
-    </div>
-  );
-}
-
 // ------------------------- App -------------------------
 const DEFAULT_HABITS = [
-  { id: "h1", name: "Vatten", active: true },
-  { id: "h2", name: "Träning", active: true },
-  { id: "h3", name: "Läs 20 min", active: true },
+  { id: "h1", name: "Vatten", active: true, schedule: DEFAULT_SCHEDULE },
+  { id: "h2", name: "Träning", active: true, schedule: DEFAULT_SCHEDULE },
+  { id: "h3", name: "Läs 20 min", active: true, schedule: DEFAULT_SCHEDULE },
 ];
 
 // Event model:
@@ -210,8 +139,18 @@ const DEFAULT_HABITS = [
 //   startMin,
 //   durationMin,
 //   color,     // hex
+//   categoryId?, // custom events, see lib/categories.js (color follows the category)
 //   notes,     // string
+//   icsUid?,   // UID of an event imported from .ics
+//   actualStartMin?, actualEndMin?, // logged actual start/end, see lib/timeTracking.js
+//   actualMin?, // focus timer minutes; actualMinutes() combines them with the start/end log
+//   task?,      // { priority, dueISO, timeOfDay } when scheduled from the task inbox, see lib/tasks.js
+//   reminderMin?, reminderAtEnd?, // per-event reminder overrides, see lib/reminders.js
 // }]
+//
+// Recurring events are stored separately in seriesById (see lib/recurrence.js)
+// and merged into a day's list by eventsForDay(iso). Occurrences carry
+// seriesId/occurrenceISO and an id of the form "<seriesId>:<iso>".
 export default function App() {
   const today = useMemo(() => startOfDay(new Date()), []);
   const [selectedISO, setSelectedISO] = useState(toISODate(today));
@@ -220,61 +159,337 @@ export default function App() {
   const [view, setView] = useState("day"); // day | week | month
   const TIME_GRID_STEP_MIN = 15;
 
-  const [habits, setHabits] = useState(DEFAULT_HABITS);
-  const [habitChecksByDate, setHabitChecksByDate] = useState({});
-  const [eventsByDate, setEventsByDate] = useState({});
+  // The *Raw setters bypass undo history; use them only for loading, remote
+  // sync and auto-generated blocks. Everything else goes through the wrapped
+  // setters below so it can be undone.
+  const [habits, setHabitsRaw] = useState(DEFAULT_HABITS);
+  const [habitChecksByDate, setHabitChecksByDateRaw] = useState({});
+  const [eventsByDate, setEventsByDateRaw] = useState({});
+  const [seriesById, setSeriesByIdRaw] = useState({});
+  const [categories, setCategoriesRaw] = useState(DEFAULT_CATEGORIES);
+  const [templates, setTemplatesRaw] = useState([]);
+  const [tasks, setTasksRaw] = useState([]);
+
+  // ------------------ Undo / redo ------------------
+  const history = useUndoHistory(
+    { habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks },
+    (snap) => {
+      setHabitsRaw(snap.habits);
+      setHabitChecksByDateRaw(snap.habitChecksByDate);
+      setEventsByDateRaw(snap.eventsByDate);
+      setSeriesByIdRaw(snap.seriesById);
+      setCategoriesRaw(snap.categories);
+      setTemplatesRaw(snap.templates);
+      setTasksRaw(snap.tasks);
+    }
+  );
+  const { undo, redo } = history;
+
+  const setHabits = (u) => {
+    history.record();
+    setHabitsRaw(u);
+  };
+  const setHabitChecksByDate = (u) => {
+    history.record();
+    setHabitChecksByDateRaw(u);
+  };
+  const setEventsByDate = (u) => {
+    history.record();
+    setEventsByDateRaw(u);
+  };
+  const setSeriesById = (u) => {
+    history.record();
+    setSeriesByIdRaw(u);
+  };
+  const setCategories = (u) => {
+    history.record();
+    setCategoriesRaw(u);
+  };
+  const setTemplates = (u) => {
+    history.record();
+    setTemplatesRaw(u);
+  };
+  const setTasks = (u) => {
+    history.record();
+    setTasksRaw(u);
+  };
+
+  // { id, message } – shown after destructive actions with an undo button.
+  const [toast, setToast] = useState(null);
+
+  // A new build is waiting in the service worker: () => activate and reload.
+  const [applyAppUpdate, setApplyAppUpdate] = useState(null);
+  useEffect(() => registerServiceWorker({ onUpdateReady: (apply) => setApplyAppUpdate(() => apply) }), []);
+  function showUndoToast(message) {
+    setToast({ id: uid(), message });
+  }
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // Leave text fields their own undo.
+      const t = e.target;
+      const textInput =
+        t instanceof HTMLElement &&
+        (t.isContentEditable ||
+          t.tagName === "TEXTAREA" ||
+          (t.tagName === "INPUT" && !["checkbox", "radio", "button", "color"].includes(t.type)));
+      if (textInput) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
 
-  // Drag payload: { source: "palette"|"existing", habitId?, eventId? }
+  // Drag payload: { source: "palette"|"existing"|"task", habitId?, taskId?, iso?, eventId?, custom?, grabOffsetMin? }
   const [dragPayload, setDragPayload] = useState(null);
+  // Block being resized by its bottom edge: { iso, eventId, startY, baseDurationMin, durationMin }
+  const [resizing, setResizing] = useState(null);
 
   // Modal state
   const [eventModalOpen, setEventModalOpen] = useState(false);
   const [eventModalISO, setEventModalISO] = useState(selectedISO);
   const [editingEventId, setEditingEventId] = useState(null);
   const [habitModalOpen, setHabitModalOpen] = useState(false);
+  const [icsModalOpen, setIcsModalOpen] = useState(false);
+  const [backupModalOpen, setBackupModalOpen] = useState(false);
+  const [restoreModalOpen, setRestoreModalOpen] = useState(false);
+  const [statsHabitId, setStatsHabitId] = useState(null);
+  const [settingsModalOpen, setSettingsModalOpen] = useState(false);
+  const [timeReportOpen, setTimeReportOpen] = useState(false);
+  const [categoriesModalOpen, setCategoriesModalOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  // null, or { report } / { move } for CopyPlanDialog (neither = picking a target day)
+  const [copyDialog, setCopyDialog] = useState(null);
+  const [autoPlanOpen, setAutoPlanOpen] = useState(false);
+
+  // Per-device preferences, see lib/settings.js.
+  const [settings, setSettings] = useState(loadSettings);
+  function updateSettings(patch) {
+    setSettings((prev) => {
+      const next = { ...prev, ...patch };
+      saveSettings(next);
+      return next;
+    });
+  }
 
   const [formTime, setFormTime] = useState("09:00");
   const [formTitle, setFormTitle] = useState("");
   const [formDuration, setFormDuration] = useState(30);
-  const [formColor, setFormColor] = useState("#93c5fd"); // light blue default
+  const [formColor, setFormColor] = useState(UNCATEGORIZED_COLOR); // kept for events without a category
+  const [formCategoryId, setFormCategoryId] = useState(""); // "" = no category
   const [formNotes, setFormNotes] = useState("");
+  const [formReminder, setFormReminder] = useState("default"); // "default" | "none" | minutes before
+  const [formReminderEnd, setFormReminderEnd] = useState("default"); // "default" | "on" | "off"
+  const [formRepeat, setFormRepeat] = useState(() => defaultRepeat(selectedISO));
+  const [formActualStart, setFormActualStart] = useState(""); // "HH:MM" or ""
+  const [formActualEnd, setFormActualEnd] = useState("");
+
+  // "This occurrence / this and following / whole series" prompt:
+  // { action: "save"|"delete", seriesId, iso, fields?, repeat? }
+  const [seriesScopePrompt, setSeriesScopePrompt] = useState(null);
 
   // ------------------ Persistence ------------------
+  // Nothing is saved until the stored state has been loaded (hydrated), so a
+  // payload that fails to load is never overwritten with defaults.
+  const [hydrated, setHydrated] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  const [saveError, setSaveError] = useState(null); // last failed save, cleared by the next good one
+  const [storage, setStorage] = useState(() => createStorageAdapter(getBackendPreference()));
+  // Last payload handed to storage.save(); lets adapters write only what changed.
+  const lastSavedRef = useRef(null);
+  const syncRef = useRef(null);
+
+  // Changes from other tabs that arrived before hydration; null afterwards.
+  const pendingSyncRef = useRef([]);
+
+  // Merge changes broadcast by other tabs. They are folded into lastSavedRef
+  // as well, so they are neither written again nor echoed back. Without a
+  // lastSavedRef (after a failed save) the next save writes them with
+  // everything else.
+  function applyRemoteChanges(changes) {
+    if (lastSavedRef.current) lastSavedRef.current = applyChanges(lastSavedRef.current, changes);
+    if (changes.habits) setHabitsRaw(changes.habits);
+    if (changes.categories) setCategoriesRaw(changes.categories);
+    if (changes.templates) setTemplatesRaw(changes.templates);
+    if (changes.tasks) setTasksRaw(changes.tasks);
+    setHabitChecksByDateRaw((prev) => applyCheckChanges(prev, changes));
+    setEventsByDateRaw((prev) => applyEventChanges(prev, changes));
+    setSeriesByIdRaw((prev) => applySeriesChanges(prev, changes));
+  }
+
+  // Call right before setHydrated(true), after the loaded state has been set,
+  // so queued changes land on top of it.
+  function flushPendingSync() {
+    const pending = pendingSyncRef.current ?? [];
+    pendingSyncRef.current = null;
+    pending.forEach(applyRemoteChanges);
+  }
+
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem(LS_KEY);
-      if (!raw) return;
-      const s = JSON.parse(raw);
-      if (s.selectedISO) setSelectedISO(s.selectedISO);
-      if (s.view) setView(s.view);
-      if (Array.isArray(s.habits)) setHabits(s.habits);
-      if (s.habitChecksByDate) setHabitChecksByDate(s.habitChecksByDate);
-      if (s.eventsByDate) setEventsByDate(s.eventsByDate);
-    } catch {
-      // ignore
-    }
+    const channel = createSyncChannel((changes) => {
+      if (pendingSyncRef.current) pendingSyncRef.current.push(changes);
+      else applyRemoteChanges(changes);
+    });
+    syncRef.current = channel;
+    return () => channel.close();
   }, []);
 
   useEffect(() => {
+    let cancelled = false;
+    storage
+      .load()
+      .then((s) => {
+        if (cancelled) return;
+        if (s) {
+          if (s.selectedISO) setSelectedISO(s.selectedISO);
+          if (s.view) setView(s.view);
+          if (Array.isArray(s.habits)) setHabitsRaw(s.habits);
+          if (s.habitChecksByDate) setHabitChecksByDateRaw(s.habitChecksByDate);
+          if (s.eventsByDate) setEventsByDateRaw(s.eventsByDate);
+          if (s.seriesById) setSeriesByIdRaw(s.seriesById);
+          if (Array.isArray(s.categories)) setCategoriesRaw(s.categories);
+          if (Array.isArray(s.templates)) setTemplatesRaw(s.templates);
+          if (Array.isArray(s.tasks)) setTasksRaw(s.tasks);
+        }
+        lastSavedRef.current = s;
+        flushPendingSync();
+        setHydrated(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        try {
+          quarantinePayload(err.key ?? LS_KEY, err.raw ?? null, err.cause ?? err);
+        } catch {
+          // storage unavailable; saving stays paused either way
+        }
+        setStorageError(err.message);
+        setRestoreModalOpen(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [storage]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const payload = buildPersistedPayload({
+      selectedISO,
+      view,
+      habits,
+      habitChecksByDate,
+      eventsByDate,
+      seriesById,
+      categories,
+      templates,
+      tasks,
+    });
+    const prev = lastSavedRef.current;
+    lastSavedRef.current = payload;
+    const changes = diffPayload(prev, payload);
+    if (changes) syncRef.current?.post(changes);
+    storage
+      .save(payload, prev)
+      .then(() => setSaveError(null))
+      .catch((err) => {
+        // Write everything next time.
+        lastSavedRef.current = null;
+        setSaveError(err?.message ?? String(err));
+      });
+
+    // Snapshots copy the whole state, so wait for a pause in editing.
+    const t = setTimeout(() => {
+      try {
+        recordSnapshot(payload);
+      } catch {
+        // snapshots are best-effort
+      }
+    }, 1500);
+    return () => clearTimeout(t);
+  }, [hydrated, storage, selectedISO, view, habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks]);
+
+  async function changeStorageBackend(name) {
+    if (name === storage.name) return;
+    const payload = buildPersistedPayload({
+      selectedISO,
+      view,
+      habits,
+      habitChecksByDate,
+      eventsByDate,
+      seriesById,
+      categories,
+      templates,
+      tasks,
+    });
     try {
-      localStorage.setItem(
-        LS_KEY,
-        JSON.stringify({ selectedISO, view, habits, habitChecksByDate, eventsByDate })
-      );
-    } catch {
-      // ignore
+      const adapter = await switchStorageBackend(name, payload);
+      lastSavedRef.current = payload;
+      setStorage(adapter);
+    } catch (err) {
+      window.alert(`Kunde inte byta lagring: ${err.message}`);
     }
-  }, [selectedISO, view, habits, habitChecksByDate, eventsByDate]);
+  }
 
   const activeHabits = useMemo(() => habits.filter((h) => h.active), [habits]);
 
+  // ------------------ Backup ------------------
+  const backupState = useMemo(
+    () => ({ habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks, view, selectedISO }),
+    [habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks, view, selectedISO]
+  );
+
+  // Swap in a whole planner state (backup import). All setters run in one batch.
+  function applyPlannerData(data) {
+    setHabits(data.habits);
+    setHabitChecksByDate(data.habitChecksByDate);
+    setEventsByDate(data.eventsByDate);
+    setSeriesById(data.seriesById ?? {});
+    setCategories(data.categories ?? DEFAULT_CATEGORIES);
+    setTemplates(data.templates ?? []);
+    setTasks(data.tasks ?? []);
+    if (data.settings?.view) setView(data.settings.view);
+    if (data.settings?.selectedISO) setSelectedISO(data.settings.selectedISO);
+  }
+
+  function restoreSnapshot(payload) {
+    const p = migratePayload(payload);
+    applyPlannerData({ ...p, settings: { view: p.view, selectedISO: p.selectedISO } });
+    setStorageError(null);
+    flushPendingSync();
+    setHydrated(true);
+    setRestoreModalOpen(false);
+    showUndoToast("Ögonblicksbild återställd");
+  }
+
+  function startWithEmptyPlanner() {
+    setStorageError(null);
+    flushPendingSync();
+    setHydrated(true);
+  }
+
   // ------------------ Habit actions ------------------
   const [newHabitName, setNewHabitName] = useState("");
 
   function addHabit() {
     const name = newHabitName.trim();
     if (!name) return;
-    setHabits((prev) => [...prev, { id: uid(), name, active: true }]);
+    setHabits((prev) => [...prev, { id: uid(), name, active: true, schedule: DEFAULT_SCHEDULE }]);
     setNewHabitName("");
   }
 
@@ -282,6 +497,30 @@ export default function App() {
     setHabits((prev) => prev.map((h) => (h.id === id ? { ...h, active: !h.active } : h)));
   }
 
+  function setHabitSchedule(id, schedule) {
+    setHabits((prev) => prev.map((h) => (h.id === id ? { ...h, schedule } : h)));
+  }
+
+  function setHabitTimeOfDay(id, timeOfDay) {
+    setHabits((prev) =>
+      prev.map((h) => {
+        if (h.id !== id) return h;
+        const { timeOfDay: _old, ...rest } = h;
+        return timeOfDay ? { ...rest, timeOfDay } : rest;
+      })
+    );
+  }
+
+  function setHabitMeasure(id, measure) {
+    setHabits((prev) =>
+      prev.map((h) => {
+        if (h.id !== id) return h;
+        const { measure: _old, ...rest } = h;
+        return measure ? { ...rest, measure: normalizeMeasure(measure) } : rest;
+      })
+    );
+  }
+
   function deleteHabit(id) {
     setHabits((prev) => prev.filter((h) => h.id !== id));
 
@@ -304,79 +543,368 @@ export default function App() {
       }
       return next;
     });
+    showUndoToast("Vana borttagen");
   }
 
-  function setHabitCheckForDate(iso, habitId, checked) {
+  // `value` is a boolean, or the logged amount for a measurable habit.
+  function setHabitCheckForDate(iso, habitId, value) {
     setHabitChecksByDate((prev) => {
       const cur = prev[iso] ?? {};
-      return { ...prev, [iso]: { ...cur, [habitId]: checked } };
+      return { ...prev, [iso]: { ...cur, [habitId]: value } };
     });
   }
 
-  // ------------------ Week grid (top) ------------------
-  const weekStart = useMemo(() => startOfISOWeek(selectedDate), [selectedDate]);
-  const weekDays = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)), [weekStart]);
-  const weekISOs = useMemo(() => weekDays.map((d) => toISODate(d)), [weekDays]);
-  const weekHourRows = useMemo(() => Array.from({ length: 24 }, (_, i) => i), []);
+  // ------------------ Categories ------------------
+  function addCategory({ name, color }) {
+    setCategories((prev) => [...prev, { id: uid(), name, color }]);
+  }
 
-  // ------------------ Default habit blocks per day ------------------
+  // A color change is copied onto every event and series in the category.
+  function updateCategory(id, patch) {
+    setCategories((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+    if (patch.color) {
+      const next = patchCategoryUsers({ eventsByDate, seriesById }, id, { color: patch.color });
+      setEventsByDate(next.eventsByDate);
+      setSeriesById(next.seriesById);
+    }
+  }
 
-    function snapToTimeGrid(minutes) {
-    return Math.ceil(minutes / TIME_GRID_STEP_MIN) * TIME_GRID_STEP_MIN;
+  // Events in a deleted category keep their color and become uncategorized.
+  function deleteCategory(id) {
+    setCategories((prev) => prev.filter((c) => c.id !== id));
+    const next = patchCategoryUsers({ eventsByDate, seriesById }, id, { categoryId: null });
+    setEventsByDate(next.eventsByDate);
+    setSeriesById(next.seriesById);
+    if (formCategoryId === id) setFormCategoryId("");
+    showUndoToast("Kategori borttagen");
   }
 
-  function ensureDefaultHabitBlocksForDay(iso) {
-    ensureDefaultHabitBlocksForDates([iso]);
+  // ------------------ Templates ------------------
+  function saveTemplate({ name, kind }) {
+    const template = buildTemplate({ id: uid(), name, kind, anchorISO: selectedISO, getEventsForDay: eventsForDay });
+    setTemplates((prev) => [...prev, template]);
+    showUndoToast(`Mallen "${name}" sparad`);
   }
 
-  function ensureDefaultHabitBlocksForDates(isos) {
-    if (activeHabits.length === 0 || isos.length === 0) return;
+  function deleteTemplate(id) {
+    setTemplates((prev) => prev.filter((t) => t.id !== id));
+    showUndoToast("Mall borttagen");
+  }
 
+  // Carry out a planTemplate() result (see lib/templates.js) as one undo step.
+  // Removed series occurrences are skipped on their date.
+  function applyTemplate(template, plan) {
     setEventsByDate((prev) => {
-      let changed = false;
       const next = { ...prev };
+      for (const day of plan) {
+        const removed = new Set(day.remove.map((e) => e.id));
+        const kept = (prev[day.iso] ?? []).filter((e) => !removed.has(e.id));
+        next[day.iso] = [...kept, ...day.add.map((block) => ({ ...block, id: uid() }))];
+      }
+      return next;
+    });
+    const skippedOccurrences = plan.flatMap((day) => day.remove.filter((e) => e.seriesId));
+    if (skippedOccurrences.length > 0) {
+      setSeriesById((prev) => {
+        const next = { ...prev };
+        for (const e of skippedOccurrences) {
+          if (next[e.seriesId]) next[e.seriesId] = setException(next[e.seriesId], e.occurrenceISO, { deleted: true });
+        }
+        return next;
+      });
+    }
+    showUndoToast(`Mallen "${template.name}" använd på ${plan.length} datum`);
+  }
+
+  // ------------------ Task inbox ------------------
+  function addTask(fields) {
+    setTasks((prev) => [...prev, normalizeTask({ ...fields, id: uid() })]);
+  }
 
-      isos.forEach((iso) => {
-        const existing = next[iso] ?? [];
-        const habitBlocks = existing.filter((e) => e.type === "habit");
-        const existingHabitIds = new Set(habitBlocks.map((e) => e.habitId));
-        const missingHabits = activeHabits.filter((h) => !existingHabitIds.has(h.id));
-        if (missingHabits.length === 0) return;
-
-        const startBase = 8 * 60; // 08:00
-         const gap = TIME_GRID_STEP_MIN;
-        const dur = 30;
-        const lastEnd =
-          habitBlocks.length > 0
-            ? Math.max(...habitBlocks.map((e) => e.startMin + (e.durationMin ?? dur))) + gap
-            : startBase;
-        let cursor = snapToTimeGrid(lastEnd);
-
-        const newBlocks = missingHabits.map((h) => {
+  function updateTask(id, patch) {
+    setTasks((prev) => prev.map((t) => (t.id === id ? normalizeTask({ ...t, ...patch }) : t)));
+  }
+
+  function deleteTask(id) {
+    setTasks((prev) => prev.filter((t) => t.id !== id));
+    showUndoToast("Uppgift borttagen");
+  }
+
+  // Dropped on the timeline: the task becomes an event (one undo step).
+  function scheduleTask(taskId, iso, startMin) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return;
+    const color = findCategory(categories, task.categoryId)?.color ?? UNCATEGORIZED_COLOR;
+    setTasks((prev) => prev.filter((t) => t.id !== taskId));
+    addEventForDay(iso, taskToEvent(task, { id: uid(), startMin, color }));
+  }
+
+  // A custom block dropped on the inbox goes back to being an unscheduled task.
+  function unscheduleEvent(iso, eventId) {
+    const evt = eventsForDay(iso).find((e) => e.id === eventId);
+    if (!evt || evt.type === "habit") return;
+    deleteEventForDay(iso, eventId);
+    setTasks((prev) => [...prev, eventToTask(evt, uid())]);
+  }
+
+  // Apply an autoSchedule() result (see lib/autoSchedule.js) as one undo step.
+  function applyAutoPlan(plan) {
+    const placedTasks = new Set(plan.placements.filter((p) => p.item.kind === "task").map((p) => p.item.id));
+    setEventsByDate((prev) => {
+      const next = { ...prev };
+      for (const { iso, item, startMin } of plan.placements) {
+        const list = next[iso] ?? [];
+        if (item.kind === "task") {
+          const task = tasks.find((t) => t.id === item.id);
+          const color = findCategory(categories, task.categoryId)?.color ?? UNCATEGORIZED_COLOR;
+          next[iso] = [...list, taskToEvent(task, { id: uid(), startMin, color })];
+        } else if (item.blockId) {
+          next[iso] = list.map((e) => (e.id === item.blockId ? { ...e, startMin } : e));
+        } else {
           const block = {
             id: uid(),
             type: "habit",
-            habitId: h.id,
-            title: h.name,
-            startMin: cursor,
-            durationMin: dur,
-            color: "#bbf7d0", // light green
+            habitId: item.id,
+            title: item.title,
+            startMin,
+            durationMin: item.durationMin,
+            color: "#bbf7d0",
             notes: "",
           };
-          cursor = snapToTimeGrid(cursor + dur + gap);
-          return block;
-        });
+          next[iso] = [...list, block];
+        }
+      }
+      return next;
+    });
+    if (placedTasks.size > 0) setTasks((prev) => prev.filter((t) => !placedTasks.has(t.id)));
+    setAutoPlanOpen(false);
+    showUndoToast(`${plan.placements.length} block planerade`);
+  }
 
-        if (newBlocks.length > 0) {
-          changed = true;
-          next[iso] = [...existing, ...newBlocks];
+  // ------------------ Copy / roll forward ------------------
+  // Copy each pair's day onto its target day, as one undo step, and show what
+  // happened (see lib/copyPlan.js).
+  function copyDays(pairs, title) {
+    const habitIds = new Set(habits.map((h) => h.id));
+    const days = pairs.map(({ from, to }) => ({
+      from,
+      to,
+      ...planCopy(eventsForDay(from), eventsForDay(to), { habitIds, newId: uid }),
+    }));
+    setEventsByDate((prev) => {
+      const next = { ...prev };
+      for (const d of days) {
+        if (d.add.length > 0 || d.merge.length > 0) next[d.to] = applyCopy(next[d.to] ?? [], d);
+      }
+      return next;
+    });
+    setCopyDialog({ report: { title, moved: false, days } });
+    showUndoToast(title);
+  }
+
+  function duplicateDay(fromISO, toISO) {
+    copyDays([{ from: fromISO, to: toISO }], `${fromISO} kopierad till ${toISO}`);
+  }
+
+  function copyWeekToNextWeek(anyISOInWeek) {
+    const start = toISODate(startOfISOWeek(parseISODate(anyISOInWeek)));
+    const pairs = isoRange(start, addDaysISO(start, 6)).map((iso) => ({ from: iso, to: addDaysISO(iso, 7) }));
+    copyDays(pairs, "Veckan kopierad till nästa vecka");
+  }
+
+  // Show the day's possibly unfinished blocks for the user to confirm before
+  // anything moves (see unfinishedCandidates).
+  function openMoveUnfinished(iso) {
+    setCopyDialog({ move: { from: iso, to: addDaysISO(iso, 1), events: unfinishedCandidates(eventsForDay(iso)) } });
+  }
+
+  // Move the chosen blocks of `iso` to the next day.
+  function moveBlocksToNextDay(iso, eventIds) {
+    const toISO = addDaysISO(iso, 1);
+    const ids = new Set(eventIds);
+    const chosen = eventsForDay(iso).filter((e) => ids.has(e.id));
+    const plan = planCopy(chosen, eventsForDay(toISO), { habitIds: new Set(), newId: uid });
+    const moving = chosen.filter((e) => !plan.skipped.some((s) => s.event === e));
+    const movingIds = new Set(moving.map((e) => e.id));
+
+    setEventsByDate((prev) => ({
+      ...prev,
+      [iso]: (prev[iso] ?? []).filter((e) => !movingIds.has(e.id)),
+      [toISO]: applyCopy(prev[toISO] ?? [], plan),
+    }));
+    const occurrences = moving.filter((e) => e.seriesId);
+    if (occurrences.length > 0) {
+      setSeriesById((prev) => {
+        const next = { ...prev };
+        for (const e of occurrences) {
+          if (next[e.seriesId]) next[e.seriesId] = setException(next[e.seriesId], iso, { deleted: true });
         }
+        return next;
+      });
+    }
+
+    const title = `Ofärdiga block flyttade till ${toISO}`;
+    setCopyDialog({ report: { title, moved: true, days: [{ from: iso, to: toISO, ...plan }] } });
+    showUndoToast(title);
+  }
+
+  // Grouping for the planned/actual report and the category chart.
+  function eventCategory(evt) {
+    return eventGroup(evt, categories);
+  }
+
+  // ------------------ Focus timer ------------------
+  // One timer per device, kept in localStorage (see lib/focusTimer.js).
+  const [focusTimer, setFocusTimer] = useState(loadTimer);
+
+  useEffect(() => {
+    saveTimer(focusTimer);
+  }, [focusTimer]);
+
+  // Keep a running timer on its block when the block moves to another day
+  // (moved occurrences also get a new id).
+  function retargetFocus(eventId, iso, newId = eventId) {
+    setFocusTimer((t) => (t && t.eventId === eventId ? { ...t, iso, eventId: newId } : t));
+  }
+
+  // The timer's event, looked up on its day first and then on every other day
+  // in case the block was moved without the timer noticing (e.g. from another tab).
+  function findFocusEvent({ iso, eventId }) {
+    const evt = eventsForDay(iso).find((e) => e.id === eventId);
+    if (evt) return { iso, evt };
+    for (const [day, list] of Object.entries(eventsByDate)) {
+      const found = list.find((e) => e.id === eventId);
+      if (found) return { iso: day, evt: found };
+    }
+    return null;
+  }
+
+  // Stop the timer and add its focus time to the event's actual time.
+  function stopFocus() {
+    if (!focusTimer) return;
+    const mins = focusMinutes(focusTimer);
+    const found = findFocusEvent(focusTimer);
+    setFocusTimer(null);
+    if (mins <= 0) return;
+    if (!found) {
+      window.alert("Aktiviteten finns inte längre, fokustiden kunde inte sparas.");
+      return;
+    }
+    const { iso, evt } = found;
+    updateEventForDay(iso, evt.id, { actualMin: (evt.actualMin ?? 0) + mins });
+    showUndoToast(`${mins} min fokus sparad på ${evt.title}`);
+  }
+
+  function startFocus(iso, evt, mode) {
+    if (focusTimer) {
+      if (!window.confirm(`Stoppa timern för "${focusTimer.title}" och starta en ny?`)) return;
+      stopFocus();
+    }
+    setFocusTimer(startTimer({ iso, event: evt, mode }));
+  }
+
+  function isHabitDoneOn(iso, habitId) {
+    const h = habits.find((x) => x.id === habitId);
+    return !!h && isDoneValue(h, habitChecksByDate[iso]?.[habitId]);
+  }
+
+  // The "done" toggle on a habit block: checks (or unchecks) its habit for the
+  // day. Measurable habits are set to their target, or back to 0.
+  function toggleHabitBlockDone(iso, habitId) {
+    const h = habits.find((x) => x.id === habitId);
+    if (!h) return;
+    const done = isHabitDoneOn(iso, habitId);
+    if (h.measure) {
+      const cur = measuredValue(h, habitChecksByDate[iso]?.[habitId]);
+      setHabitCheckForDate(iso, habitId, done ? 0 : Math.max(cur, normalizeMeasure(h.measure).target));
+    } else {
+      setHabitCheckForDate(iso, habitId, !done);
+    }
+  }
+
+  // Step a measurable habit's amount for a day up or down by its step.
+  function stepHabitValue(iso, habit, direction) {
+    const { step } = normalizeMeasure(habit.measure);
+    const cur = measuredValue(habit, habitChecksByDate[iso]?.[habit.id]);
+    const next = Math.max(0, Math.round((cur + direction * step) * 100) / 100);
+    setHabitCheckForDate(iso, habit.id, next);
+  }
+
+  // ------------------ Week grid (top) ------------------
+  const weekStart = useMemo(() => startOfISOWeek(selectedDate), [selectedDate]);
+  const weekDays = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)), [weekStart]);
+  const weekISOs = useMemo(() => weekDays.map((d) => toISODate(d)), [weekDays]);
+  const weekHourRows = useMemo(() => Array.from({ length: 24 }, (_, i) => i), []);
+
+  // ------------------ Default habit blocks per day ------------------
+
+    function snapToTimeGrid(minutes) {
+    return Math.ceil(minutes / TIME_GRID_STEP_MIN) * TIME_GRID_STEP_MIN;
+  }
+
+  // Adds blocks for active habits that are due but missing on `isos` to an
+  // eventsByDate map (see wantsDefaultBlock for habits with a schedule).
+  function withDefaultHabitBlocks(prev, isos) {
+    let changed = false;
+    const next = { ...prev };
+
+    isos.forEach((iso) => {
+      const existing = next[iso] ?? [];
+      const habitBlocks = existing.filter((e) => e.type === "habit");
+      const existingHabitIds = new Set(habitBlocks.map((e) => e.habitId));
+      const missingHabits = activeHabits.filter(
+        (h) => !existingHabitIds.has(h.id) && wantsDefaultBlock(h, habitChecksByDate, iso)
+      );
+      if (missingHabits.length === 0) return;
+
+      const startBase = 8 * 60; // 08:00
+      const gap = TIME_GRID_STEP_MIN;
+      const dur = 30;
+      const lastEnd =
+        habitBlocks.length > 0
+          ? Math.max(...habitBlocks.map((e) => e.startMin + (e.durationMin ?? dur))) + gap
+          : startBase;
+      let cursor = snapToTimeGrid(lastEnd);
+
+      const newBlocks = missingHabits.map((h) => {
+        const block = {
+          id: uid(),
+          type: "habit",
+          habitId: h.id,
+          title: h.name,
+          startMin: cursor,
+          durationMin: dur,
+          color: "#bbf7d0", // light green
+          notes: "",
+        };
+        cursor = snapToTimeGrid(cursor + dur + gap);
+        return block;
       });
 
-      return changed ? next : prev;
+      if (newBlocks.length > 0) {
+        changed = true;
+        next[iso] = [...existing, ...newBlocks];
+      }
     });
+
+    return changed ? next : prev;
   }
-  
+
+  function ensureDefaultHabitBlocksForDates(isos) {
+    if (activeHabits.length === 0 || isos.length === 0) return;
+    // Auto-generated, so not an undo step.
+    setEventsByDateRaw((prev) => withDefaultHabitBlocks(prev, isos));
+  }
+
+  // Remove the day's habit blocks and recreate the defaults.
+  function regenerateHabitBlocksForDay(iso) {
+    setEventsByDate((prev) => {
+      const kept = (prev[iso] ?? []).filter((e) => e.type !== "habit");
+      return withDefaultHabitBlocks({ ...prev, [iso]: kept }, [iso]);
+    });
+    showUndoToast("Habit-block återskapade");
+  }
+
   // ------------------ Event CRUD ------------------
   function addEventForDay(iso, evt) {
     setEventsByDate((prev) => {
@@ -385,7 +913,13 @@ export default function App() {
     });
   }
 
+  // Updates/deletes on a series occurrence only touch that date (an exception).
   function updateEventForDay(iso, eventId, patch) {
+    const occ = parseOccurrenceId(eventId);
+    if (occ) {
+      updateSeries(occ.seriesId, (s) => setException(s, occ.iso, patch));
+      return;
+    }
     setEventsByDate((prev) => {
       const cur = prev[iso] ?? [];
       const next = cur.map((e) => (e.id === eventId ? { ...e, ...patch } : e));
@@ -394,20 +928,98 @@ export default function App() {
   }
 
   function deleteEventForDay(iso, eventId) {
+    const occ = parseOccurrenceId(eventId);
+    if (occ) {
+      updateSeries(occ.seriesId, (s) => setException(s, occ.iso, { deleted: true }));
+      return;
+    }
     setEventsByDate((prev) => {
       const cur = prev[iso] ?? [];
       return { ...prev, [iso]: cur.filter((e) => e.id !== eventId) };
     });
   }
 
+  // Delete from the timeline; occurrences ask which part of the series to remove.
+  function requestDeleteEvent(iso, evt) {
+    if (evt.seriesId) {
+      setSeriesScopePrompt({ action: "delete", seriesId: evt.seriesId, iso: evt.occurrenceISO });
+      return;
+    }
+    deleteEventForDay(iso, evt.id);
+    showUndoToast("Aktivitet borttagen");
+  }
+
+  // ------------------ Recurring series ------------------
+  // fn(series) returns the new series, or null to remove it.
+  function updateSeries(seriesId, fn) {
+    setSeriesById((prev) => {
+      const cur = prev[seriesId];
+      if (!cur) return prev;
+      const updated = fn(cur);
+      const next = { ...prev };
+      if (updated) next[seriesId] = updated;
+      else delete next[seriesId];
+      return next;
+    });
+  }
+
+  function addSeries(series) {
+    setSeriesById((prev) => ({ ...prev, [series.id]: series }));
+  }
+
+  function applySeriesScope(scope) {
+    const prompt = seriesScopePrompt;
+    if (!prompt) return;
+    const { action, seriesId, iso, fields, repeat } = prompt;
+    const series = seriesById[seriesId];
+    setSeriesScopePrompt(null);
+    setEventModalOpen(false);
+    if (!series) return;
+
+    if (action === "delete") {
+      if (scope === "one") updateSeries(seriesId, (s) => setException(s, iso, { deleted: true }));
+      else if (scope === "following") updateSeries(seriesId, (s) => truncateSeriesBefore(s, iso));
+      else updateSeries(seriesId, () => null);
+      showUndoToast(scope === "one" ? "Aktivitet borttagen" : "Återkommande aktiviteter borttagna");
+      return;
+    }
+
+    if (scope === "one") {
+      updateSeries(seriesId, (s) => setException(s, iso, fields));
+      return;
+    }
+
+    // Turning repetition off: end the series here and keep a single event on this date.
+    if (repeat.freq === "none") {
+      updateSeries(seriesId, (s) => (scope === "following" ? truncateSeriesBefore(s, iso) : null));
+      addEventForDay(iso, { id: uid(), type: "custom", ...fields });
+      return;
+    }
+
+    if (scope === "following" && iso > series.startISO) {
+      const { head, tail } = splitSeries(series, iso, { ...fields, repeat }, uid());
+      updateSeries(seriesId, () => head);
+      addSeries(tail);
+      return;
+    }
+
+    updateSeries(seriesId, (s) => ({ ...s, ...fields, repeat: normalizeRepeat(repeat, s.startISO) }));
+  }
+
   function openAddEventModal(iso) {
     setEventModalISO(iso);
     setEditingEventId(null);
     setFormTime("09:00");
     setFormTitle("");
     setFormDuration(30);
-    setFormColor("#93c5fd");
+    setFormColor(UNCATEGORIZED_COLOR);
+    setFormCategoryId("");
     setFormNotes("");
+    setFormReminder("default");
+    setFormReminderEnd("default");
+    setFormRepeat(defaultRepeat(iso));
+    setFormActualStart("");
+    setFormActualEnd("");
     setEventModalOpen(true);
   }
 
@@ -423,11 +1035,41 @@ export default function App() {
     setFormTime(minutesToHHMM(evt.startMin));
     setFormTitle(evt.title ?? "");
     setFormDuration(evt.durationMin ?? 30);
-    setFormColor(evt.color ?? "#93c5fd");
+    setFormColor(evt.color ?? UNCATEGORIZED_COLOR);
+    setFormCategoryId(findCategory(categories, evt.categoryId) ? evt.categoryId : "");
     setFormNotes(evt.notes ?? "");
+    setFormReminder(evt.reminderMin === undefined ? "default" : evt.reminderMin === null ? "none" : String(evt.reminderMin));
+    setFormReminderEnd(evt.reminderAtEnd === undefined ? "default" : evt.reminderAtEnd ? "on" : "off");
+    setFormRepeat(evt.seriesId ? seriesById[evt.seriesId]?.repeat ?? defaultRepeat(iso) : defaultRepeat(iso));
+    setFormActualStart(Number.isFinite(evt.actualStartMin) ? minutesToHHMM(evt.actualStartMin) : "");
+    setFormActualEnd(Number.isFinite(evt.actualEndMin) ? minutesToHHMM(evt.actualEndMin) : "");
     setEventModalOpen(true);
   }
 
+  // ------------------ Actual time log ------------------
+  // Always per date: on a series occurrence it becomes an exception.
+  function startActualTime(iso, evt) {
+    const now = nowMinutes();
+    updateEventForDay(iso, evt.id, { actualStartMin: now, actualEndMin: null });
+    setFormActualStart(minutesToHHMM(now));
+    setFormActualEnd("");
+  }
+
+  function stopActualTime(iso, evt) {
+    if (!Number.isFinite(evt.actualStartMin)) return;
+    const now = nowMinutes();
+    updateEventForDay(iso, evt.id, { actualEndMin: now });
+    setFormActualEnd(minutesToHHMM(now));
+  }
+
+  // Save the start/end typed in the event modal; both empty clears the log.
+  // Focus minutes (actualMin) are kept either way.
+  function saveActualTimeFromForm(iso, evt) {
+    const start = formActualStart ? hhmmToMinutes(formActualStart) : null;
+    const end = formActualEnd ? hhmmToMinutes(formActualEnd) : null;
+    updateEventForDay(iso, evt.id, { actualStartMin: start, actualEndMin: end });
+  }
+
   function saveEventModal() {
     const title = formTitle.trim();
     if (!title) return;
@@ -435,10 +1077,27 @@ export default function App() {
     const iso = eventModalISO;
     const startMin = hhmmToMinutes(formTime);
     const durationMin = Math.max(5, Number(formDuration) || 30);
-    const color = formColor || "#93c5fd";
+    const category = editingEvent?.type === "habit" ? null : findCategory(categories, formCategoryId);
+    const color = category?.color ?? (formColor || UNCATEGORIZED_COLOR);
+    const categoryId = category?.id ?? null;
     const notes = formNotes ?? "";
+    // undefined falls back to the reminder defaults in settings
+    const reminderMin = formReminder === "default" ? undefined : formReminder === "none" ? null : Number(formReminder);
+    const reminderAtEnd = formReminderEnd === "default" ? undefined : formReminderEnd === "on";
+    const fields = { title, startMin, durationMin, color, categoryId, notes, reminderMin, reminderAtEnd };
+    const repeat = normalizeRepeat(formRepeat, iso);
+
+    const occ = editingEventId ? parseOccurrenceId(editingEventId) : null;
+    if (occ) {
+      setSeriesScopePrompt({ action: "save", seriesId: occ.seriesId, iso: occ.iso, fields, repeat });
+      return;
+    }
 
-    if (!editingEventId) {
+    if (repeat.freq !== "none" && editingEvent?.type !== "habit") {
+      // New series, or a one-off custom event that should start repeating.
+      if (editingEventId) deleteEventForDay(iso, editingEventId);
+      addSeries(seriesFromEvent({ ...(editingEvent ?? {}), ...fields }, { id: uid(), startISO: iso, repeat }));
+    } else if (!editingEventId) {
       addEventForDay(iso, {
         id: uid(),
         type: "custom",
@@ -446,10 +1105,13 @@ export default function App() {
         startMin,
         durationMin,
         color,
+        categoryId,
         notes,
+        reminderMin,
+        reminderAtEnd,
       });
     } else {
-      updateEventForDay(iso, editingEventId, { title, startMin, durationMin, color, notes });
+      updateEventForDay(iso, editingEventId, fields);
     }
 
     setEventModalOpen(false);
@@ -457,13 +1119,50 @@ export default function App() {
 
   function deleteFromModal() {
     if (!editingEventId) return;
+    const occ = parseOccurrenceId(editingEventId);
+    if (occ) {
+      setSeriesScopePrompt({ action: "delete", seriesId: occ.seriesId, iso: occ.iso });
+      return;
+    }
     deleteEventForDay(eventModalISO, editingEventId);
     setEventModalOpen(false);
+    showUndoToast("Aktivitet borttagen");
   }
 
   // ------------------ Drag/drop helpers ------------------
-  function moveEventToTime(iso, eventId, newStartMin) {
-    updateEventForDay(iso, eventId, { startMin: newStartMin });
+  // Move an event to another time, possibly on another day. A plain event is
+  // taken out of one day's list and put in the other in a single update; a
+  // series occurrence moved to another day is skipped on its own date and
+  // continues as a standalone event on the new one.
+  function moveEvent(fromISO, eventId, toISO, newStartMin) {
+    if (fromISO === toISO) {
+      updateEventForDay(fromISO, eventId, { startMin: newStartMin });
+      return;
+    }
+
+    const occ = parseOccurrenceId(eventId);
+    if (occ) {
+      const evt = eventsForDay(fromISO).find((e) => e.id === eventId);
+      if (!evt) return;
+      const { seriesId: _s, occurrenceISO: _o, ...rest } = evt;
+      const id = uid();
+      deleteEventForDay(fromISO, eventId);
+      addEventForDay(toISO, { ...rest, id, startMin: newStartMin });
+      retargetFocus(eventId, toISO, id);
+      return;
+    }
+
+    retargetFocus(eventId, toISO);
+
+    setEventsByDate((prev) => {
+      const evt = (prev[fromISO] ?? []).find((e) => e.id === eventId);
+      if (!evt) return prev;
+      return {
+        ...prev,
+        [fromISO]: prev[fromISO].filter((e) => e.id !== eventId),
+        [toISO]: [...(prev[toISO] ?? []), { ...evt, startMin: newStartMin }],
+      };
+    });
   }
 
   function addHabitBlockAtTime(iso, habitId, startMin) {
@@ -483,29 +1182,9 @@ export default function App() {
   }
 
   // ------------------ Completion calculations ------------------
+  // Only days a habit is due count, see lib/habitSchedule.js.
   function completionForRange(startIso, endIsoInclusive) {
-    const start = parseISODate(startIso);
-    const end = parseISODate(endIsoInclusive);
-    const days = [];
-    for (let d = startOfDay(start); d <= end; d = addDays(d, 1)) {
-      days.push(toISODate(d));
-    }
-
-    const habitsActive = activeHabits;
-    if (habitsActive.length === 0) return { done: 0, total: 0, pct: 0 };
-
-    let done = 0;
-    let total = 0;
-
-    for (const iso of days) {
-      const checks = habitChecksByDate[iso] ?? {};
-      for (const h of habitsActive) {
-        total += 1;
-        if (checks[h.id]) done += 1;
-      }
-    }
-    const pct = total ? Math.round((done / total) * 100) : 0;
-    return { done, total, pct };
+    return completionForDays(activeHabits, habitChecksByDate, isoRange(startIso, endIsoInclusive));
   }
 
   const todayComp = useMemo(
@@ -538,17 +1217,137 @@ export default function App() {
     return out;
   }, [selectedDate]);
 
-   const visibleISOs = useMemo(() => {
-    if (view === "week") return weekISOs;
-    if (view === "month") return monthDays.map((d) => toISODate(d));
-    return [selectedISO];
-  }, [view, weekISOs, monthDays, selectedISO]);
+   const visibleISOs = useMemo(() => {
+    if (view === "week") return weekISOs;
+    if (view === "month") return monthDays.map((d) => toISODate(d));
+    return [selectedISO];
+  }, [view, weekISOs, monthDays, selectedISO]);
+
+  // Series occurrences for every day that can be on screen.
+  const occurrencesByDate = useMemo(
+    () => occurrencesForDates(seriesById, [...new Set([...visibleISOs, ...weekISOs, selectedISO])]),
+    [seriesById, visibleISOs, weekISOs, selectedISO]
+  );
+
+  function eventsForDay(iso) {
+    const occ = occurrencesByDate[iso] ?? occurrencesForDates(seriesById, [iso])[iso];
+    return [...(eventsByDate[iso] ?? []), ...occ];
+  }
+
+  // UIDs known to the planner, for de-duplicating .ics imports.
+  const knownEventUIDs = useMemo(() => {
+    const set = new Set();
+    for (const list of Object.values(eventsByDate)) for (const e of list) set.add(eventUID(e));
+    // Imported events that were turned into a series keep their UID on the first occurrence.
+    for (const s of Object.values(seriesById)) {
+      for (const ex of Object.values(s.exceptions ?? {})) if (ex.icsUid) set.add(ex.icsUid);
+    }
+    return set;
+  }, [eventsByDate, seriesById]);
+
+  function hasEventUID(icsUid) {
+    if (knownEventUIDs.has(icsUid)) return true;
+    // Exported series occurrences: "<seriesId>:<iso>@timeboxing-habits"
+    const occ = parseOccurrenceId(icsUid.split("@")[0]);
+    return !!(occ && seriesById[occ.seriesId]);
+  }
+
+  function importIcsEvents(items) {
+    setEventsByDate((prev) => {
+      const next = { ...prev };
+      for (const { uid: icsUid, iso, event } of items) {
+        const knownHabit = event.type === "habit" && habits.some((h) => h.id === event.habitId);
+        const evt = {
+          ...event,
+          id: uid(),
+          type: knownHabit ? "habit" : "custom",
+          color: event.color || (knownHabit ? "#bbf7d0" : "#93c5fd"),
+        };
+        if (!knownHabit) delete evt.habitId;
+        if (icsUid) evt.icsUid = icsUid;
+        next[iso] = [...(next[iso] ?? []), evt];
+      }
+      return next;
+    });
+  }
+
+  const editingEvent = editingEventId
+    ? eventsForDay(eventModalISO).find((e) => e.id === editingEventId) ?? null
+    : null;
+
+  useEffect(() => {
+    // Auto-create default habit blocks for all visible days
+    ensureDefaultHabitBlocksForDates(visibleISOs);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visibleISOs, activeHabits]);
+
+  // ------------------ Auto-check ended habit blocks ------------------
+  // With the setting on, a habit is checked for today once one of today's
+  // blocks for it has ended. Each block is handled once per session so that
+  // unchecking it afterwards sticks. Like default blocks, not an undo step.
+  const [clockTick, setClockTick] = useState(() => Date.now());
+  const autoCheckedRef = useRef(new Set());
+
+  useEffect(() => {
+    if (!settings.autoCheckHabitBlocks) return;
+    const t = setInterval(() => setClockTick(Date.now()), 60 * 1000);
+    return () => clearInterval(t);
+  }, [settings.autoCheckHabitBlocks]);
+
+  useEffect(() => {
+    if (!settings.autoCheckHabitBlocks || !hydrated) return;
+    const now = new Date(clockTick);
+    const iso = toISODate(now);
+    const nowMin = now.getHours() * 60 + now.getMinutes();
+    const ended = eventsForDay(iso).filter(
+      (e) =>
+        e.type === "habit" &&
+        e.startMin + e.durationMin <= nowMin &&
+        !autoCheckedRef.current.has(`${iso}:${e.id}`)
+    );
+    if (ended.length === 0) return;
+    ended.forEach((e) => autoCheckedRef.current.add(`${iso}:${e.id}`));
+
+    setHabitChecksByDateRaw((prev) => {
+      const row = { ...(prev[iso] ?? {}) };
+      let changed = false;
+      for (const e of ended) {
+        const h = habits.find((x) => x.id === e.habitId);
+        if (!h || isDoneValue(h, row[h.id])) continue;
+        row[h.id] = h.measure ? normalizeMeasure(h.measure).target : true;
+        changed = true;
+      }
+      return changed ? { ...prev, [iso]: row } : prev;
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clockTick, settings.autoCheckHabitBlocks, hydrated, eventsByDate, seriesById, habits]);
+
+  // ------------------ Reminders ------------------
+  // Timers for the next REMINDER_HORIZON_MS (lib/reminders.js), rebuilt on
+  // every change to events, checks or settings, and hourly so the horizon
+  // keeps moving.
+  const [notificationPerm, setNotificationPerm] = useState(notificationPermission);
+  const [reminderTick, setReminderTick] = useState(0);
+
+  async function askNotificationPermission() {
+    setNotificationPerm(await requestNotificationPermission());
+  }
 
   useEffect(() => {
-    // Auto-create default habit blocks for all visible days
-    ensureDefaultHabitBlocksForDates(visibleISOs);
+    if (!settings.remindersEnabled || notificationPerm !== "granted" || !hydrated) return;
+    const now = Date.now();
+    const reminders = buildReminders({
+      now,
+      getEventsForDay: eventsForDay,
+      habits: activeHabits,
+      checksByDate: habitChecksByDate,
+      settings,
+    });
+    const timers = reminders.map((r) => setTimeout(() => showNotification(r), r.at - now));
+    timers.push(setTimeout(() => setReminderTick((n) => n + 1), 60 * 60 * 1000));
+    return () => timers.forEach(clearTimeout);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [visibleISOs, activeHabits]);
+  }, [settings, notificationPerm, hydrated, eventsByDate, seriesById, activeHabits, habitChecksByDate, reminderTick]);
 
 
   // ------------------ Navigation ------------------
@@ -581,6 +1380,53 @@ export default function App() {
   const ROW_HEIGHT_PX = 32;
   const WEEK_START_MIN = 0;
   const WEEK_END_MIN = 24 * 60;
+  const PX_PER_MIN = ROW_HEIGHT_PX / STEP_MIN;
+
+  // Minute under the pointer in a timeline column whose top is `windowStart`.
+  function minuteAtPointer(e, windowStart) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return windowStart + (e.clientY - rect.top) / PX_PER_MIN;
+  }
+
+  function startBlockDrag(ev, iso, item) {
+    const rect = ev.currentTarget.getBoundingClientRect();
+    setDragPayload({
+      source: "existing",
+      iso,
+      eventId: item.event.id,
+      custom: item.event.type !== "habit",
+      grabOffsetMin: (ev.clientY - rect.top) / PX_PER_MIN + (item.top - item.event.startMin),
+    });
+  }
+
+  // Drop handler for the timeline column of day `iso`: moves the dragged block
+  // (from any day), or creates a block for a habit from the palette or a task
+  // from the inbox.
+  function dropOnTimeline(e, iso, windowStart) {
+    if (!dragPayload) return;
+    e.preventDefault();
+    const m = minuteAtPointer(e, windowStart);
+
+    if (dragPayload.source === "existing") {
+      const start = Math.floor((m - (dragPayload.grabOffsetMin ?? 0)) / STEP_MIN) * STEP_MIN;
+      moveEvent(dragPayload.iso, dragPayload.eventId, iso, clamp(start, 0, 24 * 60 - STEP_MIN));
+    } else if (dragPayload.source === "palette") {
+      addHabitBlockAtTime(iso, dragPayload.habitId, clamp(Math.floor(m / STEP_MIN) * STEP_MIN, 0, 24 * 60 - STEP_MIN));
+    } else if (dragPayload.source === "task") {
+      scheduleTask(dragPayload.taskId, iso, clamp(Math.floor(m / STEP_MIN) * STEP_MIN, 0, 24 * 60 - STEP_MIN));
+    }
+    setDragPayload(null);
+  }
+
+  // Absolute position of a laid-out block (see lib/layout.js) in its column.
+  function timelineBlockStyle(item, windowStart, gapPx) {
+    return {
+      top: (item.top - windowStart) * PX_PER_MIN,
+      height: Math.max(12, (item.bottom - item.top) * PX_PER_MIN - 2),
+      left: `calc(${(item.column / item.columns) * 100}% + ${gapPx}px)`,
+      width: `calc(${(item.span / item.columns) * 100}% - ${gapPx * 2}px)`,
+    };
+  }
 
   const timeRows = useMemo(() => {
     const rows = [];
@@ -595,10 +1441,65 @@ export default function App() {
   }, []);
 
 
+  // ------------------ Resize by dragging the bottom edge ------------------
+  // The new duration is previewed in the layout and only saved on release.
+  function timelineEventsForDay(iso) {
+    const list = eventsForDay(iso);
+    if (resizing?.iso !== iso) return list;
+    return list.map((e) => (e.id === resizing.eventId ? { ...e, durationMin: resizing.durationMin } : e));
+  }
+
+  function isResizingEvent(iso, e) {
+    return resizing?.iso === iso && resizing.eventId === e.id;
+  }
+
+  function resizeHandleProps(iso, e) {
+    return {
+      onPointerDown: (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        ev.currentTarget.setPointerCapture(ev.pointerId);
+        setResizing({
+          iso,
+          eventId: e.id,
+          startY: ev.clientY,
+          baseDurationMin: e.durationMin,
+          durationMin: e.durationMin,
+        });
+      },
+      onPointerMove: (ev) => {
+        if (!isResizingEvent(iso, e)) return;
+        const raw = resizing.baseDurationMin + (ev.clientY - resizing.startY) / PX_PER_MIN;
+        const durationMin = Math.max(STEP_MIN, Math.round(raw / STEP_MIN) * STEP_MIN);
+        if (durationMin !== resizing.durationMin) setResizing({ ...resizing, durationMin });
+      },
+      onPointerUp: () => {
+        if (!isResizingEvent(iso, e)) return;
+        if (resizing.durationMin !== resizing.baseDurationMin) {
+          updateEventForDay(iso, e.id, { durationMin: resizing.durationMin });
+        }
+        setResizing(null);
+      },
+      onPointerCancel: () => setResizing(null),
+      onClick: (ev) => ev.stopPropagation(),
+    };
+  }
+
+  const dayLayout = layoutDayEvents(timelineEventsForDay(selectedISO), {
+    windowStart: DAY_START_MIN,
+    windowEnd: DAY_END_MIN + STEP_MIN,
+  });
+  const weekLayouts = Object.fromEntries(
+    weekISOs.map((iso) => [
+      iso,
+      layoutDayEvents(timelineEventsForDay(iso), { windowStart: WEEK_START_MIN, windowEnd: WEEK_END_MIN }),
+    ])
+  );
+
   const dayEventsSorted = useMemo(() => {
-    const arr = eventsByDate[selectedISO] ?? [];
-    return [...arr].sort((a, b) => a.startMin - b.startMin);
-  }, [eventsByDate, selectedISO]);
+    const arr = [...(eventsByDate[selectedISO] ?? []), ...(occurrencesByDate[selectedISO] ?? [])];
+    return arr.sort((a, b) => a.startMin - b.startMin);
+  }, [eventsByDate, occurrencesByDate, selectedISO]);
 
   // ------------------------- Render -------------------------
   return (
@@ -644,9 +1545,94 @@ export default function App() {
                 <option value="month">Månadsvy</option>
               </select>
             </div>
+
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setSearchOpen(true)}
+              type="button"
+            >
+              Sök
+            </button>
+
+            <FocusTimerBar
+              timer={focusTimer}
+              onPause={() => setFocusTimer((t) => t && pauseTimer(t))}
+              onResume={() => setFocusTimer((t) => t && resumeTimer(t))}
+              onStop={stopFocus}
+            />
+
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm disabled:opacity-40"
+              onClick={undo}
+              disabled={!history.canUndo}
+              type="button"
+              title="Ångra (Ctrl+Z)"
+            >
+              Ångra
+            </button>
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm disabled:opacity-40"
+              onClick={redo}
+              disabled={!history.canRedo}
+              type="button"
+              title="Gör om (Ctrl+Shift+Z)"
+            >
+              Gör om
+            </button>
+
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setBackupModalOpen(true)}
+              type="button"
+            >
+              Säkerhetskopia
+            </button>
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setRestoreModalOpen(true)}
+              type="button"
+            >
+              Återställ
+            </button>
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setSettingsModalOpen(true)}
+              type="button"
+            >
+              Inställningar
+            </button>
           </div>
         </div>
 
+        {storageError ? (
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+            <div>Sparad data kunde inte läsas och har lagts i karantän. Inget sparas förrän du har valt vad som ska gälla.</div>
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setRestoreModalOpen(true)}
+              type="button"
+            >
+              Öppna återställning
+            </button>
+          </div>
+        ) : null}
+
+        {saveError ? (
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+            <div>
+              Senaste ändringen kunde inte sparas ({saveError}). Den finns kvar i fönstret, men ladda ner en säkerhetskopia
+              innan du stänger det.
+            </div>
+            <button
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
+              onClick={() => setBackupModalOpen(true)}
+              type="button"
+            >
+              Säkerhetskopia
+            </button>
+          </div>
+        ) : null}
+
         {/* Top: Weekly habits grid */}
         <div className="mt-5">
           <Section
@@ -687,15 +1673,77 @@ export default function App() {
                   })}
                 </div>
                         <div className="divide-y">
-{activeHabits.map((h) => (
+{activeHabits.map((h) => {
+  const quota = quotaProgress(h, habitChecksByDate, selectedISO);
+  const streak = currentStreak(h, habitChecksByDate, toISODate(today));
+  return (
   <div key={h.id} className="grid grid-cols-[260px_repeat(7,1fr)] items-center">
     <div className="p-3">
-      <div className="text-sm font-semibold">{h.name}</div>
-      <div className="text-xs text-neutral-600">Bocka av per dag</div>
+      <button
+        type="button"
+        className="flex items-center gap-2 text-left text-sm font-semibold hover:underline"
+        onClick={() => setStatsHabitId(h.id)}
+        title="Visa statistik"
+      >
+        {h.name}
+        {streak > 0 ? (
+          <span className="rounded-full bg-orange-100 px-2 text-xs font-normal text-orange-800">
+            🔥 {streak} {streakUnitLabel(h.schedule, streak)}
+          </span>
+        ) : null}
+      </button>
+      <div className="text-xs text-neutral-600">
+        {describeSchedule(h.schedule)}
+        {h.measure ? ` • mål ${h.measure.target}${h.measure.unit ? ` ${h.measure.unit}` : ""}/dag` : ""}
+        {quota ? ` • ${quota.done}/${quota.target} klara` : ""}
+      </div>
     </div>
 
     {weekISOs.map((iso) => {
-      const checked = !!habitChecksByDate[iso]?.[h.id];
+      const raw = habitChecksByDate[iso]?.[h.id];
+      const checked = isDoneValue(h, raw);
+
+      if (!isHabitScheduledOn(h, iso) && !raw) {
+        return (
+          <div key={iso} className="flex items-center justify-center p-3 text-xs text-neutral-400" title="Inte schemalagd">
+            –
+          </div>
+        );
+      }
+
+      if (h.measure) {
+        const amount = measuredValue(h, raw);
+        const pct = Math.min(100, Math.round((amount / h.measure.target) * 100));
+        return (
+          <div key={iso} className="flex flex-col items-center gap-1 p-2">
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                className="h-6 w-6 rounded-lg border bg-white text-xs disabled:opacity-40"
+                onClick={() => stepHabitValue(iso, h, -1)}
+                disabled={amount <= 0}
+                aria-label="Minska"
+              >
+                −
+              </button>
+              <span className={`min-w-[2.5rem] text-center text-xs ${checked ? "font-semibold text-green-700" : ""}`}>
+                {amount}/{h.measure.target}
+              </span>
+              <button
+                type="button"
+                className="h-6 w-6 rounded-lg border bg-white text-xs"
+                onClick={() => stepHabitValue(iso, h, 1)}
+                aria-label="Öka"
+              >
+                +
+              </button>
+            </div>
+            <div className="h-1 w-full rounded-full bg-neutral-200">
+              <div className="h-1 rounded-full bg-green-600" style={{ width: `${pct}%` }} />
+            </div>
+          </div>
+        );
+      }
 
       return (
         <div key={iso} className="flex items-center justify-center p-3">
@@ -709,7 +1757,8 @@ export default function App() {
       );
     })}
   </div>
-))}
+  );
+})}
 
                   {activeHabits.length === 0 && (
                     <div className="p-4 text-sm text-neutral-600">
@@ -733,8 +1782,56 @@ export default function App() {
           <Section
             title="Kalender"
             right={
-              <div className="flex items-center gap-2">
+              <div className="flex flex-wrap items-center justify-end gap-2">
                 <Pill>Valt datum: {fmtFull(selectedDate)}</Pill>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => setIcsModalOpen(true)}
+                  type="button"
+                  title="Exportera eller importera .ics"
+                >
+                  .ics
+                </button>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => setAutoPlanOpen(true)}
+                  type="button"
+                  title="Lägg oplanerade uppgifter och vanor i lediga luckor"
+                >
+                  Auto-planera
+                </button>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => setCopyDialog({ report: null })}
+                  type="button"
+                  title="Kopiera valt datums block till en annan dag"
+                >
+                  Duplicera dag…
+                </button>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => copyWeekToNextWeek(selectedISO)}
+                  type="button"
+                  title="Kopiera vald veckas block till veckan efter"
+                >
+                  Kopiera vecka →
+                </button>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => openMoveUnfinished(selectedISO)}
+                  type="button"
+                  title="Välj block utan loggad tid på valt datum och flytta dem till dagen efter"
+                >
+                  Flytta ofärdiga →
+                </button>
+                <button
+                  className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                  onClick={() => setTemplatesOpen(true)}
+                  type="button"
+                  title="Spara eller använd dag- och veckomallar"
+                >
+                  Mallar
+                </button>
                 <IconButton title="Lägg till aktivitet" onClick={() => openAddEventModal(selectedISO)}>
                   +
                 </IconButton>
@@ -750,8 +1847,8 @@ export default function App() {
                 </div>
 
                 <div className="mt-4 grid grid-cols-1 gap-4 lg:grid-cols-3">
-                  {/* Habit palette */}
-                  <div className="lg:col-span-1">
+                  {/* Habit palette and task inbox */}
+                  <div className="space-y-4 lg:col-span-1">
                     <div className="rounded-2xl border bg-white p-3 shadow-sm">
                       <div className="text-sm font-semibold">Dra in habits</div>
                       <div className="mt-2 text-xs text-neutral-600">
@@ -775,24 +1872,30 @@ export default function App() {
 
                       <button
                         className="mt-3 w-full rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm"
-                        onClick={() => {
-                          // Remove habit blocks and recreate
-                          setEventsByDate((prev) => {
-                            const cur = prev[selectedISO] ?? [];
-                            const kept = cur.filter((e) => e.type !== "habit");
-                            return { ...prev, [selectedISO]: kept };
-                          });
-                          setTimeout(() => ensureDefaultHabitBlocksForDay(selectedISO), 0);
-                        }}
+                        onClick={() => regenerateHabitBlocksForDay(selectedISO)}
                         type="button"
                       >
                         Återskapa default-habits för dagen
                       </button>
 
                       <div className="mt-3 rounded-2xl border bg-neutral-50 p-3 text-xs text-neutral-700">
-                        Tips: Klicka på ett block i tidslinjen för att redigera färg, namn, tid, kommentar eller ta bort.
+                        Tips: Klicka på ett block i tidslinjen för att redigera kategori, namn, tid, kommentar eller ta bort.
                       </div>
                     </div>
+
+                    <TaskInbox
+                      tasks={tasks}
+                      todayISO={toISODate(today)}
+                      onAdd={addTask}
+                      onUpdate={updateTask}
+                      onDelete={deleteTask}
+                      onDragStartTask={(taskId) => setDragPayload({ source: "task", taskId })}
+                      acceptsDrop={dragPayload?.source === "existing" && !!dragPayload.custom}
+                      onDropBack={() => {
+                        unscheduleEvent(dragPayload.iso, dragPayload.eventId);
+                        setDragPayload(null);
+                      }}
+                    />
                   </div>
 
                   {/* Timeline */}
@@ -803,79 +1906,119 @@ export default function App() {
                       </div>
 
                       <div className="max-h-[560px] overflow-auto">
-                        {timeRows.map((m) => {
-                          const label = m % 60 === 0 ? minutesToHHMM(m) : "";
-                          const rowEvents = (eventsByDate[selectedISO] ?? [])
-                            .filter((e) => e.startMin === m)
-                            .sort((a, b) => a.durationMin - b.durationMin);
+                        <div
+                          className="relative"
+                          onDragOver={(e) => e.preventDefault()}
+                          onDrop={(e) => dropOnTimeline(e, selectedISO, DAY_START_MIN)}
+                        >
+                          {timeRows.map((m) => (
+                            <div key={m} className="flex border-b" style={{ height: ROW_HEIGHT_PX }}>
+                              <div className="w-16 shrink-0 p-2 text-right text-xs text-neutral-500">
+                                {m % 60 === 0 ? minutesToHHMM(m) : ""}
+                              </div>
+                            </div>
+                          ))}
 
-                          return (
-                            <div
-                              key={m}
-                              onDragOver={(e) => e.preventDefault()}
-                              onDrop={() => {
-                                if (!dragPayload) return;
-
-                                if (dragPayload.source === "existing") {
-                                  moveEventToTime(selectedISO, dragPayload.eventId, m);
-                                } else if (dragPayload.source === "palette") {
-                                  addHabitBlockAtTime(selectedISO, dragPayload.habitId, m);
-                                }
-                                setDragPayload(null);
-                              }}
-                               className="relative flex items-stretch border-b overflow-visible"
-                              style={{ height: ROW_HEIGHT_PX }}>
-                              <div className="w-16 shrink-0 p-2 text-right text-xs text-neutral-500">{label}</div>
-
-                              <div className="flex-1 p-2">
-                                {rowEvents.length === 0 ? (
-                                  <div className="h-3" />
-                                ) : (
-                                  <div className="space-y-2">
-                                    {rowEvents.map((e) => (
-                                      <div
-                                        key={e.id}
-                                        draggable
-                                        onDragStart={() => setDragPayload({ source: "existing", eventId: e.id })}
-                                        onClick={() => openEditEventModal(selectedISO, e)}
-                                        className="cursor-pointer rounded-2xl border p-2 text-sm shadow-sm hover:brightness-95"
-                                        style={{
-                                          backgroundColor: e.color || (e.type === "habit" ? "#bbf7d0" : "#93c5fd"),
-                                            height: `${Math.max(1, (e.durationMin ?? STEP_MIN) / STEP_MIN) * ROW_HEIGHT_PX}px`,
+                          <div className="absolute inset-y-0 left-16 right-2">
+                            {dayLayout.map((item) => {
+                              const e = item.event;
+                              const done = e.type === "habit" && isHabitDoneOn(selectedISO, e.habitId);
+                              return (
+                                <div
+                                  key={e.id}
+                                  draggable={!resizing}
+                                  onDragStart={(ev) => startBlockDrag(ev, selectedISO, item)}
+                                  onDragEnd={() => setDragPayload(null)}
+                                  onClick={() => openEditEventModal(selectedISO, e)}
+                                  className={`absolute cursor-pointer overflow-hidden rounded-2xl border px-2 py-1 text-sm shadow-sm hover:brightness-95 ${
+                                    done ? "opacity-60" : ""
+                                  }`}
+                                  style={{
+                                    ...timelineBlockStyle(item, DAY_START_MIN, 2),
+                                    backgroundColor: e.color || (e.type === "habit" ? "#bbf7d0" : "#93c5fd"),
+                                  }}
+                                  title="Klicka för att redigera • Dra för att flytta"
+                                >
+                                  <div className="flex items-start justify-between gap-2">
+                                    <div className="min-w-0">
+                                      <div className={`truncate font-semibold ${done ? "line-through" : ""}`}>
+                                        {done ? "✓ " : ""}
+                                        {e.title}
+                                      </div>
+                                      <div className="truncate text-xs text-neutral-700">
+                                        {minutesToHHMM(e.startMin)}
+                                        {isResizingEvent(selectedISO, e) ? `–${minutesToHHMM(e.startMin + e.durationMin)}` : ""} •{" "}
+                                        {e.durationMin} min
+                                        {actualMinutes(e) != null ? ` (faktiskt ${actualMinutes(e)})` : ""}
+                                        {isTracking(e) ? " • ● pågår" : ""} •{" "}
+                                        {e.type === "habit" ? "habit" : "custom"}
+                                        {e.seriesId ? " • ↻" : ""}
+                                      </div>
+                                      {e.notes ? (
+                                        <div className="mt-1 truncate text-xs text-neutral-700">{e.notes}</div>
+                                      ) : null}
+                                    </div>
+                                    <div className="flex shrink-0 gap-1">
+                                      <button
+                                        type="button"
+                                        className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                                        onClick={(ev) => {
+                                          ev.stopPropagation();
+                                          startFocus(selectedISO, e, "countdown");
                                         }}
-                                        title="Klicka för att redigera • Dra för att flytta"
+                                        title="Starta nedräkning över blockets längd"
                                       >
-                                        <div className="flex items-start justify-between gap-2">
-                                          <div className="min-w-0">
-                                            <div className="truncate font-semibold">{e.title}</div>
-                                            <div className="text-xs text-neutral-700">
-                                              {minutesToHHMM(e.startMin)} • {e.durationMin} min •{" "}
-                                              {e.type === "habit" ? "habit" : "custom"}
-                                            </div>
-                                            {e.notes ? (
-                                              <div className="mt-1 truncate text-xs text-neutral-700">{e.notes}</div>
-                                            ) : null}
-                                          </div>
-                                          <button
-                                            type="button"
-                                            className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
-                                            onClick={(ev) => {
-                                              ev.stopPropagation();
-                                              deleteEventForDay(selectedISO, e.id);
-                                            }}
-                                            title="Ta bort"
-                                          >
-                                            Ta bort
-                                          </button>
-                                        </div>
-                                      </div>
-                                    ))}
+                                        ▶
+                                      </button>
+                                      <button
+                                        type="button"
+                                        className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                                        onClick={(ev) => {
+                                          ev.stopPropagation();
+                                          startFocus(selectedISO, e, "pomodoro");
+                                        }}
+                                        title={`Starta Pomodoro (${POMODORO.focusMin} min fokus, ${POMODORO.breakMin} min paus)`}
+                                      >
+                                        🍅
+                                      </button>
+                                      {e.type === "habit" ? (
+                                        <button
+                                          type="button"
+                                          className={`rounded-xl border px-2 py-1 text-xs shadow-sm ${
+                                            done ? "bg-green-600 text-white" : "bg-white hover:bg-neutral-50"
+                                          }`}
+                                          onClick={(ev) => {
+                                            ev.stopPropagation();
+                                            toggleHabitBlockDone(selectedISO, e.habitId);
+                                          }}
+                                          title={done ? "Markera som ej klar" : "Markera som klar"}
+                                        >
+                                          {done ? "Klar ✓" : "Klar"}
+                                        </button>
+                                      ) : null}
+                                      <button
+                                        type="button"
+                                        className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                                        onClick={(ev) => {
+                                          ev.stopPropagation();
+                                          requestDeleteEvent(selectedISO, e);
+                                        }}
+                                        title="Ta bort"
+                                      >
+                                        Ta bort
+                                      </button>
+                                    </div>
                                   </div>
-                                )}
-                              </div>
-                            </div>
-                          );
-                        })}
+                                  <span
+                                    className="absolute inset-x-0 bottom-0 h-2 cursor-ns-resize"
+                                    title="Dra för att ändra längd"
+                                    {...resizeHandleProps(selectedISO, e)}
+                                  />
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </div>
                       </div>
                     </div>
 
@@ -897,6 +2040,7 @@ export default function App() {
                                 <div className="truncate text-sm font-semibold">{e.title}</div>
                                 <div className="text-xs text-neutral-600">
                                   {minutesToHHMM(e.startMin)} • {e.durationMin} min
+                                  {e.seriesId ? " • ↻" : ""}
                                 </div>
                               </div>
                               <span
@@ -949,57 +2093,91 @@ export default function App() {
                     </div>
 
                                      <div className="border-b px-3 py-2 text-xs text-neutral-600">
-                      Skrolla för att se hela dygnet (00:00–24:00). Klicka på en aktivitet för att redigera. + lägger
-                      till på valt datum.
+                      Skrolla för att se hela dygnet (00:00–24:00). Klicka på en aktivitet för att redigera, dra den
+                      för att flytta till en annan tid eller dag. + lägger till på valt datum.
                     </div>
 
-                                         <div className="max-h-[640px] overflow-y-auto">
-                      {weekTimeRows.map((m) => {
-                        const label = m % 60 === 0 ? minutesToHHMM(m) : "";
-                        return (
-                             <div
-                           key={m}
-                           className="grid grid-cols-[90px_repeat(7,1fr)] border-b"
-                           style={{ height: ROW_HEIGHT_PX }}
-                         >
-                            <div className="p-2 text-right text-[11px] text-neutral-500">{label}</div>
-                            {weekISOs.map((iso) => {
-                              const rowEvents = (eventsByDate[iso] ?? [])
-                                .filter((e) => e.startMin === m)
-                                .sort((a, b) => a.durationMin - b.durationMin);
-                              return (
-                                 <div key={iso} className="relative overflow-visible border-l p-1">
-                                  {rowEvents.length === 0 ? (
-                                    <div className="h-3" />
-                                  ) : (
-                                    <div className="space-y-1">
-                                      {rowEvents.map((e) => (
-                                        <button
-                                          key={e.id}
-                                          type="button"
-                                          onClick={() => openEditEventModal(iso, e)}
-                                          className="w-full rounded-xl border px-2 py-1 text-left text-[11px] shadow-sm hover:brightness-95"
-                                          style={{
-                                            backgroundColor: e.color || (e.type === "habit" ? "#bbf7d0" : "#93c5fd"),
-                                            height: `${Math.max(1, (e.durationMin ?? STEP_MIN) / STEP_MIN) * ROW_HEIGHT_PX}px`,
-                                          }}
-                                          title="Klicka för att redigera"
-                                        >
-                                          <div className="truncate font-semibold">{e.title}</div>
-                                          <div className="text-[10px] text-neutral-700">
-                                            {minutesToHHMM(e.startMin)} • {e.durationMin} min
-                                          </div>
-                                        </button>
-                                      ))}
+                    <div className="flex flex-wrap items-center gap-2 border-b px-3 py-2">
+                      <span className="text-xs font-semibold text-neutral-600">Dra in habits:</span>
+                      {activeHabits.map((h) => (
+                        <div
+                          key={h.id}
+                          draggable
+                          onDragStart={() => setDragPayload({ source: "palette", habitId: h.id })}
+                          onDragEnd={() => setDragPayload(null)}
+                          className="cursor-grab rounded-2xl border bg-neutral-50 px-2 py-1 text-xs font-semibold hover:bg-neutral-100"
+                          title="Dra till en dag i veckan"
+                        >
+                          {h.name}
+                        </div>
+                      ))}
+                      {activeHabits.length === 0 && <span className="text-xs text-neutral-600">Inga aktiva habits.</span>}
+                    </div>
 
-                                    </div>
-                                            )}
-                                </div>
+                    <div className="max-h-[640px] overflow-y-auto">
+                      <div className="grid grid-cols-[90px_repeat(7,1fr)]">
+                        <div>
+                          {weekTimeRows.map((m) => (
+                            <div
+                              key={m}
+                              className="border-b p-2 text-right text-[11px] text-neutral-500"
+                              style={{ height: ROW_HEIGHT_PX }}
+                            >
+                              {m % 60 === 0 ? minutesToHHMM(m) : ""}
+                            </div>
+                          ))}
+                        </div>
+                        {weekISOs.map((iso) => (
+                          <div
+                            key={iso}
+                            className="relative border-l"
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={(e) => dropOnTimeline(e, iso, WEEK_START_MIN)}
+                          >
+                            {weekTimeRows.map((m) => (
+                              <div key={m} className="border-b" style={{ height: ROW_HEIGHT_PX }} />
+                            ))}
+                            {weekLayouts[iso].map((item) => {
+                              const e = item.event;
+                              const done = e.type === "habit" && isHabitDoneOn(iso, e.habitId);
+                              return (
+                                <button
+                                  key={e.id}
+                                  type="button"
+                                  draggable={!resizing}
+                                  onDragStart={(ev) => startBlockDrag(ev, iso, item)}
+                                  onDragEnd={() => setDragPayload(null)}
+                                  onClick={() => openEditEventModal(iso, e)}
+                                  className={`absolute overflow-hidden rounded-xl border px-2 py-1 text-left text-[11px] shadow-sm hover:brightness-95 ${
+                                    done ? "opacity-60" : ""
+                                  }`}
+                                  style={{
+                                    ...timelineBlockStyle(item, WEEK_START_MIN, 1),
+                                    backgroundColor: e.color || (e.type === "habit" ? "#bbf7d0" : "#93c5fd"),
+                                  }}
+                                  title="Klicka för att redigera • Dra för att flytta"
+                                >
+                                  <div className={`truncate font-semibold ${done ? "line-through" : ""}`}>
+                                    {done ? "✓ " : ""}
+                                    {e.title}
+                                  </div>
+                                  <div className="truncate text-[10px] text-neutral-700">
+                                    {minutesToHHMM(e.startMin)}
+                                    {isResizingEvent(iso, e) ? `–${minutesToHHMM(e.startMin + e.durationMin)}` : ""} •{" "}
+                                    {e.durationMin} min
+                                    {e.seriesId ? " • ↻" : ""}
+                                  </div>
+                                  <span
+                                    className="absolute inset-x-0 bottom-0 h-2 cursor-ns-resize"
+                                    title="Dra för att ändra längd"
+                                    {...resizeHandleProps(iso, e)}
+                                  />
+                                </button>
                               );
                             })}
                           </div>
-                        );
-                      })}
+                        ))}
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -1023,12 +2201,13 @@ export default function App() {
                   {monthDays.map((d) => {
                     const iso = toISODate(d);
                     const inMonth = d.getMonth() === selectedDate.getMonth();
-                    const plannedCount = (eventsByDate[iso] ?? []).length;
+                    const plannedCount = eventsForDay(iso).length;
 
-                    const checks = habitChecksByDate[iso] ?? {};
-                    const dayDone = activeHabits.reduce((acc, h) => acc + (checks[h.id] ? 1 : 0), 0);
-                    const dayTotal = activeHabits.length;
-                    const dayPct = dayTotal ? Math.round((dayDone / dayTotal) * 100) : 0;
+                    const { done: dayDone, total: dayTotal, pct: dayPct } = completionForDays(
+                      activeHabits,
+                      habitChecksByDate,
+                      [iso]
+                    );
 
                     return (
                       <button
@@ -1064,22 +2243,66 @@ export default function App() {
 
         {/* Bottom: pie charts */}
         <div className="mt-5">
-          <Section title="Uppföljning">
+          <Section
+            title="Uppföljning"
+            right={
+              <button
+                type="button"
+                className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+                onClick={() => setTimeReportOpen(true)}
+              >
+                Planerad vs. faktisk tid
+              </button>
+            }
+          >
             <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
               <Pie percent={todayComp.pct} label="Idag" sublabel={`${todayComp.done}/${todayComp.total} habits klara`} />
               <Pie percent={weekComp.pct} label="Denna vecka" sublabel={`${weekComp.done}/${weekComp.total} habits klara`} />
               <Pie percent={monthComp.pct} label="Denna månad" sublabel={`${monthComp.done}/${monthComp.total} habits klara`} />
             </div>
 
+            <div className="mt-4">
+              <CategoryChart
+                anchorISO={selectedISO}
+                getEventsForDay={eventsForDay}
+                categories={categories}
+                right={
+                  <button
+                    type="button"
+                    className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                    onClick={() => setCategoriesModalOpen(true)}
+                  >
+                    Kategorier
+                  </button>
+                }
+              />
+            </div>
+
             <div className="mt-3 rounded-2xl border bg-white p-3 text-sm text-neutral-700 shadow-sm">
-              Diagrammen baseras på bockade habits (aktiva habits). Kalender-aktiviteter är separat och hjälper dig timeboxa.
+              Cirkeldiagrammen baseras på bockade habits (aktiva habits). Stapeldiagrammet visar planerad tid i kalendern per
+              kategori för vald dag, vecka eller månad.
             </div>
           </Section>
         </div>
 
         {/* Footer */}
-        <div className="mt-6 text-xs text-neutral-500">
-          Sparas lokalt i din webbläsare (localStorage). Inget skickas någonstans.
+        <div className="mt-6 flex flex-wrap items-center gap-2 text-xs text-neutral-500">
+          <span>Sparas lokalt i din webbläsare ({storage.name}). Inget skickas någonstans.</span>
+          {hasIndexedDB() ? (
+            <select
+              className="rounded-xl border bg-white px-2 py-1 text-xs"
+              value={storage.name}
+              onChange={(e) => changeStorageBackend(e.target.value)}
+              disabled={!hydrated}
+              title="Lagring"
+            >
+              {STORAGE_BACKENDS.map((b) => (
+                <option key={b.value} value={b.value}>
+                  {b.label}
+                </option>
+              ))}
+            </select>
+          ) : null}
         </div>
       </div>
 
@@ -1116,15 +2339,48 @@ export default function App() {
               />
             </div>
 
-            <div>
-              <div className="text-xs font-semibold text-neutral-700">Färg</div>
-              <input
-                className="mt-1 h-[40px] w-full rounded-2xl border bg-white px-2 py-2"
-                type="color"
-                value={formColor}
-                onChange={(e) => setFormColor(e.target.value)}
-              />
-            </div>
+            {editingEvent?.type === "habit" ? (
+              <div>
+                <div className="text-xs font-semibold text-neutral-700">Färg</div>
+                <input
+                  className="mt-1 h-[40px] w-full rounded-2xl border bg-white px-2 py-2"
+                  type="color"
+                  value={formColor}
+                  onChange={(e) => setFormColor(e.target.value)}
+                />
+              </div>
+            ) : (
+              <div>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-xs font-semibold text-neutral-700">Kategori</div>
+                  <button
+                    type="button"
+                    className="text-xs text-neutral-600 underline hover:text-black"
+                    onClick={() => setCategoriesModalOpen(true)}
+                  >
+                    Hantera
+                  </button>
+                </div>
+                <div className="mt-1 flex items-center gap-2 rounded-2xl border bg-white px-3 py-2">
+                  <span
+                    className="h-3 w-3 shrink-0 rounded-full border"
+                    style={{ backgroundColor: findCategory(categories, formCategoryId)?.color ?? formColor }}
+                  />
+                  <select
+                    className="w-full bg-transparent text-sm"
+                    value={formCategoryId}
+                    onChange={(e) => setFormCategoryId(e.target.value)}
+                  >
+                    <option value="">Ingen kategori</option>
+                    {categories.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
           </div>
 
           <div>
@@ -1148,6 +2404,126 @@ export default function App() {
             />
           </div>
 
+          <div>
+            <div className="text-xs font-semibold text-neutral-700">Påminnelse</div>
+            <div className="mt-1 grid grid-cols-2 gap-2">
+              <select
+                className="w-full rounded-2xl border bg-white px-3 py-2 text-sm"
+                value={formReminder}
+                onChange={(e) => setFormReminder(e.target.value)}
+              >
+                <option value="default">Standard ({reminderLabel(settings.reminderBeforeMin).toLowerCase()})</option>
+                {REMINDER_OPTIONS.map((o) => (
+                  <option key={o.label} value={o.value === null ? "none" : String(o.value)}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="w-full rounded-2xl border bg-white px-3 py-2 text-sm"
+                value={formReminderEnd}
+                onChange={(e) => setFormReminderEnd(e.target.value)}
+              >
+                <option value="default">Vid slut: standard ({settings.reminderAtEnd ? "på" : "av"})</option>
+                <option value="on">Vid slut: på</option>
+                <option value="off">Vid slut: av</option>
+              </select>
+            </div>
+            {!settings.remindersEnabled || notificationPerm !== "granted" ? (
+              <div className="mt-1 text-xs text-neutral-600">
+                Notiser är avstängda på den här enheten, slå på dem under Inställningar.
+              </div>
+            ) : null}
+          </div>
+
+          {editingEvent?.type !== "habit" ? (
+            <RepeatFields value={formRepeat} onChange={setFormRepeat} startISO={eventModalISO} />
+          ) : null}
+
+          {editingEvent ? (
+            <div className="flex flex-wrap items-center gap-2 rounded-2xl border bg-neutral-50 p-3 text-sm">
+              <span className="text-xs font-semibold text-neutral-700">Fokustimer</span>
+              <button
+                type="button"
+                className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                onClick={() => {
+                  startFocus(eventModalISO, editingEvent, "countdown");
+                  setEventModalOpen(false);
+                }}
+              >
+                Nedräkning ({editingEvent.durationMin} min)
+              </button>
+              <button
+                type="button"
+                className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                onClick={() => {
+                  startFocus(eventModalISO, editingEvent, "pomodoro");
+                  setEventModalOpen(false);
+                }}
+              >
+                Pomodoro
+              </button>
+            </div>
+          ) : null}
+
+          {editingEvent ? (
+            <div className="rounded-2xl border bg-neutral-50 p-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-xs font-semibold text-neutral-700">Faktisk tid</span>
+                <span className="text-xs text-neutral-600">
+                  Planerat {editingEvent.durationMin} min • faktiskt{" "}
+                  {actualMinutes(editingEvent) == null ? "–" : `${actualMinutes(editingEvent)} min`}
+                  {Number.isFinite(editingEvent.actualMin) ? ` • fokus ${editingEvent.actualMin} min` : ""}
+                  {isTracking(editingEvent) ? " • pågår" : ""}
+                </span>
+              </div>
+              <div className="mt-2 flex flex-wrap items-end gap-2">
+                <label className="text-xs text-neutral-700">
+                  Start
+                  <input
+                    className="mt-1 block rounded-xl border bg-white px-2 py-1 text-sm"
+                    type="time"
+                    value={formActualStart}
+                    onChange={(e) => setFormActualStart(e.target.value)}
+                  />
+                </label>
+                <label className="text-xs text-neutral-700">
+                  Slut
+                  <input
+                    className="mt-1 block rounded-xl border bg-white px-2 py-1 text-sm"
+                    type="time"
+                    value={formActualEnd}
+                    onChange={(e) => setFormActualEnd(e.target.value)}
+                  />
+                </label>
+                <button
+                  type="button"
+                  className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                  onClick={() => saveActualTimeFromForm(eventModalISO, editingEvent)}
+                >
+                  Spara tid
+                </button>
+                {isTracking(editingEvent) ? (
+                  <button
+                    type="button"
+                    className="rounded-xl border bg-black px-2 py-1 text-xs text-white shadow-sm"
+                    onClick={() => stopActualTime(eventModalISO, editingEvent)}
+                  >
+                    Stoppa nu
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+                    onClick={() => startActualTime(eventModalISO, editingEvent)}
+                  >
+                    Starta nu
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : null}
+
           <div className="flex flex-wrap items-center justify-between gap-2 pt-2">
             <div className="flex gap-2">
               {editingEventId ? (
@@ -1185,6 +2561,190 @@ export default function App() {
         </div>
       </Modal>
       
+      {/* Series scope prompt */}
+      <Modal
+        open={!!seriesScopePrompt}
+        title={seriesScopePrompt?.action === "delete" ? "Ta bort återkommande aktivitet" : "Ändra återkommande aktivitet"}
+        onClose={() => setSeriesScopePrompt(null)}
+      >
+        <div className="space-y-2">
+          <div className="text-sm text-neutral-700">
+            {seriesScopePrompt?.iso} ingår i en serie. Vilka tillfällen gäller det?
+          </div>
+          {[
+            ["one", "Bara detta tillfälle"],
+            ["following", "Detta och följande"],
+            ["all", "Hela serien"],
+          ].map(([scope, label]) => (
+            <button
+              key={scope}
+              type="button"
+              className="w-full rounded-2xl border bg-white px-3 py-2 text-left text-sm shadow-sm hover:bg-neutral-50"
+              onClick={() => applySeriesScope(scope)}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            type="button"
+            className="w-full rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50"
+            onClick={() => setSeriesScopePrompt(null)}
+          >
+            Avbryt
+          </button>
+        </div>
+      </Modal>
+
+      {/* After the event modal so it opens on top of it */}
+      <CategoriesDialog
+        open={categoriesModalOpen}
+        onClose={() => setCategoriesModalOpen(false)}
+        categories={categories}
+        onAdd={addCategory}
+        onUpdate={updateCategory}
+        onDelete={deleteCategory}
+      />
+
+      <TimeReportDialog
+        open={timeReportOpen}
+        onClose={() => setTimeReportOpen(false)}
+        anchorISO={selectedISO}
+        getEventsForDay={eventsForDay}
+        categoryOf={eventCategory}
+        onOpenEvent={(iso, evt) => {
+          setTimeReportOpen(false);
+          openEditEventModal(iso, evt);
+        }}
+      />
+
+      <SearchDialog
+        open={searchOpen}
+        onClose={() => setSearchOpen(false)}
+        eventsByDate={eventsByDate}
+        seriesById={seriesById}
+        categories={categories}
+        onOpenEvent={(iso, evt) => {
+          setSearchOpen(false);
+          setSelectedISO(iso);
+          openEditEventModal(iso, evt);
+        }}
+      />
+
+      <TemplatesDialog
+        open={templatesOpen}
+        onClose={() => setTemplatesOpen(false)}
+        templates={templates}
+        anchorISO={selectedISO}
+        habits={habits}
+        getEventsForDay={eventsForDay}
+        onSave={saveTemplate}
+        onDelete={deleteTemplate}
+        onApply={applyTemplate}
+      />
+
+      <AutoPlanDialog
+        open={autoPlanOpen}
+        onClose={() => setAutoPlanOpen(false)}
+        anchorISO={selectedISO}
+        planInput={{
+          todayISO: toISODate(new Date()),
+          nowMin: nowMinutes(),
+          tasks,
+          habits: activeHabits,
+          checksByDate: habitChecksByDate,
+          getEventsForDay: eventsForDay,
+          windowStart: DAY_START_MIN,
+          windowEnd: DAY_END_MIN,
+          step: STEP_MIN,
+        }}
+        onApply={applyAutoPlan}
+      />
+
+      <CopyPlanDialog
+        open={!!copyDialog}
+        onClose={() => setCopyDialog(null)}
+        sourceISO={selectedISO}
+        report={copyDialog?.report ?? null}
+        move={copyDialog?.move ?? null}
+        onDuplicate={(toISO) => duplicateDay(selectedISO, toISO)}
+        onMove={(eventIds) => moveBlocksToNextDay(copyDialog.move.from, eventIds)}
+      />
+
+      <SettingsDialog
+        open={settingsModalOpen}
+        onClose={() => setSettingsModalOpen(false)}
+        settings={settings}
+        onChange={updateSettings}
+        notificationPerm={notificationPerm}
+        onRequestPermission={askNotificationPermission}
+      />
+
+      <HabitStatsDialog
+        open={!!statsHabitId}
+        onClose={() => setStatsHabitId(null)}
+        habit={habits.find((h) => h.id === statsHabitId) ?? null}
+        habitChecksByDate={habitChecksByDate}
+        todayISO={toISODate(today)}
+      />
+
+      <IcsDialog
+        open={icsModalOpen}
+        onClose={() => setIcsModalOpen(false)}
+        defaultFrom={visibleISOs[0]}
+        defaultTo={visibleISOs[visibleISOs.length - 1]}
+        getEventsForDay={eventsForDay}
+        hasEventUID={hasEventUID}
+        onImport={importIcsEvents}
+      />
+
+      <BackupDialog
+        open={backupModalOpen}
+        onClose={() => setBackupModalOpen(false)}
+        state={backupState}
+        onApply={(data) => {
+          applyPlannerData(data);
+          showUndoToast("Säkerhetskopia importerad");
+        }}
+      />
+
+      <RestoreDialog
+        open={restoreModalOpen}
+        onClose={() => setRestoreModalOpen(false)}
+        storageError={storageError}
+        onRestore={restoreSnapshot}
+        onStartEmpty={startWithEmptyPlanner}
+      />
+
+      {applyAppUpdate ? (
+        <div className="fixed left-1/2 top-4 z-50 flex -translate-x-1/2 items-center gap-3 rounded-2xl border bg-neutral-900 px-4 py-2 text-sm text-white shadow-xl">
+          <span>En ny version finns</span>
+          <button
+            type="button"
+            className="rounded-xl border border-white/30 px-2 py-1 text-xs font-semibold"
+            onClick={applyAppUpdate}
+          >
+            Ladda om
+          </button>
+          <button
+            type="button"
+            className="text-xs text-white/60 hover:text-white"
+            onClick={() => setApplyAppUpdate(null)}
+            title="Senare"
+          >
+            ✕
+          </button>
+        </div>
+      ) : null}
+      <Toast
+        message={toast?.message}
+        actionLabel="Ångra"
+        onAction={() => {
+          undo();
+          setToast(null);
+        }}
+        onClose={() => setToast(null)}
+      />
+
       {/* Habit Modal */}
       <Modal open={habitModalOpen} title="Hantera vanor" onClose={() => setHabitModalOpen(false)}>
         <div className="space-y-3">
@@ -1206,11 +2766,37 @@ export default function App() {
           <div className="space-y-2">
             {habits.map((h) => (
               <div key={h.id} className="flex items-center justify-between gap-2 rounded-2xl border p-2">
-                <div className="min-w-0">
+                <div className="min-w-0 space-y-1">
                   <div className="truncate text-sm font-semibold">{h.name}</div>
                   <div className="text-xs text-neutral-600">{h.active ? "Aktiv" : "Inaktiv"}</div>
+                  <ScheduleFields value={h.schedule} onChange={(schedule) => setHabitSchedule(h.id, schedule)} />
+                  <MeasureFields value={h.measure ?? null} onChange={(measure) => setHabitMeasure(h.id, measure)} />
+                  <label className="flex items-center gap-1 text-xs text-neutral-700">
+                    Helst
+                    <select
+                      className="rounded-xl border bg-white px-2 py-1 text-xs"
+                      value={h.timeOfDay ?? ""}
+                      onChange={(e) => setHabitTimeOfDay(h.id, e.target.value)}
+                    >
+                      {TIME_OF_DAY.map((t) => (
+                        <option key={t.value} value={t.value}>
+                          {t.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
                 </div>
                 <div className="flex items-center gap-2">
+                  <button
+                    className="rounded-xl border bg-white px-2 py-1 text-xs"
+                    onClick={() => {
+                      setHabitModalOpen(false);
+                      setStatsHabitId(h.id);
+                    }}
+                    type="button"
+                  >
+                    Statistik
+                  </button>
                   <button
                     className="rounded-xl border bg-white px-2 py-1 text-xs"
                     onClick={() => toggleHabitActive(h.id)}
@@ -1233,7 +2819,9 @@ export default function App() {
           </div>
 
           <div className="rounded-2xl border bg-neutral-50 p-3 text-xs text-neutral-700">
-            Dagvyn auto-lägger in default-block för alla aktiva vanor första gången du öppnar en dag.
+            Dagvyn auto-lägger in default-block för alla aktiva vanor som är schemalagda den dagen. Vanor med ett
+            antal gånger per vecka/månad får block utspridda över perioden, och dagar då en vana inte behövs räknas
+            inte mot dig.
           </div>
         </div>
       </Modal>
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { fmtFull, isoRange, minutesToHHMM, parseISODate, periodRange } from "../lib/dates.js";
+import { TIME_OF_DAY, autoSchedule } from "../lib/autoSchedule.js";
+
+const SCOPES = [
+  { value: "day", label: "Dag" },
+  { value: "week", label: "Vecka" },
+];
+
+/**
+ * Preview of the auto-planner (lib/autoSchedule.js) for the day or week around
+ * `anchorISO`. Nothing changes until onApply(plan) is called.
+ * - planInput: everything autoSchedule() needs except `isos`
+ */
+export default function AutoPlanDialog({ open, onClose, anchorISO, planInput, onApply }) {
+  const [scope, setScope] = useState("day");
+
+  if (!open) return null;
+  const isos = isoRange(...periodRange(scope, anchorISO));
+  const plan = autoSchedule({ ...planInput, isos });
+
+  const byDate = [];
+  for (const p of plan.placements) {
+    if (byDate.length === 0 || byDate[byDate.length - 1].iso !== p.iso) byDate.push({ iso: p.iso, items: [] });
+    byDate[byDate.length - 1].items.push(p);
+  }
+
+  return (
+    <Modal open={open} title="Auto-planera" onClose={onClose} wide>
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          {SCOPES.map((s) => (
+            <button
+              key={s.value}
+              type="button"
+              onClick={() => setScope(s.value)}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${scope === s.value ? "bg-black text-white" : "bg-white"}`}
+            >
+              {s.label}
+            </button>
+          ))}
+          <Pill>{isos.length === 1 ? isos[0] : `${isos[0]}–${isos[isos.length - 1]}`}</Pill>
+        </div>
+        <div className="text-xs text-neutral-600">
+          Oplanerade uppgifter och vanor som inte är gjorda läggs i lediga luckor mellan {minutesToHHMM(planInput.windowStart)}{" "}
+          och {minutesToHHMM(planInput.windowEnd)}. Habit-block som krockar med något annat flyttas. Passerade dagar och
+          tider hoppas över.
+        </div>
+
+        <div className="max-h-[360px] space-y-2 overflow-y-auto">
+          {byDate.map(({ iso, items }) => (
+            <div key={iso} className="rounded-2xl border p-2">
+              <div className="text-xs font-semibold text-neutral-700">{fmtFull(parseISODate(iso))}</div>
+              <ul className="mt-1 space-y-1 text-sm">
+                {items.map((p) => (
+                  <li key={`${p.item.kind}-${p.item.id}`} className="flex flex-wrap items-center gap-2">
+                    <span className="w-24 shrink-0 font-mono text-xs">
+                      {minutesToHHMM(p.startMin)}–{minutesToHHMM(p.startMin + p.item.durationMin)}
+                    </span>
+                    <span className="font-semibold">{p.item.title}</span>
+                    <span className="text-xs text-neutral-600">
+                      {p.item.kind === "habit" ? (p.item.blockId ? "vana, flyttas" : "vana") : "uppgift"}
+                    </span>
+                    {p.late ? <span className="text-xs font-semibold text-red-700">efter deadline {p.item.dueISO}</span> : null}
+                    {p.outsidePreference ? (
+                      <span className="text-xs text-amber-700">
+                        inte {TIME_OF_DAY.find((t) => t.value === p.item.timeOfDay)?.label.toLowerCase()}
+                      </span>
+                    ) : null}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          {plan.placements.length === 0 ? <div className="text-sm text-neutral-600">Inget att planera.</div> : null}
+        </div>
+
+        {plan.unfit.length > 0 ? (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-xs">
+            <div className="font-semibold">Fick inte plats ({plan.unfit.length})</div>
+            <ul className="mt-1 list-disc pl-4">
+              {plan.unfit.map((u) => (
+                <li key={`${u.item.kind}-${u.item.id}-${u.iso ?? ""}`}>
+                  {u.item.title} ({u.item.durationMin} min{u.iso ? `, ${u.iso}` : ""}): {u.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        <button
+          type="button"
+          className="w-full rounded-2xl border bg-black px-3 py-2 text-sm text-white disabled:opacity-40"
+          disabled={plan.placements.length === 0}
+          onClick={() => onApply(plan)}
+        >
+          Lägg in {plan.placements.length} block
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from "react";
+import { Modal } from "./common.jsx";
+import { toISODate } from "../lib/dates.js";
+import { downloadTextFile } from "../lib/files.js";
+import { buildBackup, mergeBackupData, replaceBackupData, summarizeData, validateBackup } from "../lib/backup.js";
+
+const inputCls = "mt-1 w-full rounded-2xl border bg-white px-3 py-2 text-sm";
+const labelCls = "text-xs font-semibold text-neutral-700";
+const btnCls = "rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50";
+const primaryBtnCls = "rounded-2xl border bg-black px-4 py-2 text-sm font-medium text-white shadow-sm hover:opacity-90";
+
+const SUMMARY_ROWS = [
+  ["habits", "Vanor"],
+  ["checks", "Bockar"],
+  ["events", "Aktiviteter"],
+  ["days", "Dagar med aktiviteter"],
+  ["series", "Återkommande serier"],
+  ["categories", "Kategorier"],
+  ["templates", "Mallar"],
+  ["tasks", "Oplanerade uppgifter"],
+];
+
+/**
+ * Export the whole planner state as JSON, or import a backup file.
+ * - state: { habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks, view, selectedISO }
+ * - onApply(data): replace the planner state with `data` (same shape as backup.data)
+ */
+export default function BackupDialog({ open, onClose, state, onApply }) {
+  const [result, setResult] = useState(null); // validateBackup() result
+  const [fileName, setFileName] = useState("");
+
+  const current = useMemo(
+    () => ({
+      habits: state.habits,
+      habitChecksByDate: state.habitChecksByDate,
+      eventsByDate: state.eventsByDate,
+      seriesById: state.seriesById,
+      categories: state.categories,
+      templates: state.templates,
+      tasks: state.tasks,
+      settings: { view: state.view, selectedISO: state.selectedISO },
+    }),
+    [state]
+  );
+
+  const preview = useMemo(() => {
+    if (!result?.ok) return null;
+    const replaced = replaceBackupData(current, result.data);
+    const merged = mergeBackupData(current, result.data);
+    return {
+      replaced,
+      merged,
+      counts: { now: summarizeData(current), replace: summarizeData(replaced), merge: summarizeData(merged) },
+    };
+  }, [result, current]);
+
+  function close() {
+    setResult(null);
+    setFileName("");
+    onClose();
+  }
+
+  function exportBackup() {
+    const backup = buildBackup(state);
+    downloadTextFile(`timeboxing-backup-${toISODate(new Date())}.json`, JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  async function handleFile(file) {
+    if (!file) return;
+    setFileName(file.name);
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      setResult({ ok: false, errors: [`Filen är inte giltig JSON: ${err.message}`], data: null });
+      return;
+    }
+    setResult(validateBackup(parsed));
+  }
+
+  function apply(mode) {
+    if (!preview) return;
+    onApply(mode === "merge" ? preview.merged : preview.replaced);
+    close();
+  }
+
+  return (
+    <Modal open={open} title="Säkerhetskopia" onClose={close}>
+      <div className="space-y-4">
+        <div className="rounded-2xl border bg-neutral-50 p-3">
+          <div className="text-sm font-semibold">Exportera</div>
+          <div className="mt-1 text-xs text-neutral-600">
+            Laddar ner allt (vanor, bockar, aktiviteter och inställningar) som en JSON-fil.
+          </div>
+          <button type="button" className={`${primaryBtnCls} mt-2`} onClick={exportBackup}>
+            Ladda ner säkerhetskopia
+          </button>
+        </div>
+
+        <div>
+          <div className={labelCls}>Importera fil</div>
+          <input
+            className={inputCls}
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+        </div>
+
+        {result && !result.ok ? (
+          <div className="rounded-2xl border border-red-300 bg-red-50 p-3 text-xs text-red-800">
+            <div className="font-semibold">{fileName} kan inte importeras. Inget har ändrats.</div>
+            <ul className="mt-1 max-h-[200px] list-disc overflow-y-auto pl-4">
+              {result.errors.map((err) => (
+                <li key={err}>{err}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        {preview ? (
+          <>
+            <div className="overflow-hidden rounded-2xl border text-sm">
+              <div className="grid grid-cols-4 border-b bg-neutral-50 p-2 text-xs font-semibold text-neutral-700">
+                <div />
+                <div>Nu</div>
+                <div>Ersätt allt</div>
+                <div>Slå ihop</div>
+              </div>
+              {SUMMARY_ROWS.map(([key, label]) => (
+                <div key={key} className="grid grid-cols-4 border-b p-2 last:border-b-0">
+                  <div className="text-neutral-700">{label}</div>
+                  <div>{preview.counts.now[key]}</div>
+                  <div>{preview.counts.replace[key]}</div>
+                  <div>{preview.counts.merge[key]}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="text-xs text-neutral-600">
+              Ersätt allt skriver över nuvarande data med filens. Slå ihop behåller allt du har och lägger till vanor,
+              bockar och aktiviteter från filen (aktiviteter med samma id hoppas över).
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <button type="button" className={btnCls} onClick={close}>
+                Avbryt
+              </button>
+              <button type="button" className={btnCls} onClick={() => apply("replace")}>
+                Ersätt allt
+              </button>
+              <button type="button" className={primaryBtnCls} onClick={() => apply("merge")}>
+                Slå ihop
+              </button>
+            </div>
+          </>
+        ) : null}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Modal } from "./common.jsx";
+
+const DEFAULT_NEW_COLOR = "#86efac";
+
+/**
+ * Add, rename, recolor and delete event categories (see lib/categories.js).
+ * - onAdd({ name, color }), onUpdate(id, patch), onDelete(id)
+ * Names are committed on blur so every keystroke doesn't become an undo step.
+ */
+export default function CategoriesDialog({ open, onClose, categories, onAdd, onUpdate, onDelete }) {
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(DEFAULT_NEW_COLOR);
+
+  function add() {
+    const n = name.trim();
+    if (!n) return;
+    onAdd({ name: n, color });
+    setName("");
+  }
+
+  return (
+    <Modal open={open} title="Kategorier" onClose={onClose}>
+      <div className="space-y-3">
+        <div className="flex gap-2">
+          <input
+            className="h-[38px] w-12 shrink-0 rounded-2xl border bg-white px-1"
+            type="color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+          />
+          <input
+            className="w-full rounded-2xl border bg-white px-3 py-2 text-sm"
+            placeholder="Ny kategori (t.ex. Projekt)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") add();
+            }}
+          />
+          <button className="rounded-2xl border bg-black px-3 py-2 text-sm text-white" onClick={add} type="button">
+            Lägg till
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {categories.map((c) => (
+            <div key={c.id} className="flex items-center gap-2 rounded-2xl border p-2">
+              <input
+                className="h-[32px] w-10 shrink-0 rounded-xl border bg-white px-1"
+                type="color"
+                value={c.color}
+                onChange={(e) => onUpdate(c.id, { color: e.target.value })}
+              />
+              <input
+                className="w-full rounded-xl border bg-white px-2 py-1 text-sm"
+                key={c.name}
+                defaultValue={c.name}
+                onBlur={(e) => {
+                  const n = e.target.value.trim();
+                  if (n && n !== c.name) onUpdate(c.id, { name: n });
+                  else e.target.value = c.name;
+                }}
+              />
+              <button
+                className="rounded-xl border bg-white px-2 py-1 text-xs"
+                onClick={() => onDelete(c.id)}
+                type="button"
+                title="Aktiviteter i kategorin behåller sin färg men blir utan kategori"
+              >
+                Ta bort
+              </button>
+            </div>
+          ))}
+          {categories.length === 0 ? <div className="text-sm text-neutral-600">Inga kategorier.</div> : null}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { Pill } from "./common.jsx";
+import { PERIODS, isoRange, periodRange } from "../lib/dates.js";
+import { plannedByGroup } from "../lib/categories.js";
+
+const fmtHours = (min) => `${(min / 60).toFixed(min % 60 === 0 ? 0 : 1).replace(".", ",")} h`;
+
+/**
+ * Planned hours per category for the day/week/month around `anchorISO`.
+ * - getEventsForDay(iso): the day's events including series occurrences
+ */
+export default function CategoryChart({ anchorISO, getEventsForDay, categories, right }) {
+  const [kind, setKind] = useState("week");
+  const [from, to] = periodRange(kind, anchorISO);
+  const entries = isoRange(from, to).flatMap((iso) => getEventsForDay(iso).map((event) => ({ iso, event })));
+  const rows = plannedByGroup(entries, categories);
+  const total = rows.reduce((sum, r) => sum + r.minutes, 0);
+  const max = Math.max(1, ...rows.map((r) => r.minutes));
+
+  return (
+    <div className="rounded-2xl border bg-white p-4 shadow-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-sm font-semibold">Planerad tid per kategori</div>
+        <div className="flex flex-wrap items-center gap-1">
+          {PERIODS.map((p) => (
+            <button
+              key={p.value}
+              type="button"
+              onClick={() => setKind(p.value)}
+              className={`rounded-xl border px-2 py-1 text-xs shadow-sm ${kind === p.value ? "bg-black text-white" : "bg-white"}`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+        <Pill>{from === to ? from : `${from}–${to}`}</Pill>
+        <Pill>Totalt {fmtHours(total)}</Pill>
+        <div className="ml-auto">{right}</div>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {rows.map((r) => (
+          <div key={r.key} className="grid grid-cols-[140px_1fr_70px] items-center gap-2 text-sm">
+            <div className="flex min-w-0 items-center gap-2">
+              <span className="h-3 w-3 shrink-0 rounded-full border" style={{ backgroundColor: r.color }} />
+              <span className="truncate" title={r.label}>
+                {r.label}
+              </span>
+            </div>
+            <div className="h-4 overflow-hidden rounded-full bg-neutral-100">
+              <div
+                className="h-full rounded-full border"
+                style={{ width: `${(r.minutes / max) * 100}%`, backgroundColor: r.color }}
+                title={`${r.count} block`}
+              />
+            </div>
+            <div className="text-right text-xs text-neutral-700">{fmtHours(r.minutes)}</div>
+          </div>
+        ))}
+        {rows.length === 0 ? <div className="text-sm text-neutral-600">Inget planerat i perioden.</div> : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { addDaysISO, fmtFull, minutesToHHMM, parseISODate } from "../lib/dates.js";
+
+const blockLabel = (e) => `${minutesToHHMM(e.startMin)} ${e.title}`;
+
+// Checklist of blocks to move; everything starts ticked.
+function MovePicker({ move, onMove }) {
+  const [excluded, setExcluded] = useState(() => new Set());
+  const chosen = move.events.filter((e) => !excluded.has(e.id));
+  const toggle = (id) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm">
+        Block utan loggad tid på <span className="font-semibold">{fmtFull(parseISODate(move.from))}</span>. Bocka ur
+        det som blev gjort.
+      </div>
+      {move.events.length === 0 ? (
+        <div className="text-sm text-neutral-600">Inga block utan loggad tid.</div>
+      ) : (
+        <div className="max-h-[360px] divide-y overflow-y-auto rounded-2xl border">
+          {move.events.map((e) => (
+            <label key={e.id} className="flex items-center gap-2 p-2 text-sm">
+              <input type="checkbox" checked={!excluded.has(e.id)} onChange={() => toggle(e.id)} />
+              {blockLabel(e)}
+              {e.seriesId ? " ↻" : ""}
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-neutral-600">Habit-block flyttas inte: varje dag har sina egna.</div>
+      <button
+        type="button"
+        className="w-full rounded-2xl border bg-black px-3 py-2 text-sm text-white disabled:opacity-40"
+        disabled={chosen.length === 0}
+        onClick={() => onMove(chosen.map((e) => e.id))}
+      >
+        Flytta {chosen.length} till {fmtFull(parseISODate(move.to))}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * "Duplicate day to…" target picker, "move unfinished" checklist, and the
+ * report after any copy/move.
+ * - report: null while picking, else { title, moved, days: [{ from, to, add, merge, skipped }] }
+ *   (see lib/copyPlan.js); `moved` when the blocks left their original day
+ * - move: null, or { from, to, events } to pick which blocks move from `from` to `to`
+ * - onDuplicate(targetISO): copy the day `sourceISO` to `targetISO`
+ * - onMove(eventIds): move the ticked blocks
+ */
+export default function CopyPlanDialog({ open, onClose, sourceISO, report, move, onDuplicate, onMove }) {
+  const [targetISO, setTargetISO] = useState("");
+
+  if (!open) return null;
+  const target = targetISO || addDaysISO(sourceISO, 1);
+
+  if (move) {
+    return (
+      <Modal open={open} title="Flytta ofärdiga block" onClose={onClose}>
+        <MovePicker move={move} onMove={onMove} />
+      </Modal>
+    );
+  }
+
+  if (!report) {
+    return (
+      <Modal open={open} title="Duplicera dag" onClose={onClose}>
+        <div className="space-y-3">
+          <div className="text-sm">
+            Kopiera alla block från <span className="font-semibold">{fmtFull(parseISODate(sourceISO))}</span> till:
+          </div>
+          <input
+            className="w-full rounded-2xl border bg-white px-3 py-2 text-sm"
+            type="date"
+            value={target}
+            onChange={(e) => setTargetISO(e.target.value)}
+          />
+          <div className="text-xs text-neutral-600">
+            Habit-block som redan finns på måldagen flyttas till samma tid i stället för att dubbleras.
+          </div>
+          <button
+            type="button"
+            className="w-full rounded-2xl border bg-black px-3 py-2 text-sm text-white disabled:opacity-40"
+            disabled={!target || target === sourceISO}
+            onClick={() => onDuplicate(target)}
+          >
+            Duplicera
+          </button>
+        </div>
+      </Modal>
+    );
+  }
+
+  const totals = report.days.reduce(
+    (t, d) => ({ add: t.add + d.add.length, merge: t.merge + d.merge.length, skipped: t.skipped + d.skipped.length }),
+    { add: 0, merge: 0, skipped: 0 }
+  );
+
+  return (
+    <Modal open={open} title={report.title} onClose={onClose}>
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <Pill>
+            {totals.add} {report.moved ? "flyttade" : "kopierade"}
+          </Pill>
+          <Pill>{totals.merge} habit-block flyttade</Pill>
+          {totals.skipped > 0 ? <Pill>{totals.skipped} hoppades över</Pill> : null}
+        </div>
+        <div className="max-h-[360px] space-y-2 overflow-y-auto">
+          {report.days.map((d) => (
+            <div key={`${d.from}-${d.to}`} className="rounded-2xl border p-2 text-xs">
+              <div className="font-semibold">
+                {d.from} → {d.to}
+              </div>
+              {d.add.length + d.merge.length + d.skipped.length === 0 ? (
+                <div className="text-neutral-600">Inget att kopiera.</div>
+              ) : (
+                <ul className="mt-1 list-disc space-y-0.5 pl-4">
+                  {d.add.map((e) => (
+                    <li key={e.id}>
+                      {report.moved ? "Flyttad" : "Kopierad"}: {blockLabel(e)}
+                    </li>
+                  ))}
+                  {d.merge.map(({ event, target }) => (
+                    <li key={target.id}>
+                      Habit-block: {target.title} flyttat till {minutesToHHMM(event.startMin)}
+                    </li>
+                  ))}
+                  {d.skipped.map(({ event, reason }) => (
+                    <li key={event.id} className="text-neutral-600">
+                      Hoppades över: {blockLabel(event)} ({reason})
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from "react";
+import { POMODORO, formatCountdown, timerStatus } from "../lib/focusTimer.js";
+
+const btnCls = "rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50";
+
+const PHASE_LABELS = { focus: "Fokus", break: "Paus", over: "Tiden är slut" };
+
+// Running focus timer in the header. Ticks on its own so the rest of the app
+// doesn't re-render every second.
+export default function FocusTimerBar({ timer, onPause, onResume, onStop }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (timer?.resumedAt == null) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [timer?.resumedAt]);
+
+  if (!timer) return null;
+  const status = timerStatus(timer, now);
+  const phase =
+    timer.mode === "pomodoro"
+      ? `${PHASE_LABELS[status.phase]} ${((status.cycle - 1) % POMODORO.cyclesBeforeLong) + 1}/${POMODORO.cyclesBeforeLong}`
+      : PHASE_LABELS[status.phase];
+
+  return (
+    <div
+      className={`flex items-center gap-2 rounded-2xl border px-3 py-1 text-sm shadow-sm ${
+        status.phase === "break" ? "bg-sky-50" : status.phase === "over" ? "bg-amber-50" : "bg-green-50"
+      }`}
+    >
+      <span className="font-mono font-semibold">{formatCountdown(status.remainingMs)}</span>
+      <span className="min-w-0 max-w-[160px] truncate" title={timer.title}>
+        {timer.title}
+      </span>
+      <span className="text-xs text-neutral-600">
+        {phase}
+        {status.running ? "" : " • pausad"}
+      </span>
+      {status.running ? (
+        <button type="button" className={btnCls} onClick={onPause}>
+          Pausa
+        </button>
+      ) : (
+        <button type="button" className={btnCls} onClick={onResume}>
+          Fortsätt
+        </button>
+      )}
+      <button type="button" className={btnCls} onClick={onStop} title="Stoppa och spara fokustiden på aktiviteten">
+        Stoppa
+      </button>
+    </div>
+  );
+}
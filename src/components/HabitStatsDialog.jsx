@@ -0,0 +1,122 @@
+import React, { useMemo } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { addDaysISO, fmtMonthDay, isoRange, parseISODate, startOfISOWeek, toISODate } from "../lib/dates.js";
+import { describeSchedule, isChecked, isHabitScheduledOn } from "../lib/habitSchedule.js";
+import { habitStats, streakUnitLabel } from "../lib/habitStats.js";
+import { formatMeasured, isMeasurable, progressFraction } from "../lib/habitMeasure.js";
+
+const CALENDAR_WEEKS = 26;
+const WEEKDAY_LABELS = ["Mån", "Tis", "Ons", "Tor", "Fre", "Lör", "Sön"];
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-2xl border bg-neutral-50 p-3">
+      <div className="text-xs text-neutral-600">{label}</div>
+      <div className="mt-1 text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
+
+/**
+ * Detail view for one habit: streaks, completion rates, weekdays and a
+ * check-in calendar for the last CALENDAR_WEEKS weeks.
+ */
+export default function HabitStatsDialog({ open, onClose, habit, habitChecksByDate, todayISO }) {
+  const stats = useMemo(
+    () => (open && habit ? habitStats(habit, habitChecksByDate, todayISO) : null),
+    [open, habit, habitChecksByDate, todayISO]
+  );
+
+  // Columns are ISO weeks (oldest first), rows Monday..Sunday.
+  const weeks = useMemo(() => {
+    const lastMonday = toISODate(startOfISOWeek(parseISODate(todayISO)));
+    const firstMonday = addDaysISO(lastMonday, -7 * (CALENDAR_WEEKS - 1));
+    return Array.from({ length: CALENDAR_WEEKS }, (_, i) => {
+      const monday = addDaysISO(firstMonday, 7 * i);
+      return isoRange(monday, addDaysISO(monday, 6));
+    });
+  }, [todayISO]);
+
+  if (!habit || !stats) return null;
+
+  const unit = (n) => `${n} ${streakUnitLabel(habit.schedule, n)}`;
+
+  return (
+    <Modal open={open} title={habit.name} onClose={onClose} wide>
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Pill>{describeSchedule(habit.schedule)}</Pill>
+          {stats.firstISO ? (
+            <span className="text-xs text-neutral-600">Första bocken {fmtMonthDay(parseISODate(stats.firstISO))}</span>
+          ) : (
+            <span className="text-xs text-neutral-600">Inte avbockad ännu.</span>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+          <Stat label="Nuvarande svit" value={unit(stats.current)} />
+          <Stat label="Längsta svit" value={unit(stats.longest)} />
+          <Stat label="Bästa veckodag" value={stats.best ? `${stats.best.label} (${stats.best.pct}%)` : "–"} />
+          <Stat label="Sämsta veckodag" value={stats.worst ? `${stats.worst.label} (${stats.worst.pct}%)` : "–"} />
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-neutral-700">Genomförande</div>
+          <div className="mt-1 grid grid-cols-2 gap-2 md:grid-cols-4">
+            {stats.rates.map((r) => (
+              <Stat
+                key={r.days}
+                label={`Senaste ${r.days} dagarna`}
+                value={r.pct == null ? "–" : `${r.pct}% (${r.done}/${r.total})`}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-neutral-700">Per veckodag</div>
+          <div className="mt-1 grid grid-cols-7 gap-1 text-center text-xs">
+            {stats.weekdays.map((w) => (
+              <div key={w.value} className="rounded-xl border p-2">
+                <div className="font-semibold">{w.label}</div>
+                <div className="text-neutral-600">{w.pct == null ? "–" : `${w.pct}%`}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-neutral-700">Kalender (senaste {CALENDAR_WEEKS} veckorna)</div>
+          <div className="mt-1 flex gap-1 overflow-x-auto">
+            <div className="grid grid-rows-7 gap-1 pr-1 text-[10px] text-neutral-500">
+              {WEEKDAY_LABELS.map((l) => (
+                <div key={l} className="flex h-3 items-center">
+                  {l}
+                </div>
+              ))}
+            </div>
+            {weeks.map((days) => (
+              <div key={days[0]} className="grid grid-rows-7 gap-1">
+                {days.map((iso) => {
+                  const value = habitChecksByDate[iso]?.[habit.id];
+                  const cls =
+                    iso > todayISO
+                      ? "bg-transparent"
+                      : isChecked(habitChecksByDate, iso, habit)
+                        ? "bg-green-600"
+                        : progressFraction(habit, value) > 0
+                          ? "bg-green-200"
+                          : isHabitScheduledOn(habit, iso)
+                            ? "bg-neutral-200"
+                            : "bg-neutral-50";
+                  const title = isMeasurable(habit) ? `${iso}: ${formatMeasured(habit, value)}` : iso;
+                  return <div key={iso} className={`h-3 w-3 rounded-sm ${cls}`} title={title} />;
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
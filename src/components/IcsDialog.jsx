@@ -0,0 +1,250 @@
+import React, { useMemo, useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { isoRange, minutesToHHMM } from "../lib/dates.js";
+import { eventsToICS, parseICS } from "../lib/ics.js";
+import { downloadTextFile } from "../lib/files.js";
+
+const inputCls = "mt-1 w-full rounded-2xl border bg-white px-3 py-2 text-sm";
+const labelCls = "text-xs font-semibold text-neutral-700";
+const primaryBtnCls = "rounded-2xl border bg-black px-4 py-2 text-sm font-medium text-white shadow-sm hover:opacity-90";
+
+/**
+ * Export a date range to .ics, or import an .ics file with preview.
+ * - getEventsForDay(iso): events (incl. series occurrences) for a day
+ * - hasEventUID(uid): true if an event with that UID already exists
+ * - onImport([{ uid, iso, event }]): apply the chosen events
+ */
+export default function IcsDialog({ open, onClose, defaultFrom, defaultTo, getEventsForDay, hasEventUID, onImport }) {
+  const [tab, setTab] = useState("export");
+
+  return (
+    <Modal open={open} title="Kalenderfil (.ics)" onClose={onClose} wide>
+      <div className="mb-3 flex gap-2">
+        {[
+          ["export", "Exportera"],
+          ["import", "Importera"],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setTab(key)}
+            className={`rounded-2xl border px-3 py-1.5 text-sm shadow-sm ${tab === key ? "bg-black text-white" : "bg-white"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === "export" ? (
+        <ExportPane defaultFrom={defaultFrom} defaultTo={defaultTo} getEventsForDay={getEventsForDay} />
+      ) : (
+        <ImportPane
+          hasEventUID={hasEventUID}
+          onImport={(items) => {
+            onImport(items);
+            onClose();
+          }}
+        />
+      )}
+    </Modal>
+  );
+}
+
+function ExportPane({ defaultFrom, defaultTo, getEventsForDay }) {
+  const [from, setFrom] = useState(defaultFrom);
+  const [to, setTo] = useState(defaultTo);
+  const [includeCustom, setIncludeCustom] = useState(true);
+  const [includeHabit, setIncludeHabit] = useState(true);
+
+  const entries = useMemo(() => {
+    if (!from || !to || from > to) return [];
+    const out = [];
+    for (const iso of isoRange(from, to)) {
+      for (const event of getEventsForDay(iso)) {
+        if (event.type === "habit" ? includeHabit : includeCustom) out.push({ iso, event });
+      }
+    }
+    return out;
+  }, [from, to, includeCustom, includeHabit, getEventsForDay]);
+
+  function download() {
+    downloadTextFile(`timeboxing-${from}_${to}.ics`, eventsToICS(entries), "text/calendar");
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+        <div>
+          <div className={labelCls}>Från</div>
+          <input className={inputCls} type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <div className={labelCls}>Till och med</div>
+          <input className={inputCls} type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={includeCustom} onChange={(e) => setIncludeCustom(e.target.checked)} />
+          Aktiviteter
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={includeHabit} onChange={(e) => setIncludeHabit(e.target.checked)} />
+          Habit-block
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <Pill>{entries.length} händelser</Pill>
+        <button type="button" className={primaryBtnCls} disabled={entries.length === 0} onClick={download}>
+          Ladda ner .ics
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportPane({ hasEventUID, onImport }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // { events, errors }
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [colorMode, setColorMode] = useState("file"); // file | pick
+  const [pickedColor, setPickedColor] = useState("#93c5fd");
+
+  // Mark duplicates: UIDs already in the planner, or repeated within the file.
+  const rows = useMemo(() => {
+    if (!parsed) return [];
+    const seen = new Set();
+    return parsed.events.map((item, i) => {
+      let duplicate = false;
+      if (item.uid) {
+        duplicate = seen.has(item.uid) || hasEventUID(item.uid);
+        seen.add(item.uid);
+      }
+      return { ...item, key: i, duplicate };
+    });
+  }, [parsed, hasEventUID]);
+
+  const selected = rows.filter((r) => !r.duplicate && !excluded.has(r.key));
+
+  async function handleFile(file) {
+    if (!file) return;
+    setFileName(file.name);
+    setExcluded(new Set());
+    setParsed(parseICS(await file.text()));
+  }
+
+  function toggle(key) {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  function apply() {
+    onImport(
+      selected.map(({ uid, iso, event }) => ({
+        uid,
+        iso,
+        event: colorMode === "pick" ? { ...event, color: pickedColor } : event,
+      }))
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <div className={labelCls}>Fil</div>
+        <input
+          className={inputCls}
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+        />
+      </div>
+
+      {parsed?.errors.length ? (
+        <div className="rounded-2xl border border-red-300 bg-red-50 p-3 text-xs text-red-800">
+          {parsed.errors.map((err) => (
+            <div key={err}>{err}</div>
+          ))}
+        </div>
+      ) : null}
+
+      {parsed && rows.length > 0 ? (
+        <>
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={colorMode === "file"} onChange={() => setColorMode("file")} />
+              Färg från filen
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={colorMode === "pick"} onChange={() => setColorMode("pick")} />
+              Välj färg
+            </label>
+            {colorMode === "pick" ? (
+              <input
+                className="h-8 w-14 rounded-xl border bg-white px-1"
+                type="color"
+                value={pickedColor}
+                onChange={(e) => setPickedColor(e.target.value)}
+              />
+            ) : null}
+          </div>
+
+          <div className="max-h-[320px] divide-y overflow-y-auto rounded-2xl border">
+            {rows.map((r) => (
+              <label key={r.key} className={`flex items-start gap-3 p-2 text-sm ${r.duplicate ? "opacity-50" : ""}`}>
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  disabled={r.duplicate}
+                  checked={!r.duplicate && !excluded.has(r.key)}
+                  onChange={() => toggle(r.key)}
+                />
+                <span
+                  className="mt-1 h-3 w-3 shrink-0 rounded-full border"
+                  style={{ backgroundColor: (colorMode === "pick" ? pickedColor : r.event.color) || "#e5e7eb" }}
+                />
+                <div className="min-w-0 flex-1">
+                  <div className="truncate font-semibold">{r.event.title}</div>
+                  <div className="text-xs text-neutral-600">
+                    {r.iso} • {minutesToHHMM(r.event.startMin)} • {r.event.durationMin} min
+                    {r.duplicate ? " • finns redan" : ""}
+                  </div>
+                  {r.warnings.map((w) => (
+                    <div key={w} className="text-xs text-amber-700">
+                      {w}
+                    </div>
+                  ))}
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <Pill>
+              {selected.length} av {rows.length} väljs • {rows.filter((r) => r.duplicate).length} dubbletter
+            </Pill>
+            <button type="button" className={primaryBtnCls} disabled={selected.length === 0} onClick={apply}>
+              Importera
+            </button>
+          </div>
+        </>
+      ) : null}
+
+      {parsed && rows.length === 0 && parsed.errors.length === 0 ? (
+        <div className="text-sm text-neutral-600">Inga händelser hittades i {fileName}.</div>
+      ) : null}
+
+      {!parsed ? (
+        <div className="rounded-2xl border bg-neutral-50 p-3 text-xs text-neutral-700">
+          Händelser läggs in som aktiviteter på sina datum. Dubbletter (samma UID) hoppas över.
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+
+const inputCls = "rounded-xl border bg-white px-2 py-1 text-xs";
+
+// Unit/target/step editor for one habit in the "Hantera vanor" modal.
+// `value` is habit.measure (see lib/habitMeasure); null means a plain checkbox
+// habit. Fields are committed on blur so a half-typed value isn't normalized away.
+export default function MeasureFields({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-700">
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={(e) => onChange(e.target.checked ? { unit: "", target: 1, step: 1 } : null)}
+        />
+        Mätbar
+      </label>
+
+      {value ? (
+        <>
+          <input
+            className={`${inputCls} w-20`}
+            placeholder="Enhet"
+            key={value.unit}
+            defaultValue={value.unit}
+            onBlur={(e) => set({ unit: e.target.value })}
+          />
+          <label className="flex items-center gap-1">
+            Mål/dag
+            <input
+              className={`${inputCls} w-16`}
+              type="number"
+              min={0}
+              step="any"
+              key={value.target}
+              defaultValue={value.target}
+              onBlur={(e) => set({ target: e.target.value })}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            Steg
+            <input
+              className={`${inputCls} w-16`}
+              type="number"
+              min={0}
+              step="any"
+              key={value.step}
+              defaultValue={value.step}
+              onBlur={(e) => set({ step: e.target.value })}
+            />
+          </label>
+        </>
+      ) : null}
+    </div>
+  );
+}
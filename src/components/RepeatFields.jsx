@@ -0,0 +1,108 @@
+import React from "react";
+import { REPEAT_FREQS, WEEKDAY_OPTIONS, describeRepeat, normalizeRepeat } from "../lib/recurrence.js";
+
+const inputCls = "mt-1 w-full rounded-2xl border bg-white px-3 py-2 text-sm";
+const labelCls = "text-xs font-semibold text-neutral-700";
+
+// Repeat rule editor for the event modal. `value` is a repeat object from lib/recurrence.
+export default function RepeatFields({ value, onChange, startISO }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const unit = value.freq === "daily" ? "dag" : value.freq === "weekly" ? "vecka" : "månad";
+
+  function toggleWeekday(wd) {
+    const has = value.weekdays.includes(wd);
+    const weekdays = has ? value.weekdays.filter((x) => x !== wd) : [...value.weekdays, wd];
+    if (weekdays.length > 0) set({ weekdays });
+  }
+
+  return (
+    <div className="rounded-2xl border bg-neutral-50 p-3">
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+        <div>
+          <div className={labelCls}>Upprepa</div>
+          <select className={inputCls} value={value.freq} onChange={(e) => set({ freq: e.target.value })}>
+            {REPEAT_FREQS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {["daily", "weekly", "monthly"].includes(value.freq) ? (
+          <div>
+            <div className={labelCls}>Var N:e {unit}</div>
+            <input
+              className={inputCls}
+              type="number"
+              min={1}
+              value={value.interval}
+              onChange={(e) => set({ interval: e.target.value })}
+            />
+          </div>
+        ) : null}
+      </div>
+
+      {value.freq === "weekly" ? (
+        <div className="mt-3 flex flex-wrap gap-1">
+          {WEEKDAY_OPTIONS.map((o) => {
+            const on = value.weekdays.includes(o.value);
+            return (
+              <button
+                key={o.value}
+                type="button"
+                onClick={() => toggleWeekday(o.value)}
+                className={`rounded-xl border px-2 py-1 text-xs shadow-sm ${on ? "bg-black text-white" : "bg-white"}`}
+              >
+                {o.label}
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+
+      {value.freq !== "none" ? (
+        <>
+          <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+            <div>
+              <div className={labelCls}>Slutar</div>
+              <select className={inputCls} value={value.end} onChange={(e) => set({ end: e.target.value })}>
+                <option value="never">Aldrig</option>
+                <option value="until">På datum</option>
+                <option value="count">Efter antal gånger</option>
+              </select>
+            </div>
+
+            {value.end === "until" ? (
+              <div>
+                <div className={labelCls}>Till och med</div>
+                <input
+                  className={inputCls}
+                  type="date"
+                  min={startISO}
+                  value={value.until}
+                  onChange={(e) => set({ until: e.target.value })}
+                />
+              </div>
+            ) : null}
+
+            {value.end === "count" ? (
+              <div>
+                <div className={labelCls}>Antal gånger</div>
+                <input
+                  className={inputCls}
+                  type="number"
+                  min={1}
+                  value={value.count}
+                  onChange={(e) => set({ count: e.target.value })}
+                />
+              </div>
+            ) : null}
+          </div>
+
+          <div className="mt-2 text-xs text-neutral-600">{describeRepeat(normalizeRepeat(value, startISO))}</div>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React, { useMemo } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { downloadTextFile } from "../lib/files.js";
+import { migratePayload } from "../lib/schema.js";
+import { summarizeData } from "../lib/backup.js";
+import { listQuarantined, listSnapshots } from "../lib/snapshots.js";
+
+const btnCls = "rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50";
+
+function fmtTakenAt(iso) {
+  return new Date(iso).toLocaleString("sv-SE", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function summarize(payload) {
+  try {
+    return summarizeData(migratePayload(payload));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists rolling snapshots (and quarantined payloads) and rolls back to one.
+ * - storageError: message shown when the stored state could not be loaded
+ * - onRestore(payload): load a snapshot payload
+ * - onStartEmpty(): dismiss a load error and continue with an empty planner
+ */
+export default function RestoreDialog({ open, onClose, storageError, onRestore, onStartEmpty }) {
+  const snapshots = useMemo(
+    () => (open ? listSnapshots().map((s) => ({ ...s, summary: summarize(s.payload) })) : []),
+    [open]
+  );
+  const quarantined = useMemo(() => (open ? listQuarantined() : []), [open]);
+
+  return (
+    <Modal open={open} title="Återställ" onClose={onClose} wide>
+      <div className="space-y-3">
+        {storageError ? (
+          <div className="rounded-2xl border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+            <div className="font-semibold">Sparad data kunde inte läsas.</div>
+            <div className="mt-1 text-xs">{storageError}</div>
+            <div className="mt-1 text-xs">
+              Den har lagts i karantän och skrivs inte över. Välj en ögonblicksbild nedan, eller börja om med en tom
+              planering.
+            </div>
+            <button type="button" className={`${btnCls} mt-2`} onClick={onStartEmpty}>
+              Börja om med tom planering
+            </button>
+          </div>
+        ) : null}
+
+        <div className="text-xs text-neutral-600">
+          En ögonblicksbild sparas automatiskt varje dag (de senaste 7 dagarna) och vid varje ändring (de senaste 20).
+          Med mycket data sparas färre, så att de inte tar platsen från själva planeringen.
+        </div>
+
+        <div className="max-h-[420px] divide-y overflow-y-auto rounded-2xl border">
+          {snapshots.map((s) => (
+            <div key={s.id} className="flex items-center justify-between gap-3 p-2 text-sm">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold">{fmtTakenAt(s.takenAt)}</span>
+                  <Pill>{s.kind === "daily" ? "Daglig" : "Ändring"}</Pill>
+                </div>
+                <div className="text-xs text-neutral-600">
+                  {s.summary
+                    ? `${s.summary.habits} vanor • ${s.summary.events} aktiviteter • ${s.summary.checks} bockar • ${s.summary.series} serier • ${s.summary.tasks} uppgifter`
+                    : "Kan inte läsas"}
+                </div>
+              </div>
+              <button type="button" className={btnCls} disabled={!s.summary} onClick={() => onRestore(s.payload)}>
+                Återställ
+              </button>
+            </div>
+          ))}
+          {snapshots.length === 0 ? (
+            <div className="p-3 text-sm text-neutral-600">Inga ögonblicksbilder ännu.</div>
+          ) : null}
+        </div>
+
+        {quarantined.length > 0 ? (
+          <div>
+            <div className="text-xs font-semibold text-neutral-700">Karantän</div>
+            <div className="mt-1 divide-y rounded-2xl border">
+              {quarantined.map((q) => (
+                <div key={q.id} className="flex items-center justify-between gap-3 p-2 text-sm">
+                  <div className="min-w-0">
+                    <div className="font-semibold">{fmtTakenAt(q.takenAt)}</div>
+                    <div className="truncate text-xs text-neutral-600">{q.error}</div>
+                  </div>
+                  <button
+                    type="button"
+                    className={btnCls}
+                    onClick={() => downloadTextFile(`${q.key}-${q.id}.json`, q.raw ?? "", "application/json")}
+                  >
+                    Ladda ner
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : null}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,66 @@
+import React from "react";
+import { WEEKDAY_OPTIONS } from "../lib/recurrence.js";
+import { SCHEDULE_KINDS, normalizeSchedule } from "../lib/habitSchedule.js";
+
+const inputCls = "rounded-xl border bg-white px-2 py-1 text-xs";
+
+// Schedule editor for one habit in the "Hantera vanor" modal. `value` is a
+// schedule object from lib/habitSchedule; onChange gets a normalized one.
+export default function ScheduleFields({ value, onChange }) {
+  const sch = normalizeSchedule(value);
+
+  function setKind(kind) {
+    if (kind === "weekdays") onChange({ kind, weekdays: [1, 2, 3, 4, 5] });
+    else if (kind === "weekly") onChange({ kind, times: 3 });
+    else if (kind === "monthly") onChange({ kind, times: 8 });
+    else onChange({ kind: "daily" });
+  }
+
+  function toggleWeekday(wd) {
+    const has = sch.weekdays.includes(wd);
+    const weekdays = has ? sch.weekdays.filter((x) => x !== wd) : [...sch.weekdays, wd];
+    if (weekdays.length > 0) onChange(normalizeSchedule({ kind: "weekdays", weekdays }));
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select className={inputCls} value={sch.kind} onChange={(e) => setKind(e.target.value)}>
+        {SCHEDULE_KINDS.map((k) => (
+          <option key={k.value} value={k.value}>
+            {k.label}
+          </option>
+        ))}
+      </select>
+
+      {sch.kind === "weekdays"
+        ? WEEKDAY_OPTIONS.map((o) => {
+            const on = sch.weekdays.includes(o.value);
+            return (
+              <button
+                key={o.value}
+                type="button"
+                onClick={() => toggleWeekday(o.value)}
+                className={`rounded-xl border px-2 py-1 text-xs shadow-sm ${on ? "bg-black text-white" : "bg-white"}`}
+              >
+                {o.label}
+              </button>
+            );
+          })
+        : null}
+
+      {sch.kind === "weekly" || sch.kind === "monthly" ? (
+        <label className="flex items-center gap-1 text-xs text-neutral-700">
+          <input
+            className={`${inputCls} w-16`}
+            type="number"
+            min={1}
+            max={sch.kind === "weekly" ? 7 : 31}
+            value={sch.times}
+            onChange={(e) => onChange(normalizeSchedule({ kind: sch.kind, times: e.target.value }))}
+          />
+          gånger per {sch.kind === "weekly" ? "vecka" : "månad"}
+        </label>
+      ) : null}
+    </div>
+  );
+}
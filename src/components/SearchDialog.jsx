@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { fmtFull, minutesToHHMM, parseISODate } from "../lib/dates.js";
+import { DEFAULT_FILTERS, MAX_SERIES_RANGE_DAYS, searchEvents, seriesSearchable } from "../lib/search.js";
+import { HABIT_GROUP, NONE_GROUP, eventGroup } from "../lib/categories.js";
+
+const inputCls = "mt-1 w-full rounded-2xl border bg-white px-3 py-2 text-sm";
+const labelCls = "text-xs font-semibold text-neutral-700";
+
+// Rendering thousands of rows makes typing sluggish; narrow the search instead.
+const MAX_RESULTS = 200;
+
+/**
+ * Search all events by title and notes, with filters (see lib/search.js).
+ * - onOpenEvent(iso, event): jump to the event and open it for editing
+ */
+export default function SearchDialog({ open, onClose, eventsByDate, seriesById, categories, onOpenEvent }) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const set = (patch) => setFilters((f) => ({ ...f, ...patch }));
+
+  if (!open) return null;
+  const hasFilter = Object.entries(filters).some(([k, v]) => v !== DEFAULT_FILTERS[k]);
+  const results = query.trim() || hasFilter ? searchEvents({ eventsByDate, seriesById, categories }, query, filters) : [];
+  const shown = results.slice(0, MAX_RESULTS);
+
+  const byDate = [];
+  for (const r of shown) {
+    if (byDate.length === 0 || byDate[byDate.length - 1].iso !== r.iso) byDate.push({ iso: r.iso, items: [] });
+    byDate[byDate.length - 1].items.push(r);
+  }
+
+  return (
+    <Modal open={open} title="Sök aktiviteter" onClose={onClose} wide>
+      <div className="space-y-3">
+        <input
+          className="w-full rounded-2xl border bg-white px-3 py-2 text-sm"
+          placeholder="Sök i namn och kommentarer (t.ex. tandläkare)"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+
+        <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+          <label>
+            <div className={labelCls}>Från</div>
+            <input className={inputCls} type="date" value={filters.from} onChange={(e) => set({ from: e.target.value })} />
+          </label>
+          <label>
+            <div className={labelCls}>Till</div>
+            <input className={inputCls} type="date" value={filters.to} onChange={(e) => set({ to: e.target.value })} />
+          </label>
+          <label>
+            <div className={labelCls}>Typ</div>
+            <select className={inputCls} value={filters.type} onChange={(e) => set({ type: e.target.value })}>
+              <option value="all">Alla</option>
+              <option value="custom">Aktiviteter</option>
+              <option value="habit">Habit-block</option>
+            </select>
+          </label>
+          <label>
+            <div className={labelCls}>Kategori</div>
+            <select className={inputCls} value={filters.group} onChange={(e) => set({ group: e.target.value })}>
+              <option value="">Alla</option>
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+              <option value={NONE_GROUP.key}>{NONE_GROUP.label}</option>
+              <option value={HABIT_GROUP.key}>{HABIT_GROUP.label}</option>
+            </select>
+          </label>
+          <label>
+            <div className={labelCls}>Minst (min)</div>
+            <input
+              className={inputCls}
+              type="number"
+              min={0}
+              step={5}
+              value={filters.minDuration}
+              onChange={(e) => set({ minDuration: e.target.value })}
+            />
+          </label>
+          <label>
+            <div className={labelCls}>Högst (min)</div>
+            <input
+              className={inputCls}
+              type="number"
+              min={0}
+              step={5}
+              value={filters.maxDuration}
+              onChange={(e) => set({ maxDuration: e.target.value })}
+            />
+          </label>
+          <div className="col-span-2 flex items-end">
+            <button
+              type="button"
+              className="rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50 disabled:opacity-40"
+              onClick={() => {
+                setQuery("");
+                setFilters(DEFAULT_FILTERS);
+              }}
+              disabled={!query && !hasFilter}
+            >
+              Rensa
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-600">
+          {query.trim() || hasFilter ? <Pill>{results.length} träffar</Pill> : null}
+          {results.length > MAX_RESULTS ? <span>Visar de {MAX_RESULTS} första. Förfina sökningen för att se fler.</span> : null}
+          <span>
+            {seriesSearchable(filters)
+              ? "Återkommande aktiviteter ingår i datumintervallet."
+              : `Återkommande aktiviteter visas vid närmaste tillfället. Sätt både Från och Till (högst ${MAX_SERIES_RANGE_DAYS} dagar) för att se alla.`}
+          </span>
+        </div>
+
+        <div className="max-h-[420px] space-y-3 overflow-y-auto">
+          {byDate.map(({ iso, items }) => (
+            <div key={iso}>
+              <div className="text-xs font-semibold text-neutral-700">{fmtFull(parseISODate(iso))}</div>
+              <div className="mt-1 divide-y rounded-2xl border">
+                {items.map(({ event: e, nearest }) => {
+                  const g = eventGroup(e, categories);
+                  return (
+                    <button
+                      key={e.id}
+                      type="button"
+                      onClick={() => onOpenEvent(iso, e)}
+                      className="flex w-full items-start gap-3 p-2 text-left text-sm hover:bg-neutral-50"
+                    >
+                      <span
+                        className="mt-1 h-3 w-3 shrink-0 rounded-full border"
+                        style={{ backgroundColor: e.color || g.color }}
+                        title={g.label}
+                      />
+                      <span className="w-24 shrink-0 text-xs text-neutral-600">
+                        {minutesToHHMM(e.startMin)} • {e.durationMin} min
+                      </span>
+                      <span className="min-w-0">
+                        <span className="block truncate font-semibold">
+                          {e.title}
+                          {e.seriesId ? " ↻" : ""}
+                          {nearest ? <span className="font-normal text-neutral-600"> • närmaste tillfället</span> : null}
+                        </span>
+                        {e.notes ? <span className="block truncate text-xs text-neutral-600">{e.notes}</span> : null}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          {(query.trim() || hasFilter) && results.length === 0 ? (
+            <div className="text-sm text-neutral-600">Inga aktiviteter matchar.</div>
+          ) : null}
+        </div>
+      </div>
+    </Modal>
+  );
+}
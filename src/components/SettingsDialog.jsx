@@ -0,0 +1,119 @@
+import React from "react";
+import { Modal } from "./common.jsx";
+import { REMINDER_OPTIONS, showNotification } from "../lib/reminders.js";
+
+const PERMISSION_TEXT = {
+  unsupported: "Den här webbläsaren stöder inte notiser.",
+  default: "Webbläsaren har inte fått frågan om notiser än.",
+  granted: "Notiser är tillåtna.",
+  denied: "Notiser är blockerade. Ändra det i webbläsarens inställningar för sidan.",
+};
+
+/**
+ * Per-device settings (see lib/settings.js).
+ * - settings: current settings object
+ * - onChange(patch): merge `patch` into the settings
+ * - notificationPerm: see notificationPermission() in lib/reminders.js
+ * - onRequestPermission(): ask the browser for notification permission
+ */
+export default function SettingsDialog({ open, onClose, settings, onChange, notificationPerm, onRequestPermission }) {
+  const canNotify = notificationPerm === "granted";
+
+  return (
+    <Modal open={open} title="Inställningar" onClose={onClose}>
+      <div className="space-y-3">
+        <label className="flex items-start gap-2 rounded-2xl border p-3 text-sm">
+          <input
+            type="checkbox"
+            className="mt-1"
+            checked={settings.autoCheckHabitBlocks}
+            onChange={(e) => onChange({ autoCheckHabitBlocks: e.target.checked })}
+          />
+          <span>
+            <span className="font-semibold">Bocka av vanor automatiskt</span>
+            <span className="block text-xs text-neutral-600">
+              När ett habit-block i dagens tidslinje har tagit slut bockas vanan av för dagen.
+            </span>
+          </span>
+        </label>
+
+        <div className="space-y-2 rounded-2xl border p-3 text-sm">
+          <div className="font-semibold">Påminnelser</div>
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-neutral-600">
+            <span>{PERMISSION_TEXT[notificationPerm]}</span>
+            {notificationPerm === "default" ? (
+              <button
+                type="button"
+                className="rounded-xl border bg-black px-2 py-1 text-xs text-white"
+                onClick={onRequestPermission}
+              >
+                Tillåt notiser
+              </button>
+            ) : null}
+            {canNotify ? (
+              <button
+                type="button"
+                className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-neutral-50"
+                onClick={() => showNotification({ title: "Testnotis", body: "Så här ser påminnelserna ut.", tag: "test" })}
+              >
+                Skicka testnotis
+              </button>
+            ) : null}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.remindersEnabled}
+              disabled={!canNotify}
+              onChange={(e) => onChange({ remindersEnabled: e.target.checked })}
+            />
+            <span>Visa påminnelser på den här enheten</span>
+          </label>
+
+          <div className={`space-y-2 ${settings.remindersEnabled && canNotify ? "" : "opacity-50"}`}>
+            <label className="flex items-center justify-between gap-2">
+              <span>Innan block börjar</span>
+              <select
+                className="rounded-xl border bg-white px-2 py-1 text-sm"
+                value={settings.reminderBeforeMin === null ? "none" : String(settings.reminderBeforeMin)}
+                onChange={(e) =>
+                  onChange({ reminderBeforeMin: e.target.value === "none" ? null : Number(e.target.value) })
+                }
+              >
+                {REMINDER_OPTIONS.map((o) => (
+                  <option key={o.label} value={o.value === null ? "none" : String(o.value)}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.reminderAtEnd}
+                onChange={(e) => onChange({ reminderAtEnd: e.target.checked })}
+              />
+              <span>När ett block tar slut</span>
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              <span>
+                Påminn om ogjorda vanor kl.
+                <span className="block text-xs text-neutral-600">Tomt = ingen påminnelse.</span>
+              </span>
+              <input
+                type="time"
+                className="rounded-xl border bg-white px-2 py-1 text-sm"
+                value={settings.habitNudgeTime}
+                onChange={(e) => onChange({ habitNudgeTime: e.target.value })}
+              />
+            </label>
+            <div className="text-xs text-neutral-600">
+              Enskilda block kan ha egna påminnelser. Påminnelser visas bara medan appen är öppen i en flik.
+            </div>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
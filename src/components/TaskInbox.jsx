@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+import { DEFAULT_ESTIMATE_MIN, PRIORITIES, isOverdue, sortTasks } from "../lib/tasks.js";
+import { TIME_OF_DAY } from "../lib/autoSchedule.js";
+
+const inputCls = "w-full rounded-xl border bg-white px-2 py-1 text-xs";
+
+const PRIORITY_CLS = { high: "bg-red-100 text-red-800", normal: "bg-neutral-100 text-neutral-700", low: "bg-sky-50 text-sky-800" };
+
+const EMPTY_FORM = { title: "", estimateMin: DEFAULT_ESTIMATE_MIN, priority: "normal", dueISO: "", timeOfDay: "", notes: "" };
+
+/**
+ * Unscheduled tasks next to the habit palette (see lib/tasks.js).
+ * - onDragStartTask(taskId): a task is being dragged towards the timeline
+ * - acceptsDrop: a timeline block that may go back to the inbox is being dragged
+ * - onDropBack(): that block was dropped on the inbox
+ */
+export default function TaskInbox({ tasks, todayISO, onAdd, onUpdate, onDelete, onDragStartTask, acceptsDrop, onDropBack }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null); // edited copy, saved with "Klar"
+  const [over, setOver] = useState(false);
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  function add() {
+    if (!form.title.trim()) return;
+    onAdd(form);
+    setForm(EMPTY_FORM);
+  }
+
+  function toggleEdit(task) {
+    if (editingId === task.id) {
+      if (draft.title.trim()) onUpdate(task.id, draft);
+      setEditingId(null);
+      return;
+    }
+    setEditingId(task.id);
+    setDraft({ ...task, dueISO: task.dueISO ?? "" });
+  }
+
+  const overdue = tasks.filter((t) => isOverdue(t, todayISO)).length;
+
+  return (
+    <div
+      className={`rounded-2xl border bg-white p-3 shadow-sm ${acceptsDrop && over ? "ring-2 ring-black" : ""}`}
+      onDragOver={(e) => {
+        if (!acceptsDrop) return;
+        e.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => {
+        setOver(false);
+        if (!acceptsDrop) return;
+        e.preventDefault();
+        onDropBack();
+      }}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">
+          Att göra{tasks.length > 0 ? ` (${tasks.length})` : ""}
+          {overdue > 0 ? <span className="ml-1 text-xs font-normal text-red-700">• {overdue} försenade</span> : null}
+        </div>
+        <button
+          type="button"
+          className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-neutral-50"
+          onClick={() => setShowForm((v) => !v)}
+        >
+          {showForm ? "Stäng" : "+ Uppgift"}
+        </button>
+      </div>
+      <div className="mt-1 text-xs text-neutral-600">
+        Dra en uppgift till tidslinjen för att planera den, eller ett block hit för att avplanera det.
+      </div>
+
+      {showForm ? (
+        <div className="mt-2 space-y-2 rounded-2xl border bg-neutral-50 p-2">
+          <input
+            className={inputCls}
+            placeholder="Uppgift"
+            value={form.title}
+            onChange={(e) => set({ title: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") add();
+            }}
+          />
+          <TaskFields value={form} onChange={set} />
+          <button className="w-full rounded-xl border bg-black px-2 py-1 text-xs text-white" type="button" onClick={add}>
+            Lägg till
+          </button>
+        </div>
+      ) : null}
+
+      <div className="mt-3 space-y-2">
+        {sortTasks(tasks, todayISO).map((t) => {
+          const late = isOverdue(t, todayISO);
+          return (
+            <div
+              key={t.id}
+              draggable={editingId !== t.id}
+              onDragStart={() => onDragStartTask(t.id)}
+              className={`rounded-2xl border p-2 text-sm ${late ? "border-red-300 bg-red-50" : "bg-neutral-50"} ${
+                editingId === t.id ? "" : "cursor-grab hover:bg-neutral-100"
+              }`}
+              title={editingId === t.id ? undefined : "Dra till tidslinjen"}
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="truncate font-semibold">{t.title}</div>
+                  <div className="mt-0.5 flex flex-wrap items-center gap-1 text-[11px]">
+                    <span className={`rounded-full px-1.5 ${PRIORITY_CLS[t.priority]}`}>
+                      {PRIORITIES.find((p) => p.value === t.priority)?.label}
+                    </span>
+                    <span className="text-neutral-600">{t.estimateMin} min</span>
+                    {t.dueISO ? (
+                      <span className={late ? "font-semibold text-red-700" : "text-neutral-600"}>
+                        {late ? "Försenad, " : ""}senast {t.dueISO}
+                      </span>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="flex shrink-0 items-center gap-1">
+                  <button
+                    type="button"
+                    className="rounded-lg border bg-white px-1.5 py-0.5 text-[11px]"
+                    onClick={() => toggleEdit(t)}
+                  >
+                    {editingId === t.id ? "Klar" : "Ändra"}
+                  </button>
+                  <button
+                    type="button"
+                    className="rounded-lg border bg-white px-1.5 py-0.5 text-[11px]"
+                    onClick={() => onDelete(t.id)}
+                    title="Ta bort uppgiften"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+              {editingId === t.id ? (
+                <div className="mt-2 space-y-2">
+                  <input
+                    className={inputCls}
+                    value={draft.title}
+                    onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))}
+                  />
+                  <TaskFields value={draft} onChange={(patch) => setDraft((d) => ({ ...d, ...patch }))} />
+                </div>
+              ) : t.notes ? (
+                <div className="mt-1 truncate text-xs text-neutral-600">{t.notes}</div>
+              ) : null}
+            </div>
+          );
+        })}
+        {tasks.length === 0 ? <div className="text-sm text-neutral-600">Inga oplanerade uppgifter.</div> : null}
+      </div>
+    </div>
+  );
+}
+
+// Estimate, priority, due date, time of day and notes; used by the add form and inline editing.
+function TaskFields({ value, onChange }) {
+  return (
+    <>
+      <div className="grid grid-cols-3 gap-2">
+        <label className="text-[11px] text-neutral-700">
+          Minuter
+          <input
+            className={inputCls}
+            type="number"
+            min={5}
+            step={5}
+            value={value.estimateMin}
+            onChange={(e) => onChange({ estimateMin: e.target.value })}
+          />
+        </label>
+        <label className="text-[11px] text-neutral-700">
+          Prioritet
+          <select className={inputCls} value={value.priority} onChange={(e) => onChange({ priority: e.target.value })}>
+            {PRIORITIES.map((p) => (
+              <option key={p.value} value={p.value}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-[11px] text-neutral-700">
+          Senast
+          <input
+            className={inputCls}
+            type="date"
+            value={value.dueISO ?? ""}
+            onChange={(e) => onChange({ dueISO: e.target.value })}
+          />
+        </label>
+      </div>
+      <label className="block text-[11px] text-neutral-700">
+        Helst
+        <select className={inputCls} value={value.timeOfDay ?? ""} onChange={(e) => onChange({ timeOfDay: e.target.value })}>
+          {TIME_OF_DAY.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <textarea
+        className={inputCls}
+        rows={2}
+        placeholder="Anteckningar (valfritt)"
+        value={value.notes ?? ""}
+        onChange={(e) => onChange({ notes: e.target.value })}
+      />
+    </>
+  );
+}
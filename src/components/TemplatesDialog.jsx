@@ -0,0 +1,251 @@
+import React, { useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { fmtFull, isoRange, minutesToHHMM, parseISODate, periodRange } from "../lib/dates.js";
+import { TEMPLATE_KINDS, TEMPLATE_MODES, blockCount, planTemplate } from "../lib/templates.js";
+
+const inputCls = "rounded-2xl border bg-white px-3 py-2 text-sm";
+const btnCls = "rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-neutral-50 disabled:opacity-40";
+
+// Longest range "Lägg till intervall" accepts, so a typo can't expand to years.
+const MAX_RANGE_DAYS = 366;
+
+const blockLabel = (b) => `${minutesToHHMM(b.startMin)} ${b.title}`;
+
+/**
+ * Save the selected day/week as a template, and apply templates to dates.
+ * - getEventsForDay(iso): the day's events including series occurrences
+ * - onSave({ name, kind }): save a template from the day/week around anchorISO
+ * - onApply(template, plan): carry out a planTemplate() result
+ */
+export default function TemplatesDialog({
+  open,
+  onClose,
+  templates,
+  anchorISO,
+  habits,
+  getEventsForDay,
+  onSave,
+  onDelete,
+  onApply,
+}) {
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("day");
+  const [activeId, setActiveId] = useState(null);
+  const [dates, setDates] = useState([]);
+  const [pickISO, setPickISO] = useState("");
+  const [rangeFrom, setRangeFrom] = useState("");
+  const [rangeTo, setRangeTo] = useState("");
+  const [mode, setMode] = useState("merge");
+
+  if (!open) return null;
+  const [from, to] = periodRange(kind, anchorISO);
+  const active = templates.find((t) => t.id === activeId) ?? null;
+  const plan = active && dates.length > 0 ? planTemplate({ template: active, isos: dates, mode, getEventsForDay, habits }) : [];
+  const addCount = plan.reduce((n, d) => n + d.add.length, 0);
+  const removeCount = plan.reduce((n, d) => n + d.remove.length, 0);
+  const conflictCount = plan.reduce((n, d) => n + d.conflicts.length, 0);
+  const skippedCount = plan.reduce((n, d) => n + d.skipped.length, 0);
+
+  function close() {
+    setActiveId(null);
+    setDates([]);
+    onClose();
+  }
+
+  function save() {
+    const n = name.trim();
+    if (!n) return;
+    onSave({ name: n, kind });
+    setName("");
+  }
+
+  function addDates(isos) {
+    setDates((prev) => [...new Set([...prev, ...isos])].sort());
+  }
+
+  function addRange() {
+    if (!rangeFrom || !rangeTo || rangeFrom > rangeTo) return;
+    const isos = isoRange(rangeFrom, rangeTo);
+    if (isos.length > MAX_RANGE_DAYS) return;
+    addDates(isos);
+  }
+
+  function apply() {
+    onApply(active, plan);
+    setDates([]);
+    setActiveId(null);
+  }
+
+  return (
+    <Modal open={open} title="Mallar" onClose={close} wide>
+      <div className="space-y-4">
+        <div className="rounded-2xl border p-3">
+          <div className="text-sm font-semibold">Spara som mall</div>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <select className={inputCls} value={kind} onChange={(e) => setKind(e.target.value)}>
+              {TEMPLATE_KINDS.map((k) => (
+                <option key={k.value} value={k.value}>
+                  {k.label}
+                </option>
+              ))}
+            </select>
+            <input
+              className={`${inputCls} min-w-0 flex-1`}
+              placeholder="Namn (t.ex. Arbetsdag)"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") save();
+              }}
+            />
+            <button className="rounded-2xl border bg-black px-3 py-2 text-sm text-white" onClick={save} type="button">
+              Spara
+            </button>
+          </div>
+          <div className="mt-1 text-xs text-neutral-600">
+            Sparar alla block {from === to ? `den ${from}` : `${from}–${to}`}, även återkommande och habit-block.
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {templates.map((t) => (
+            <div
+              key={t.id}
+              className={`flex items-center justify-between gap-2 rounded-2xl border p-2 ${t.id === activeId ? "bg-neutral-50" : ""}`}
+            >
+              <div className="min-w-0">
+                <div className="truncate text-sm font-semibold">{t.name}</div>
+                <div className="text-xs text-neutral-600">
+                  {TEMPLATE_KINDS.find((k) => k.value === t.kind)?.label} • {blockCount(t)} block
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  className="rounded-xl border bg-white px-2 py-1 text-xs"
+                  onClick={() => setActiveId(t.id === activeId ? null : t.id)}
+                  type="button"
+                >
+                  {t.id === activeId ? "Avbryt" : "Använd"}
+                </button>
+                <button className="rounded-xl border bg-white px-2 py-1 text-xs" onClick={() => onDelete(t.id)} type="button">
+                  Ta bort
+                </button>
+              </div>
+            </div>
+          ))}
+          {templates.length === 0 ? <div className="text-sm text-neutral-600">Inga mallar än.</div> : null}
+        </div>
+
+        {active ? (
+          <div className="space-y-3 rounded-2xl border p-3">
+            <div className="text-sm font-semibold">Använd “{active.name}”</div>
+            {active.kind === "week" ? (
+              <div className="text-xs text-neutral-600">Varje datum får mallens block för samma veckodag.</div>
+            ) : null}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <input className={inputCls} type="date" value={pickISO} onChange={(e) => setPickISO(e.target.value)} />
+              <button className={btnCls} type="button" disabled={!pickISO} onClick={() => addDates([pickISO])}>
+                Lägg till datum
+              </button>
+              <button className={btnCls} type="button" onClick={() => addDates([anchorISO])}>
+                Valt datum
+              </button>
+              <button className={btnCls} type="button" onClick={() => addDates(isoRange(...periodRange("week", anchorISO)))}>
+                Vald vecka
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <input className={inputCls} type="date" value={rangeFrom} onChange={(e) => setRangeFrom(e.target.value)} />
+              <span className="text-sm">–</span>
+              <input className={inputCls} type="date" value={rangeTo} onChange={(e) => setRangeTo(e.target.value)} />
+              <button className={btnCls} type="button" disabled={!rangeFrom || !rangeTo || rangeFrom > rangeTo} onClick={addRange}>
+                Lägg till intervall
+              </button>
+            </div>
+
+            {dates.length > 0 ? (
+              <div className="flex flex-wrap items-center gap-1">
+                {dates.map((iso) => (
+                  <button
+                    key={iso}
+                    type="button"
+                    className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-red-50"
+                    title="Ta bort datumet"
+                    onClick={() => setDates((prev) => prev.filter((d) => d !== iso))}
+                  >
+                    {iso} ✕
+                  </button>
+                ))}
+                <button type="button" className="text-xs text-neutral-600 underline" onClick={() => setDates([])}>
+                  Rensa
+                </button>
+              </div>
+            ) : (
+              <div className="text-xs text-neutral-600">Välj ett eller flera datum.</div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              {TEMPLATE_MODES.map((m) => (
+                <label key={m.value} className="flex items-center gap-1">
+                  <input type="radio" checked={mode === m.value} onChange={() => setMode(m.value)} />
+                  {m.label}
+                </label>
+              ))}
+              <span className="text-xs text-neutral-600">
+                {mode === "replace"
+                  ? "Befintliga aktiviteter på datumen tas bort."
+                  : "Befintliga aktiviteter behålls; mallens block läggs till."}
+              </span>
+            </div>
+
+            {plan.length > 0 ? (
+              <>
+                <div className="flex flex-wrap gap-2">
+                  <Pill>{addCount} block läggs till</Pill>
+                  {removeCount > 0 ? <Pill>{removeCount} tas bort</Pill> : null}
+                  {conflictCount > 0 ? <Pill>{conflictCount} krockar</Pill> : null}
+                  {skippedCount > 0 ? <Pill>{skippedCount} hoppas över</Pill> : null}
+                </div>
+                {removeCount > 0 || conflictCount > 0 || skippedCount > 0 ? (
+                  <div className="max-h-[220px] space-y-2 overflow-y-auto rounded-2xl border border-amber-300 bg-amber-50 p-3 text-xs">
+                    {plan
+                      .filter((d) => d.remove.length > 0 || d.conflicts.length > 0 || d.skipped.length > 0)
+                      .map((d) => (
+                        <div key={d.iso}>
+                          <div className="font-semibold">{fmtFull(parseISODate(d.iso))}</div>
+                          <ul className="list-disc pl-4">
+                            {d.remove.map((e) => (
+                              <li key={`rm-${e.id}`}>Tas bort: {blockLabel(e)}</li>
+                            ))}
+                            {d.conflicts.map(({ block, event }, i) => (
+                              <li key={`c-${i}`}>
+                                Krock: {blockLabel(block)} överlappar {blockLabel(event)}
+                              </li>
+                            ))}
+                            {d.skipped.map(({ block, reason }, i) => (
+                              <li key={`s-${i}`}>
+                                Hoppas över: {blockLabel(block)} ({reason})
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                  </div>
+                ) : null}
+                <button
+                  type="button"
+                  className="w-full rounded-2xl border bg-black px-3 py-2 text-sm text-white disabled:opacity-40"
+                  disabled={addCount === 0 && removeCount === 0}
+                  onClick={apply}
+                >
+                  {mode === "replace" ? "Ersätt" : "Lägg till"} på {dates.length} datum
+                </button>
+              </>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+    </Modal>
+  );
+}
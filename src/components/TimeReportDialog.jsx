@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Modal, Pill } from "./common.jsx";
+import { PERIODS, isoRange, minutesToHHMM, periodRange } from "../lib/dates.js";
+import { buildTimeReport } from "../lib/timeTracking.js";
+
+const fmtMin = (m) => (m == null ? "–" : m >= 60 ? `${Math.floor(m / 60)} h ${m % 60} min` : `${m} min`);
+
+function fmtVariance(v) {
+  if (v == null) return "–";
+  return `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmtMin(Math.abs(v))}`;
+}
+
+const varianceCls = (v) => (v == null ? "text-neutral-400" : v > 0 ? "text-red-700" : v < 0 ? "text-green-700" : "");
+
+/**
+ * Planned vs. actual report for the day/week/month around `anchorISO`.
+ * - getEventsForDay(iso): the day's events including series occurrences
+ * - categoryOf(event): { key, label, color } for the per-category table
+ * - onOpenEvent(iso, event): open an event for editing
+ */
+export default function TimeReportDialog({ open, onClose, anchorISO, getEventsForDay, categoryOf, onOpenEvent }) {
+  const [kind, setKind] = useState("week");
+  const [from, to] = periodRange(kind, anchorISO);
+
+  if (!open) return null;
+  const entries = isoRange(from, to).flatMap((iso) => getEventsForDay(iso).map((event) => ({ iso, event })));
+  const report = buildTimeReport(entries, categoryOf);
+  const { total } = report;
+
+  return (
+    <Modal open={open} title="Planerad vs. faktisk tid" onClose={onClose} wide>
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {PERIODS.map((r) => (
+            <button
+              key={r.value}
+              type="button"
+              onClick={() => setKind(r.value)}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${kind === r.value ? "bg-black text-white" : "bg-white"}`}
+            >
+              {r.label}
+            </button>
+          ))}
+          <Pill>{from === to ? from : `${from}–${to}`}</Pill>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+          <div className="rounded-2xl border bg-neutral-50 p-3">
+            <div className="text-xs text-neutral-600">Planerat (alla block)</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMin(total.planned)}</div>
+          </div>
+          <div className="rounded-2xl border bg-neutral-50 p-3">
+            <div className="text-xs text-neutral-600">Planerat (loggade block)</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMin(total.trackedPlanned)}</div>
+          </div>
+          <div className="rounded-2xl border bg-neutral-50 p-3">
+            <div className="text-xs text-neutral-600">Faktiskt</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMin(total.actual)}</div>
+          </div>
+          <div className="rounded-2xl border bg-neutral-50 p-3">
+            <div className="text-xs text-neutral-600">Avvikelse</div>
+            <div className={`mt-1 text-lg font-semibold ${varianceCls(total.tracked ? total.actual - total.trackedPlanned : null)}`}>
+              {fmtVariance(total.tracked ? total.actual - total.trackedPlanned : null)}
+            </div>
+          </div>
+        </div>
+        <div className="text-xs text-neutral-600">
+          {total.tracked} av {total.tracked + total.untracked} block har loggad tid. Avvikelsen jämför bara loggade block.
+        </div>
+
+        {report.underestimated.length > 0 ? (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm">
+            <div className="font-semibold">Brukar underskattas</div>
+            <ul className="mt-1 space-y-1 text-xs">
+              {report.underestimated.map((u) => (
+                <li key={u.title}>
+                  <span className="font-semibold">{u.title}</span>: planerat i snitt {fmtMin(u.avgPlanned)}, tar{" "}
+                  {fmtMin(u.avgActual)} ({u.overruns} av {u.count} gånger över)
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        <div>
+          <div className="text-xs font-semibold text-neutral-700">Per kategori</div>
+          <div className="mt-1 divide-y rounded-2xl border text-sm">
+            {report.categories.map((c) => (
+              <div key={c.key} className="grid grid-cols-[1fr_repeat(3,110px)] items-center gap-2 p-2">
+                <div className="flex min-w-0 items-center gap-2">
+                  <span className="h-3 w-3 shrink-0 rounded-full border" style={{ backgroundColor: c.color }} />
+                  <span className="truncate">{c.label}</span>
+                </div>
+                <div className="text-right">{fmtMin(c.planned)}</div>
+                <div className="text-right">{c.trackedPlanned ? fmtMin(c.actual) : "–"}</div>
+                <div className={`text-right ${varianceCls(c.trackedPlanned ? c.actual - c.trackedPlanned : null)}`}>
+                  {fmtVariance(c.trackedPlanned ? c.actual - c.trackedPlanned : null)}
+                </div>
+              </div>
+            ))}
+            {report.categories.length === 0 ? <div className="p-2 text-neutral-600">Inga block i perioden.</div> : null}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-neutral-700">Per aktivitet</div>
+          <div className="mt-1 max-h-[320px] divide-y overflow-y-auto rounded-2xl border text-sm">
+            <div className="grid grid-cols-[90px_1fr_repeat(3,90px)] gap-2 bg-neutral-50 p-2 text-xs font-semibold text-neutral-600">
+              <div>Datum</div>
+              <div>Aktivitet</div>
+              <div className="text-right">Planerat</div>
+              <div className="text-right">Faktiskt</div>
+              <div className="text-right">Avvikelse</div>
+            </div>
+            {report.rows.map((r) => (
+              <button
+                key={`${r.iso}-${r.event.id}`}
+                type="button"
+                onClick={() => onOpenEvent(r.iso, r.event)}
+                className={`grid w-full grid-cols-[90px_1fr_repeat(3,90px)] gap-2 p-2 text-left hover:bg-neutral-50 ${
+                  r.overrun ? "bg-red-50" : ""
+                }`}
+              >
+                <div className="text-xs text-neutral-600">
+                  {r.iso.slice(5)} {minutesToHHMM(r.event.startMin)}
+                </div>
+                <div className="truncate">{r.event.title}</div>
+                <div className="text-right">{fmtMin(r.planned)}</div>
+                <div className="text-right">{fmtMin(r.actual)}</div>
+                <div className={`text-right ${varianceCls(r.variance)}`}>{fmtVariance(r.variance)}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,117 @@
+import React from "react";
+import { clamp } from "../lib/dates.js";
+
+// Small shared UI bits used across the planner.
+
+export function Section({ title, right, children }) {
+  return (
+    <div className="rounded-2xl border bg-white/50 p-4 shadow-sm">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-base font-semibold">{title}</div>
+        </div>
+        {right}
+      </div>
+      <div className="mt-3">{children}</div>
+    </div>
+  );
+}
+
+export function Pill({ children }) {
+  return (
+    <span className="inline-flex items-center rounded-xl border bg-white px-2.5 py-1 text-xs font-medium shadow-sm">
+      {children}
+    </span>
+  );
+}
+
+export function IconButton({ title, onClick, children }) {
+  return (
+    <button
+      type="button"
+      title={title}
+      onClick={onClick}
+      className="inline-flex h-9 w-9 items-center justify-center rounded-2xl border bg-white text-sm shadow-sm hover:bg-neutral-50"
+    >
+      {children}
+    </button>
+  );
+}
+
+export function Pie({ percent, label, sublabel }) {
+  const p = clamp(Math.round(percent), 0, 100);
+  const r = 36;
+  const c = 2 * Math.PI * r;
+  const dash = (p / 100) * c;
+  const gap = c - dash;
+
+  return (
+    <div className="flex items-center gap-3 rounded-2xl border bg-white/50 p-4 shadow-sm">
+      <svg width="92" height="92" viewBox="0 0 92 92" aria-label={label}>
+        <circle cx="46" cy="46" r={r} fill="none" stroke="rgba(0,0,0,0.12)" strokeWidth="10" />
+        <circle
+          cx="46"
+          cy="46"
+          r={r}
+          fill="none"
+          stroke="rgba(0,0,0,0.85)"
+          strokeWidth="10"
+          strokeLinecap="round"
+          strokeDasharray={`${dash} ${gap}`}
+          transform="rotate(-90 46 46)"
+        />
+        <text x="46" y="51" textAnchor="middle" className="fill-black" style={{ fontSize: 16, fontWeight: 700 }}>
+          {p}%
+        </text>
+      </svg>
+      <div>
+        <div className="text-sm font-semibold">{label}</div>
+        <div className="text-sm text-black/60">{sublabel}</div>
+      </div>
+    </div>
+  );
+}
+
+export function Modal({ open, title, onClose, children, wide = false }) {
+  if (!open) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className={`relative max-h-[90vh] w-full overflow-y-auto rounded-2xl border bg-white p-4 shadow-xl ${
+          wide ? "max-w-3xl" : "max-w-lg"
+        }`}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="text-base font-semibold">{title}</div>
+          <button
+            type="button"
+            className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-neutral-50"
+            onClick={onClose}
+          >
+            Stäng
+          </button>
+        </div>
+        <div className="mt-3">{children}</div>
+      </div>
+    </div>
+  );
+}
+
+// Bottom toast with an optional action (e.g. "Ångra").
+export function Toast({ message, actionLabel, onAction, onClose }) {
+  if (!message) return null;
+  return (
+    <div className="fixed bottom-4 left-1/2 z-50 flex -translate-x-1/2 items-center gap-3 rounded-2xl border bg-neutral-900 px-4 py-2 text-sm text-white shadow-xl">
+      <span>{message}</span>
+      {actionLabel ? (
+        <button type="button" className="rounded-xl border border-white/30 px-2 py-1 text-xs font-semibold" onClick={onAction}>
+          {actionLabel}
+        </button>
+      ) : null}
+      <button type="button" className="text-xs text-white/60 hover:text-white" onClick={onClose} title="Stäng">
+        ✕
+      </button>
+    </div>
+  );
+}
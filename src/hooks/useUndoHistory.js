@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Undo/redo over an immutable state snapshot.
+ *
+ * - data: the current snapshot (a new object each render is fine)
+ * - restore(snapshot): put a snapshot back into state
+ *
+ * Call record() right before a mutation. Calls made in the same task (one
+ * click that updates several pieces of state) become a single undo step.
+ */
+export function useUndoHistory(data, restore, { limit = 100 } = {}) {
+  const dataRef = useRef(data);
+  const restoreRef = useRef(restore);
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const groupingRef = useRef(false);
+  const [sizes, setSizes] = useState({ past: 0, future: 0 });
+
+  useEffect(() => {
+    dataRef.current = data;
+    restoreRef.current = restore;
+  });
+
+  const sync = useCallback(() => {
+    setSizes({ past: pastRef.current.length, future: futureRef.current.length });
+  }, []);
+
+  const record = useCallback(() => {
+    if (groupingRef.current) return;
+    groupingRef.current = true;
+    setTimeout(() => {
+      groupingRef.current = false;
+    }, 0);
+    pastRef.current = [...pastRef.current, dataRef.current].slice(-limit);
+    futureRef.current = [];
+    sync();
+  }, [limit, sync]);
+
+  const undo = useCallback(() => {
+    const past = pastRef.current;
+    if (past.length === 0) return false;
+    const snapshot = past[past.length - 1];
+    pastRef.current = past.slice(0, -1);
+    futureRef.current = [...futureRef.current, dataRef.current];
+    restoreRef.current(snapshot);
+    sync();
+    return true;
+  }, [sync]);
+
+  const redo = useCallback(() => {
+    const future = futureRef.current;
+    if (future.length === 0) return false;
+    const snapshot = future[future.length - 1];
+    futureRef.current = future.slice(0, -1);
+    pastRef.current = [...pastRef.current, dataRef.current];
+    restoreRef.current(snapshot);
+    sync();
+    return true;
+  }, [sync]);
+
+  return { record, undo, redo, canUndo: sizes.past > 0, canRedo: sizes.future > 0 };
+}
@@ -0,0 +1,162 @@
+import { isChecked, wantsDefaultBlock } from "./habitSchedule.js";
+
+// "Auto-plan my day/week": place pending tasks and due habits in the free
+// gaps between a day's existing events.
+//
+// Items are placed greedily, most urgent first (priority, then deadline, then
+// longest first), each in the earliest gap that fits inside its preferred time
+// of day, or anywhere in the window if no preferred slot is free. Across a
+// week, habits are placed on their own days and tasks on the first day with
+// room. Nothing is changed here; the caller applies the returned plan.
+
+// Optional `timeOfDay` on tasks and habits.
+export const TIME_OF_DAY = [
+  { value: "", label: "När som helst" },
+  { value: "morning", label: "Förmiddag", start: 0, end: 12 * 60 },
+  { value: "afternoon", label: "Eftermiddag", start: 12 * 60, end: 17 * 60 },
+  { value: "evening", label: "Kväll", start: 17 * 60, end: 24 * 60 },
+];
+
+const HABIT_BLOCK_MIN = 30;
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+const overlaps = (a, b) => a.startMin < b.startMin + b.durationMin && b.startMin < a.startMin + a.durationMin;
+
+// Free [start, end) intervals of the window, given busy events.
+export function freeGaps(events, windowStart, windowEnd) {
+  const busy = events
+    .map((e) => [e.startMin, e.startMin + e.durationMin])
+    .filter(([s, e]) => e > windowStart && s < windowEnd)
+    .sort((a, b) => a[0] - b[0]);
+  const gaps = [];
+  let cursor = windowStart;
+  for (const [s, e] of busy) {
+    if (s > cursor) gaps.push([cursor, s]);
+    cursor = Math.max(cursor, e);
+  }
+  if (cursor < windowEnd) gaps.push([cursor, windowEnd]);
+  return gaps;
+}
+
+// Earliest step-aligned start in `gaps` for `duration` minutes within [from, to).
+function findSlot(gaps, duration, step, from, to) {
+  for (const [gs, ge] of gaps) {
+    const start = Math.ceil(Math.max(gs, from) / step) * step;
+    if (start + duration <= Math.min(ge, to)) return start;
+  }
+  return null;
+}
+
+function rank(item) {
+  return [PRIORITY_RANK[item.priority] ?? 1, item.dueISO ?? "9999-12-31", -item.durationMin];
+}
+
+function compareItems(a, b) {
+  const ra = rank(a);
+  const rb = rank(b);
+  return ra[0] - rb[0] || (ra[1] < rb[1] ? -1 : ra[1] > rb[1] ? 1 : 0) || ra[2] - rb[2];
+}
+
+/**
+ * Habits to place on `iso`: due, not yet done, and either without a block or
+ * with a block that collides with another event (the stacked 08:00 defaults).
+ * The colliding block is moved rather than duplicated.
+ */
+function habitItems(habits, checksByDate, iso, events) {
+  const items = [];
+  for (const h of habits) {
+    if (!wantsDefaultBlock(h, checksByDate, iso) || isChecked(checksByDate, iso, h)) continue;
+    const block = events.find((e) => e.type === "habit" && e.habitId === h.id);
+    if (block && !events.some((e) => e !== block && overlaps(e, block))) continue;
+    items.push({
+      kind: "habit",
+      id: h.id,
+      title: h.name,
+      durationMin: block?.durationMin ?? HABIT_BLOCK_MIN,
+      priority: "normal",
+      dueISO: iso,
+      timeOfDay: h.timeOfDay ?? "",
+      blockId: block?.id ?? null,
+    });
+  }
+  return items;
+}
+
+/**
+ * Plan `isos` (sorted; days before todayISO are left alone and today starts at
+ * nowMin). getEventsForDay(iso) should include series occurrences.
+ *
+ * Returns {
+ *   placements: [{ iso, item, startMin, late, outsidePreference }],
+ *   unfit: [{ item, iso?, reason }],
+ * }
+ * item = { kind: "task"|"habit", id, title, durationMin, priority, dueISO, timeOfDay, blockId? }
+ * `late`: a task placed after its due date.
+ */
+export function autoSchedule({
+  isos,
+  todayISO,
+  nowMin,
+  tasks,
+  habits,
+  checksByDate,
+  getEventsForDay,
+  windowStart,
+  windowEnd,
+  step,
+}) {
+  const placements = [];
+  const unfit = [];
+  let pendingTasks = tasks.map((t) => ({
+    kind: "task",
+    id: t.id,
+    title: t.title,
+    durationMin: t.estimateMin,
+    priority: t.priority,
+    dueISO: t.dueISO ?? null,
+    timeOfDay: t.timeOfDay ?? "",
+  }));
+
+  const days = isos.filter((d) => d >= todayISO);
+  for (const iso of days) {
+    const from = iso === todayISO ? Math.max(windowStart, Math.ceil(nowMin / step) * step) : windowStart;
+    const existing = getEventsForDay(iso);
+    const habitsToday = habitItems(habits, checksByDate, iso, existing);
+    const moving = new Set(habitsToday.map((h) => h.blockId).filter(Boolean));
+    const booked = existing.filter((e) => !moving.has(e.id));
+
+    const leftover = [];
+    for (const item of [...habitsToday, ...pendingTasks].sort(compareItems)) {
+      const gaps = freeGaps(booked, from, windowEnd);
+      const pref = TIME_OF_DAY.find((t) => t.value === item.timeOfDay && t.value);
+      let startMin = pref ? findSlot(gaps, item.durationMin, step, pref.start, pref.end) : null;
+      const outsidePreference = !!pref && startMin == null;
+      if (startMin == null) startMin = findSlot(gaps, item.durationMin, step, from, windowEnd);
+
+      if (startMin == null) {
+        if (item.kind === "habit") unfit.push({ item, iso, reason: "Ingen ledig lucka den dagen" });
+        else leftover.push(item);
+        continue;
+      }
+      booked.push({ startMin, durationMin: item.durationMin });
+      placements.push({
+        iso,
+        item,
+        startMin,
+        late: item.kind === "task" && !!item.dueISO && iso > item.dueISO,
+        outsidePreference,
+      });
+    }
+    pendingTasks = leftover;
+  }
+
+  for (const item of pendingTasks) {
+    let reason = "Ingen ledig lucka i perioden";
+    if (days.length === 0) reason = "Perioden har redan passerat";
+    else if (item.durationMin > windowEnd - windowStart) reason = "Längre än hela dagen";
+    unfit.push({ item, reason });
+  }
+
+  placements.sort((a, b) => (a.iso === b.iso ? a.startMin - b.startMin : a.iso < b.iso ? -1 : 1));
+  return { placements, unfit };
+}
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { autoSchedule, freeGaps } from "./autoSchedule.js";
+
+const block = (id, startMin, durationMin, extra = {}) => ({ id, type: "custom", title: id, startMin, durationMin, ...extra });
+const task = (id, estimateMin, extra = {}) => ({ id, title: id, estimateMin, priority: "normal", ...extra });
+
+// 2026-01-05 is a Monday. Days run 08:00–17:00 in 15-minute steps.
+function plan({ isos = ["2026-01-05"], nowMin = 0, tasks = [], habits = [], checksByDate = {}, events = {} } = {}) {
+  return autoSchedule({
+    isos,
+    todayISO: "2026-01-05",
+    nowMin,
+    tasks,
+    habits,
+    checksByDate,
+    getEventsForDay: (iso) => events[iso] ?? [],
+    windowStart: 480,
+    windowEnd: 1020,
+    step: 15,
+  });
+}
+
+const placed = (result) => result.placements.map((p) => [p.iso, p.item.id, p.startMin]);
+
+describe("freeGaps", () => {
+  it("returns the free parts of the window around overlapping events", () => {
+    const events = [block("a", 540, 60), block("b", 570, 60), block("c", 420, 90), block("d", 1000, 60)];
+    expect(freeGaps(events, 480, 1020)).toEqual([
+      [510, 540],
+      [630, 1000],
+    ]);
+  });
+});
+
+describe("autoSchedule", () => {
+  it("places tasks in the earliest gap that fits around existing blocks", () => {
+    const events = { "2026-01-05": [block("möte", 480, 60), block("lunch", 570, 60)] };
+    const result = plan({ tasks: [task("kort", 30), task("lång", 90)], events });
+    // Longest first at equal priority: 90 min does not fit 09:00–09:30.
+    expect(placed(result)).toEqual([
+      ["2026-01-05", "kort", 540],
+      ["2026-01-05", "lång", 630],
+    ]);
+  });
+
+  it("places urgent tasks first", () => {
+    const events = { "2026-01-05": [block("x", 540, 480)] };
+    const result = plan({ tasks: [task("vanlig", 60), task("brådskande", 60, { priority: "high" })], events });
+    expect(placed(result)).toEqual([["2026-01-05", "brådskande", 480]]);
+    expect(result.unfit.map((u) => u.item.id)).toEqual(["vanlig"]);
+  });
+
+  it("honours the preferred time of day when there is room", () => {
+    const result = plan({ tasks: [task("eftermiddag", 30, { timeOfDay: "afternoon" })] });
+    expect(placed(result)).toEqual([["2026-01-05", "eftermiddag", 720]]);
+    expect(result.placements[0].outsidePreference).toBe(false);
+  });
+
+  it("starts today at the next step after now", () => {
+    expect(placed(plan({ nowMin: 600 + 7, tasks: [task("t", 30)] }))).toEqual([["2026-01-05", "t", 615]]);
+  });
+
+  it("moves tasks that don't fit before the day ends to the next day, marked late after their due date", () => {
+    const result = plan({
+      isos: ["2026-01-05", "2026-01-06"],
+      nowMin: 990,
+      tasks: [task("t", 45, { dueISO: "2026-01-05" })],
+    });
+    expect(placed(result)).toEqual([["2026-01-06", "t", 480]]);
+    expect(result.placements[0].late).toBe(true);
+  });
+
+  it("reports what cannot be placed and why", () => {
+    expect(plan({ nowMin: 1020, tasks: [task("t", 30)] }).unfit).toMatchObject([
+      { item: { id: "t" }, reason: "Ingen ledig lucka i perioden" },
+    ]);
+    expect(plan({ tasks: [task("t", 600)] }).unfit[0].reason).toBe("Längre än hela dagen");
+    expect(plan({ isos: ["2026-01-04"], tasks: [task("t", 30)] }).unfit[0].reason).toBe("Perioden har redan passerat");
+  });
+
+  it("moves a due habit's block off another event instead of adding a second one", () => {
+    const habits = [{ id: "läsa", name: "Läsa", active: true }];
+    const events = {
+      "2026-01-05": [block("möte", 480, 60), { id: "hb", type: "habit", habitId: "läsa", title: "Läsa", startMin: 480, durationMin: 20 }],
+    };
+    const result = plan({ habits, events });
+    expect(result.placements).toHaveLength(1);
+    expect(result.placements[0]).toMatchObject({ startMin: 540, item: { kind: "habit", blockId: "hb", durationMin: 20 } });
+  });
+
+  it("leaves habits that are already done or placed without a collision alone", () => {
+    const habits = [{ id: "läsa", name: "Läsa", active: true }];
+    const own = { "2026-01-05": [{ id: "hb", type: "habit", habitId: "läsa", title: "Läsa", startMin: 600, durationMin: 20 }] };
+    expect(plan({ habits, events: own }).placements).toEqual([]);
+    expect(plan({ habits, checksByDate: { "2026-01-05": { läsa: true } } }).placements).toEqual([]);
+  });
+});
@@ -0,0 +1,301 @@
+import { SCHEMA_VERSION, migratePayload } from "./schema.js";
+import { SCHEDULE_KINDS } from "./habitSchedule.js";
+import { DEFAULT_CATEGORIES } from "./categories.js";
+import { PRIORITIES } from "./tasks.js";
+
+// Full-state JSON backup: build, validate, summarize and merge.
+//
+// File format (schemaVersion follows the storage schema in schema.js, so old
+// backups are upgraded by the same migrations):
+// {
+//   app: "timeboxing-habits",
+//   schemaVersion: 5,
+//   exportedAt: "2026-01-01T12:00:00.000Z",
+//   data: { habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks,
+//           settings: { view, selectedISO } }
+// }
+
+export const BACKUP_APP_ID = "timeboxing-habits";
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const VIEWS = ["day", "week", "month"];
+
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+const isStr = (x) => typeof x === "string";
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+
+export function buildBackup(
+  { habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks, view, selectedISO },
+  now = new Date()
+) {
+  return {
+    app: BACKUP_APP_ID,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    data: {
+      habits,
+      habitChecksByDate,
+      eventsByDate,
+      seriesById,
+      categories,
+      templates,
+      tasks,
+      settings: { view, selectedISO },
+    },
+  };
+}
+
+function validateEvent(e, path, errors) {
+  if (!isObject(e)) {
+    errors.push(`${path}: måste vara ett objekt.`);
+    return;
+  }
+  if (!isStr(e.id) || !e.id) errors.push(`${path}.id: saknas.`);
+  if (e.type !== "habit" && e.type !== "custom") errors.push(`${path}.type: måste vara "habit" eller "custom".`);
+  if (e.type === "habit" && !isStr(e.habitId)) errors.push(`${path}.habitId: saknas för habit-block.`);
+  if (!isStr(e.title)) errors.push(`${path}.title: måste vara text.`);
+  if (!isNum(e.startMin) || e.startMin < 0 || e.startMin >= 24 * 60) errors.push(`${path}.startMin: ogiltig tid.`);
+  if (!isNum(e.durationMin) || e.durationMin <= 0) errors.push(`${path}.durationMin: måste vara > 0.`);
+  if (e.color != null && !isStr(e.color)) errors.push(`${path}.color: måste vara text.`);
+  if (e.notes != null && !isStr(e.notes)) errors.push(`${path}.notes: måste vara text.`);
+  if (e.categoryId != null && !isStr(e.categoryId)) errors.push(`${path}.categoryId: måste vara text.`);
+  if (e.actualMin != null && (!isNum(e.actualMin) || e.actualMin < 0)) errors.push(`${path}.actualMin: måste vara ≥ 0.`);
+}
+
+/**
+ * Validate a parsed backup file. Collects every problem instead of stopping at
+ * the first one. Returns { ok, errors, data } where data is normalized.
+ */
+export function validateBackup(file) {
+  const errors = [];
+  if (!isObject(file)) return { ok: false, errors: ["Filen innehåller inget JSON-objekt."], data: null };
+  if (file.app !== BACKUP_APP_ID) errors.push(`app: förväntade "${BACKUP_APP_ID}".`);
+  if (!Number.isInteger(file.schemaVersion)) errors.push("schemaVersion: saknas.");
+  else if (file.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`schemaVersion: ${file.schemaVersion} är nyare än vad appen stöder (${SCHEMA_VERSION}).`);
+  }
+  let d = file.data;
+  if (!isObject(d)) {
+    errors.push("data: saknas.");
+    return { ok: false, errors, data: null };
+  }
+  if (errors.length > 0) return { ok: false, errors, data: null };
+  if (file.schemaVersion < SCHEMA_VERSION) {
+    const { settings, ...rest } = d;
+    try {
+      d = { ...migratePayload(rest, file.schemaVersion), settings };
+    } catch (err) {
+      return { ok: false, errors: [`Kunde inte uppgradera från schemaversion ${file.schemaVersion}: ${err.message}`], data: null };
+    }
+  }
+
+  if (!Array.isArray(d.habits)) errors.push("data.habits: måste vara en lista.");
+  else {
+    const ids = new Set();
+    d.habits.forEach((h, i) => {
+      const p = `data.habits[${i}]`;
+      if (!isObject(h)) return errors.push(`${p}: måste vara ett objekt.`);
+      if (!isStr(h.id) || !h.id) errors.push(`${p}.id: saknas.`);
+      else if (ids.has(h.id)) errors.push(`${p}.id: "${h.id}" förekommer flera gånger.`);
+      ids.add(h.id);
+      if (!isStr(h.name)) errors.push(`${p}.name: måste vara text.`);
+      if (typeof h.active !== "boolean") errors.push(`${p}.active: måste vara true/false.`);
+      if (h.schedule !== undefined && !SCHEDULE_KINDS.some((k) => k.value === h.schedule?.kind)) {
+        errors.push(`${p}.schedule: okänt schema.`);
+      }
+      if (h.measure !== undefined && (!isObject(h.measure) || !(Number(h.measure.target) > 0))) {
+        errors.push(`${p}.measure: måste ha ett mål större än 0.`);
+      }
+    });
+  }
+
+  if (!isObject(d.habitChecksByDate)) errors.push("data.habitChecksByDate: måste vara ett objekt.");
+  else {
+    for (const [iso, row] of Object.entries(d.habitChecksByDate)) {
+      const p = `data.habitChecksByDate["${iso}"]`;
+      if (!ISO_RE.test(iso)) errors.push(`${p}: ogiltigt datum.`);
+      if (!isObject(row)) errors.push(`${p}: måste vara ett objekt.`);
+      else {
+        for (const [hid, v] of Object.entries(row)) {
+          if (typeof v !== "boolean" && !isNum(v)) errors.push(`${p}["${hid}"]: måste vara true/false eller ett tal.`);
+        }
+      }
+    }
+  }
+
+  if (!isObject(d.eventsByDate)) errors.push("data.eventsByDate: måste vara ett objekt.");
+  else {
+    for (const [iso, list] of Object.entries(d.eventsByDate)) {
+      const p = `data.eventsByDate["${iso}"]`;
+      if (!ISO_RE.test(iso)) errors.push(`${p}: ogiltigt datum.`);
+      if (!Array.isArray(list)) errors.push(`${p}: måste vara en lista.`);
+      else list.forEach((e, i) => validateEvent(e, `${p}[${i}]`, errors));
+    }
+  }
+
+  if (d.seriesById != null) {
+    if (!isObject(d.seriesById)) errors.push("data.seriesById: måste vara ett objekt.");
+    else {
+      for (const [id, s] of Object.entries(d.seriesById)) {
+        const p = `data.seriesById["${id}"]`;
+        validateEvent({ type: "custom", ...s }, p, errors);
+        if (isObject(s) && !ISO_RE.test(s.startISO ?? "")) errors.push(`${p}.startISO: ogiltigt datum.`);
+        if (isObject(s) && !isObject(s.repeat)) errors.push(`${p}.repeat: saknas.`);
+      }
+    }
+  }
+
+  if (d.categories != null) {
+    if (!Array.isArray(d.categories)) errors.push("data.categories: måste vara en lista.");
+    else {
+      d.categories.forEach((c, i) => {
+        const p = `data.categories[${i}]`;
+        if (!isObject(c)) return errors.push(`${p}: måste vara ett objekt.`);
+        if (!isStr(c.id) || !c.id) errors.push(`${p}.id: saknas.`);
+        if (!isStr(c.name)) errors.push(`${p}.name: måste vara text.`);
+        if (!isStr(c.color) || !HEX_COLOR.test(c.color)) errors.push(`${p}.color: måste vara en hexfärg.`);
+      });
+    }
+  }
+
+  if (d.templates != null) {
+    if (!Array.isArray(d.templates)) errors.push("data.templates: måste vara en lista.");
+    else {
+      d.templates.forEach((t, i) => {
+        const p = `data.templates[${i}]`;
+        if (!isObject(t)) return errors.push(`${p}: måste vara ett objekt.`);
+        if (!isStr(t.id) || !t.id) errors.push(`${p}.id: saknas.`);
+        if (!isStr(t.name)) errors.push(`${p}.name: måste vara text.`);
+        if (t.kind !== "day" && t.kind !== "week") errors.push(`${p}.kind: måste vara "day" eller "week".`);
+        if (!Array.isArray(t.days) || t.days.length !== (t.kind === "week" ? 7 : 1)) {
+          errors.push(`${p}.days: fel antal dagar.`);
+        } else {
+          t.days.forEach((blocks, di) => {
+            if (!Array.isArray(blocks)) return errors.push(`${p}.days[${di}]: måste vara en lista.`);
+            blocks.forEach((b, bi) => validateEvent({ id: "block", ...b }, `${p}.days[${di}][${bi}]`, errors));
+          });
+        }
+      });
+    }
+  }
+
+  if (d.tasks != null) {
+    if (!Array.isArray(d.tasks)) errors.push("data.tasks: måste vara en lista.");
+    else {
+      d.tasks.forEach((t, i) => {
+        const p = `data.tasks[${i}]`;
+        if (!isObject(t)) return errors.push(`${p}: måste vara ett objekt.`);
+        if (!isStr(t.id) || !t.id) errors.push(`${p}.id: saknas.`);
+        if (!isStr(t.title)) errors.push(`${p}.title: måste vara text.`);
+        if (!isNum(t.estimateMin) || t.estimateMin <= 0) errors.push(`${p}.estimateMin: måste vara > 0.`);
+        if (!PRIORITIES.some((pr) => pr.value === t.priority)) errors.push(`${p}.priority: okänd prioritet.`);
+        if (t.dueISO != null && !ISO_RE.test(t.dueISO)) errors.push(`${p}.dueISO: ogiltigt datum.`);
+      });
+    }
+  }
+
+  const settings = isObject(d.settings) ? d.settings : {};
+  if (settings.view != null && !VIEWS.includes(settings.view)) errors.push("data.settings.view: okänd vy.");
+  if (settings.selectedISO != null && !ISO_RE.test(settings.selectedISO)) {
+    errors.push("data.settings.selectedISO: ogiltigt datum.");
+  }
+
+  if (errors.length > 0) return { ok: false, errors, data: null };
+  return {
+    ok: true,
+    errors,
+    data: {
+      habits: d.habits,
+      habitChecksByDate: d.habitChecksByDate,
+      eventsByDate: d.eventsByDate,
+      seriesById: d.seriesById ?? {},
+      categories: d.categories ?? DEFAULT_CATEGORIES,
+      templates: d.templates ?? [],
+      tasks: d.tasks ?? [],
+      settings,
+    },
+  };
+}
+
+function eventIds(eventsByDate) {
+  const ids = new Set();
+  for (const list of Object.values(eventsByDate)) for (const e of list) ids.add(e.id);
+  return ids;
+}
+
+function countChecks(habitChecksByDate) {
+  let n = 0;
+  for (const row of Object.values(habitChecksByDate)) for (const v of Object.values(row)) if (v) n += 1;
+  return n;
+}
+
+// Union of both states. Existing items win on id clashes;
+// a habit counts as checked if it is checked in either, and measured values
+// keep the larger amount.
+export function mergeBackupData(current, incoming) {
+  const habitIds = new Set(current.habits.map((h) => h.id));
+  const habits = [...current.habits, ...incoming.habits.filter((h) => !habitIds.has(h.id))];
+
+  const habitChecksByDate = { ...current.habitChecksByDate };
+  for (const [iso, row] of Object.entries(incoming.habitChecksByDate)) {
+    const cur = habitChecksByDate[iso] ?? {};
+    const merged = { ...cur };
+    for (const [hid, v] of Object.entries(row)) {
+      merged[hid] =
+        typeof v === "number" || typeof cur[hid] === "number"
+          ? Math.max(Number(cur[hid]) || 0, Number(v) || 0)
+          : !!cur[hid] || !!v;
+    }
+    habitChecksByDate[iso] = merged;
+  }
+
+  const seen = eventIds(current.eventsByDate);
+  const eventsByDate = { ...current.eventsByDate };
+  for (const [iso, list] of Object.entries(incoming.eventsByDate)) {
+    const fresh = list.filter((e) => !seen.has(e.id));
+    fresh.forEach((e) => seen.add(e.id));
+    if (fresh.length > 0) eventsByDate[iso] = [...(eventsByDate[iso] ?? []), ...fresh];
+  }
+
+  const seriesById = { ...incoming.seriesById, ...current.seriesById };
+
+  const categoryIds = new Set(current.categories.map((c) => c.id));
+  const categories = [...current.categories, ...incoming.categories.filter((c) => !categoryIds.has(c.id))];
+
+  const templateIds = new Set(current.templates.map((t) => t.id));
+  const templates = [...current.templates, ...incoming.templates.filter((t) => !templateIds.has(t.id))];
+
+  const taskIds = new Set(current.tasks.map((t) => t.id));
+  const tasks = [...current.tasks, ...incoming.tasks.filter((t) => !taskIds.has(t.id))];
+
+  return {
+    habits,
+    habitChecksByDate,
+    eventsByDate,
+    seriesById,
+    categories,
+    templates,
+    tasks,
+    settings: current.settings,
+  };
+}
+
+export function replaceBackupData(current, incoming) {
+  return { ...incoming, settings: { ...current.settings, ...incoming.settings } };
+}
+
+// Counts for the "what will change" preview.
+export function summarizeData(data) {
+  const events = eventIds(data.eventsByDate).size;
+  return {
+    habits: data.habits.length,
+    checks: countChecks(data.habitChecksByDate),
+    events,
+    series: Object.keys(data.seriesById ?? {}).length,
+    categories: (data.categories ?? []).length,
+    templates: (data.templates ?? []).length,
+    tasks: (data.tasks ?? []).length,
+    days: Object.keys(data.eventsByDate).filter((iso) => data.eventsByDate[iso].length > 0).length,
+  };
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { BACKUP_APP_ID, buildBackup, mergeBackupData, summarizeData, validateBackup } from "./backup.js";
+
+const state = {
+  habits: [{ id: "h1", name: "Läsa", active: true }],
+  habitChecksByDate: { "2026-01-05": { h1: true } },
+  eventsByDate: {
+    "2026-01-05": [{ id: "e1", type: "custom", title: "Möte", startMin: 540, durationMin: 60, color: "#93c5fd", notes: "" }],
+  },
+  seriesById: {},
+  view: "day",
+  selectedISO: "2026-01-05",
+};
+
+const withData = (data) => ({ ...buildBackup(state), data: { ...buildBackup(state).data, ...data } });
+
+describe("validateBackup", () => {
+  it("accepts its own export", () => {
+    const result = validateBackup(buildBackup(state));
+    expect(result.errors).toEqual([]);
+    expect(result.ok).toBe(true);
+    expect(result.data.habits).toEqual(state.habits);
+    expect(result.data.settings).toEqual({ view: "day", selectedISO: "2026-01-05" });
+  });
+
+  it("rejects files that are not backups", () => {
+    expect(validateBackup(null).ok).toBe(false);
+    expect(validateBackup([]).ok).toBe(false);
+    expect(validateBackup({ ...buildBackup(state), app: "other" }).ok).toBe(false);
+    expect(validateBackup({ app: BACKUP_APP_ID, schemaVersion: 1 }).ok).toBe(false);
+  });
+
+  it("rejects backups from a newer app", () => {
+    const file = buildBackup(state);
+    const result = validateBackup({ ...file, schemaVersion: file.schemaVersion + 1 });
+    expect(result.ok).toBe(false);
+    expect(result.errors[0]).toMatch(/nyare/);
+  });
+
+  it("lists every problem at once", () => {
+    const result = validateBackup(
+      withData({
+        habits: [{ id: "h1", name: 1, active: "yes" }, { id: "h1", name: "B", active: true }, null],
+        eventsByDate: { "5 jan": [{ id: "e", type: "x", title: "", startMin: 2000, durationMin: 0 }] },
+      })
+    );
+    expect(result.ok).toBe(false);
+    expect(result.errors.length).toBeGreaterThanOrEqual(7);
+  });
+
+  it("reports malformed data instead of throwing", () => {
+    for (const data of [
+      { habits: "x", habitChecksByDate: [], eventsByDate: null },
+      { habits: [1], habitChecksByDate: { "2026-01-05": 5 }, eventsByDate: { "2026-01-05": "x" }, seriesById: 3 },
+      { eventsByDate: { "2026-01-05": [null, { startMin: "x" }] }, seriesById: { s: null } },
+    ]) {
+      const result = validateBackup(withData(data));
+      expect(result.ok, JSON.stringify(data)).toBe(false);
+      expect(result.errors.length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe("validateBackup with older backups", () => {
+  it("upgrades them through the storage migrations", () => {
+    const result = validateBackup({
+      app: BACKUP_APP_ID,
+      schemaVersion: 4,
+      data: {
+        habits: [{ id: "h1", name: "Läsa", active: true }],
+        habitChecksByDate: {},
+        eventsByDate: { "2026-01-05": [{ id: "e1", title: "Möte", startMin: 540 }] },
+        settings: { view: "week" },
+      },
+    });
+    expect(result.errors).toEqual([]);
+    expect(result.data.seriesById).toEqual({});
+    expect(result.data.eventsByDate["2026-01-05"][0]).toMatchObject({ type: "custom", durationMin: 30, notes: "" });
+    expect(result.data.settings).toEqual({ view: "week" });
+  });
+});
+
+describe("mergeBackupData", () => {
+  it("keeps existing items on id clashes and unions checks", () => {
+    const current = validateBackup(buildBackup(state)).data;
+    const incoming = validateBackup(
+      withData({
+        habits: [{ id: "h1", name: "Annat namn", active: true }, { id: "h2", name: "Gym", active: true }],
+        habitChecksByDate: { "2026-01-05": { h1: false, h2: true } },
+        eventsByDate: {
+          "2026-01-05": [
+            { id: "e1", type: "custom", title: "Krock", startMin: 600, durationMin: 30 },
+            { id: "e2", type: "custom", title: "Ny", startMin: 660, durationMin: 30 },
+          ],
+        },
+      })
+    ).data;
+    const merged = mergeBackupData(current, incoming);
+    expect(merged.habits.map((h) => h.name)).toEqual(["Läsa", "Gym"]);
+    expect(merged.habitChecksByDate["2026-01-05"]).toEqual({ h1: true, h2: true });
+    expect(merged.eventsByDate["2026-01-05"].map((e) => e.title)).toEqual(["Möte", "Ny"]);
+    expect(summarizeData(merged)).toMatchObject({ habits: 2, events: 2, checks: 2, days: 1 });
+  });
+});
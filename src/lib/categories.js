@@ -0,0 +1,87 @@
+// Named event categories, part of the planner state:
+//
+//   categories: [{ id, name, color }]   // color: hex
+//
+// Custom events and series may carry `categoryId`. Their `color` is kept in
+// step with the category's, so everything that only knows about colors
+// (rendering, .ics export) keeps working. Events without a category keep
+// whatever color they were given.
+
+export const DEFAULT_CATEGORIES = [
+  { id: "work", name: "Arbete", color: "#93c5fd" },
+  { id: "health", name: "Hälsa", color: "#fca5a5" },
+  { id: "study", name: "Studier", color: "#fde68a" },
+  { id: "home", name: "Hem", color: "#c4b5fd" },
+];
+
+export const UNCATEGORIZED_COLOR = "#93c5fd";
+
+// Groups for habit blocks and custom events without a category.
+export const HABIT_GROUP = { key: "habit", label: "Vanor", color: "#bbf7d0" };
+export const NONE_GROUP = { key: "none", label: "Utan kategori", color: "#e5e7eb" };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export function normalizeCategories(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_CATEGORIES;
+  return raw
+    .filter((c) => c !== null && typeof c === "object" && c.id != null)
+    .map((c) => ({
+      id: String(c.id),
+      name: String(c.name ?? "").trim() || "Namnlös",
+      color: HEX_COLOR.test(c.color ?? "") ? c.color : UNCATEGORIZED_COLOR,
+    }));
+}
+
+export function findCategory(categories, id) {
+  return id ? categories.find((c) => c.id === id) ?? null : null;
+}
+
+/** Report/chart group of an event: { key, label, color }. */
+export function eventGroup(evt, categories) {
+  if (evt.type === "habit") return HABIT_GROUP;
+  const c = findCategory(categories, evt.categoryId);
+  return c ? { key: c.id, label: c.name, color: c.color } : NONE_GROUP;
+}
+
+// Apply `patch` to every event, series and series exception that uses the
+// category. Used to follow a color change, or to clear the reference when the
+// category is deleted. Untouched days and series keep their identity.
+export function patchCategoryUsers({ eventsByDate, seriesById }, categoryId, patch) {
+  const uses = (x) => x?.categoryId === categoryId;
+
+  const nextEvents = { ...eventsByDate };
+  for (const [iso, list] of Object.entries(eventsByDate)) {
+    if (list.some(uses)) nextEvents[iso] = list.map((e) => (uses(e) ? { ...e, ...patch } : e));
+  }
+
+  const nextSeries = { ...seriesById };
+  for (const [id, s] of Object.entries(seriesById)) {
+    const exceptions = Object.values(s.exceptions ?? {});
+    if (!uses(s) && !exceptions.some(uses)) continue;
+    nextSeries[id] = {
+      ...(uses(s) ? { ...s, ...patch } : s),
+      exceptions: Object.fromEntries(
+        Object.entries(s.exceptions ?? {}).map(([iso, ex]) => [iso, uses(ex) ? { ...ex, ...patch } : ex])
+      ),
+    };
+  }
+
+  return { eventsByDate: nextEvents, seriesById: nextSeries };
+}
+
+/**
+ * Planned minutes per group for `entries` ([{ iso, event }]), largest first:
+ * [{ key, label, color, minutes, count }].
+ */
+export function plannedByGroup(entries, categories) {
+  const groups = new Map();
+  for (const { event } of entries) {
+    const g = eventGroup(event, categories);
+    if (!groups.has(g.key)) groups.set(g.key, { ...g, minutes: 0, count: 0 });
+    const row = groups.get(g.key);
+    row.minutes += Number(event.durationMin) || 0;
+    row.count += 1;
+  }
+  return [...groups.values()].sort((a, b) => b.minutes - a.minutes);
+}
@@ -0,0 +1,73 @@
+import { actualMinutes } from "./timeTracking.js";
+
+// Copying and rolling a day's plan forward.
+//
+// Copies are new standalone events: fresh ids, no series link, .ics UID or
+// logged time. Target days usually already hold the default habit blocks
+// (see ensureDefaultHabitBlocksForDates in App.jsx), so a copied habit block
+// is merged into the target's block for the same habit (which takes over the
+// copied time and duration) instead of adding a second one.
+
+// Fields that belong to one particular event instance and aren't copied.
+const INSTANCE_FIELDS = ["id", "seriesId", "occurrenceISO", "icsUid", "actualStartMin", "actualEndMin", "actualMin"];
+
+export function cloneEvent(evt, id) {
+  const copy = { ...evt };
+  for (const k of INSTANCE_FIELDS) delete copy[k];
+  return { ...copy, id };
+}
+
+/**
+ * What copying `sourceEvents` onto a day holding `targetEvents` would do:
+ * {
+ *   add: event[],                                   // clones, ids from newId()
+ *   merge: [{ event, target }],                     // habit block → target's block
+ *   skipped: [{ event, reason }],
+ * }
+ * Both lists should include series occurrences. An occurrence whose series
+ * already occurs on the target day is skipped rather than doubled.
+ */
+export function planCopy(sourceEvents, targetEvents, { habitIds, newId }) {
+  const targetSeries = new Set(targetEvents.filter((e) => e.seriesId).map((e) => e.seriesId));
+  const targetHabitBlocks = new Map(targetEvents.filter((e) => e.type === "habit").map((e) => [e.habitId, e]));
+  const add = [];
+  const merge = [];
+  const skipped = [];
+
+  for (const event of [...sourceEvents].sort((a, b) => a.startMin - b.startMin)) {
+    if (event.seriesId && targetSeries.has(event.seriesId)) {
+      skipped.push({ event, reason: "Återkommer redan den dagen" });
+    } else if (event.type === "habit" && !habitIds.has(event.habitId)) {
+      skipped.push({ event, reason: "Vanan finns inte längre" });
+    } else if (event.type === "habit" && targetHabitBlocks.has(event.habitId)) {
+      const target = targetHabitBlocks.get(event.habitId);
+      targetHabitBlocks.delete(event.habitId); // a second source block is added as a copy
+      merge.push({ event, target });
+    } else {
+      add.push(cloneEvent(event, newId()));
+    }
+  }
+  return { add, merge, skipped };
+}
+
+// Apply a planCopy() result to a day's stored events.
+export function applyCopy(storedEvents, { add, merge }) {
+  const merged = new Map(merge.map((m) => [m.target.id, m.event]));
+  return [
+    ...storedEvents.map((e) => {
+      const src = merged.get(e.id);
+      return src ? { ...e, startMin: src.startMin, durationMin: src.durationMin } : e;
+    }),
+    ...add,
+  ];
+}
+
+/**
+ * Blocks on a day that are offered for moving forward as unfinished: custom
+ * blocks without logged time. An untimed block may just as well be done and
+ * never logged, so the caller lets the user confirm the list. Habit blocks
+ * aren't offered: each day gets its own, and an unchecked one is simply not done.
+ */
+export function unfinishedCandidates(events) {
+  return events.filter((e) => e.type !== "habit" && actualMinutes(e) == null);
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { applyCopy, cloneEvent, planCopy, unfinishedCandidates } from "./copyPlan.js";
+
+const custom = (id, startMin, extra = {}) => ({ id, type: "custom", title: id, startMin, durationMin: 30, ...extra });
+const habitBlock = (id, habitId, startMin) => ({ id, type: "habit", habitId, title: habitId, startMin, durationMin: 20 });
+
+function ids() {
+  let n = 0;
+  return () => `new-${++n}`;
+}
+
+describe("cloneEvent", () => {
+  it("drops the fields of the original instance", () => {
+    const evt = custom("e", 540, { seriesId: "s", occurrenceISO: "2026-01-05", icsUid: "u", actualMin: 20, notes: "kvar" });
+    expect(cloneEvent(evt, "x")).toEqual({ id: "x", type: "custom", title: "e", startMin: 540, durationMin: 30, notes: "kvar" });
+  });
+});
+
+describe("planCopy", () => {
+  const habitIds = new Set(["läsa", "gym"]);
+
+  it("copies custom blocks in time order with fresh ids", () => {
+    const plan = planCopy([custom("b", 600), custom("a", 540)], [], { habitIds, newId: ids() });
+    expect(plan.add.map((e) => [e.id, e.title])).toEqual([
+      ["new-1", "a"],
+      ["new-2", "b"],
+    ]);
+    expect(plan.merge).toEqual([]);
+    expect(plan.skipped).toEqual([]);
+  });
+
+  it("moves the target's own habit block instead of adding a second one", () => {
+    const target = habitBlock("t", "läsa", 1200);
+    const src = [habitBlock("s1", "läsa", 480), habitBlock("s2", "läsa", 900)];
+    const plan = planCopy(src, [target], { habitIds, newId: ids() });
+    expect(plan.merge).toEqual([{ event: src[0], target }]);
+    expect(plan.add).toHaveLength(1);
+    expect(plan.add[0]).toMatchObject({ type: "habit", habitId: "läsa", startMin: 900 });
+  });
+
+  it("skips occurrences already on the target day and blocks of removed habits", () => {
+    const occ = custom("s:2026-01-05", 420, { seriesId: "s" });
+    const plan = planCopy([occ, habitBlock("h", "borta", 480)], [custom("s:2026-01-06", 420, { seriesId: "s" })], {
+      habitIds,
+      newId: ids(),
+    });
+    expect(plan.add).toEqual([]);
+    expect(plan.skipped.map((s) => s.event.id)).toEqual(["s:2026-01-05", "h"]);
+  });
+});
+
+describe("applyCopy", () => {
+  it("retimes merged habit blocks and appends the copies", () => {
+    const target = habitBlock("t", "läsa", 1200);
+    const stored = [target, custom("x", 300)];
+    const plan = { add: [custom("new-1", 540)], merge: [{ event: habitBlock("s", "läsa", 480), target }] };
+    expect(applyCopy(stored, plan)).toEqual([
+      { ...target, startMin: 480, durationMin: 20 },
+      custom("x", 300),
+      custom("new-1", 540),
+    ]);
+  });
+});
+
+describe("unfinishedCandidates", () => {
+  it("offers custom blocks without logged time, never habit blocks", () => {
+    const events = [
+      custom("untimed", 480),
+      custom("logged", 540, { actualStartMin: 540, actualEndMin: 570 }),
+      custom("focused", 600, { actualMin: 25 }),
+      custom("running", 660, { actualStartMin: 660 }),
+      habitBlock("h", "läsa", 720),
+    ];
+    expect(unfinishedCandidates(events).map((e) => e.id)).toEqual(["untimed", "running"]);
+  });
+});
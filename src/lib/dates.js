@@ -0,0 +1,112 @@
+// Date/time helpers shared by the planner. Dates are handled as local-time
+// "YYYY-MM-DD" strings (iso) and minutes since midnight (startMin etc).
+
+export const pad2 = (n) => String(n).padStart(2, "0");
+
+export function toISODate(d) {
+  const x = new Date(d);
+  return `${x.getFullYear()}-${pad2(x.getMonth() + 1)}-${pad2(x.getDate())}`;
+}
+
+// Use noon to avoid DST/off-by-one issues for date-only logic.
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d, 12, 0, 0, 0);
+}
+export function startOfDay(d) {
+  const x = new Date(d);
+  x.setHours(12, 0, 0, 0);
+  return x;
+}
+export function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  x.setHours(12, 0, 0, 0);
+  return x;
+}
+export function startOfISOWeek(d) {
+  const x = startOfDay(d);
+  const day = x.getDay(); // 0 Sun ... 6 Sat
+  const diff = day === 0 ? -6 : 1 - day; // Monday start
+  return addDays(x, diff);
+}
+export function endOfISOWeek(d) {
+  return addDays(startOfISOWeek(d), 6);
+}
+export function startOfMonth(d) {
+  const x = startOfDay(d);
+  x.setDate(1);
+  return x;
+}
+export function endOfMonth(d) {
+  const x = startOfMonth(d);
+  x.setMonth(x.getMonth() + 1);
+  x.setDate(0);
+  x.setHours(12, 0, 0, 0);
+  return x;
+}
+
+export function addDaysISO(iso, n) {
+  return toISODate(addDays(parseISODate(iso), n));
+}
+
+// Whole days from a to b (both iso). Noon-anchored dates keep DST out of it.
+export function diffDaysISO(a, b) {
+  return Math.round((parseISODate(b) - parseISODate(a)) / 86400000);
+}
+
+export function isoRange(startIso, endIsoInclusive) {
+  const out = [];
+  const end = parseISODate(endIsoInclusive);
+  for (let d = parseISODate(startIso); d <= end; d = addDays(d, 1)) out.push(toISODate(d));
+  return out;
+}
+
+export const PERIODS = [
+  { value: "day", label: "Dag" },
+  { value: "week", label: "Vecka" },
+  { value: "month", label: "Månad" },
+];
+
+// [firstISO, lastISO] of the day, ISO week or month around `anchorISO`.
+export function periodRange(kind, anchorISO) {
+  const d = parseISODate(anchorISO);
+  if (kind === "week") return [toISODate(startOfISOWeek(d)), toISODate(endOfISOWeek(d))];
+  if (kind === "month") return [toISODate(startOfMonth(d)), toISODate(endOfMonth(d))];
+  return [anchorISO, anchorISO];
+}
+
+export function minutesToHHMM(m) {
+  const hh = Math.floor(m / 60);
+  const mm = m % 60;
+  return `${pad2(hh)}:${pad2(mm)}`;
+}
+
+export function hhmmToMinutes(hhmm) {
+  const [hh, mm] = hhmm.split(":").map(Number);
+  if (Number.isNaN(hh) || Number.isNaN(mm)) return 8 * 60;
+  return hh * 60 + mm;
+}
+
+export function uid() {
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+}
+
+export function fmtShortWeekday(d) {
+  return new Date(d).toLocaleDateString("sv-SE", { weekday: "short" });
+}
+export function fmtMonthDay(d) {
+  return new Date(d).toLocaleDateString("sv-SE", { month: "short", day: "numeric" });
+}
+export function fmtFull(d) {
+  return new Date(d).toLocaleDateString("sv-SE", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
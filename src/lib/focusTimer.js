@@ -0,0 +1,109 @@
+import { pad2 } from "./dates.js";
+
+// Focus timer attached to an event block. Only timestamps are stored, so a
+// running or paused timer survives reloads:
+//
+// tb_habits_timer = {
+//   iso, eventId, title,
+//   mode: "countdown" | "pomodoro",
+//   plannedMs,            // countdown: the block's durationMin
+//   accumulatedMs,        // running time before the current run
+//   resumedAt,            // ms timestamp of the current run, null while paused
+//   startedAt,
+// }
+//
+// Everything else (Pomodoro phase, time left, focus time) is derived from the
+// total running time by timerStatus().
+
+export const TIMER_KEY = "tb_habits_timer";
+
+export const POMODORO = { focusMin: 25, breakMin: 5, longBreakMin: 15, cyclesBeforeLong: 4 };
+
+const MIN = 60 * 1000;
+
+export function startTimer({ iso, event, mode }, now = Date.now()) {
+  return {
+    iso,
+    eventId: event.id,
+    title: event.title,
+    mode,
+    plannedMs: Math.max(1, Number(event.durationMin) || 0) * MIN,
+    accumulatedMs: 0,
+    resumedAt: now,
+    startedAt: now,
+  };
+}
+
+export function runningMs(timer, now = Date.now()) {
+  return timer.accumulatedMs + (timer.resumedAt != null ? Math.max(0, now - timer.resumedAt) : 0);
+}
+
+export function pauseTimer(timer, now = Date.now()) {
+  if (timer.resumedAt == null) return timer;
+  return { ...timer, accumulatedMs: runningMs(timer, now), resumedAt: null };
+}
+
+export function resumeTimer(timer, now = Date.now()) {
+  if (timer.resumedAt != null) return timer;
+  return { ...timer, resumedAt: now };
+}
+
+/**
+ * { running, phase: "focus"|"break"|"over", cycle, remainingMs, focusMs }
+ * Countdown mode is one focus phase over the block and then "over" (time
+ * keeps counting). Pomodoro mode cycles focus/break, with a long break after
+ * every POMODORO.cyclesBeforeLong focus phases. Breaks don't count as focus.
+ */
+export function timerStatus(timer, now = Date.now()) {
+  const ms = runningMs(timer, now);
+  const running = timer.resumedAt != null;
+
+  if (timer.mode !== "pomodoro") {
+    const remainingMs = timer.plannedMs - ms;
+    return { running, phase: remainingMs > 0 ? "focus" : "over", cycle: 1, remainingMs, focusMs: ms };
+  }
+
+  const focus = POMODORO.focusMin * MIN;
+  let rest = ms;
+  let focusMs = 0;
+  for (let cycle = 1; ; cycle++) {
+    if (rest < focus) {
+      return { running, phase: "focus", cycle, remainingMs: focus - rest, focusMs: focusMs + rest };
+    }
+    rest -= focus;
+    focusMs += focus;
+    const brk = (cycle % POMODORO.cyclesBeforeLong === 0 ? POMODORO.longBreakMin : POMODORO.breakMin) * MIN;
+    if (rest < brk) return { running, phase: "break", cycle, remainingMs: brk - rest, focusMs };
+    rest -= brk;
+  }
+}
+
+// Whole minutes of focus to add to the event's actual time.
+export function focusMinutes(timer, now = Date.now()) {
+  return Math.round(timerStatus(timer, now).focusMs / MIN);
+}
+
+export function loadTimer() {
+  try {
+    const t = JSON.parse(localStorage.getItem(TIMER_KEY) ?? "null");
+    return t && typeof t === "object" && t.eventId ? t : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveTimer(timer) {
+  try {
+    if (timer) localStorage.setItem(TIMER_KEY, JSON.stringify(timer));
+    else localStorage.removeItem(TIMER_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+export function formatCountdown(ms) {
+  const total = Math.round(Math.abs(ms) / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${ms < 0 ? "+" : ""}${m}:${pad2(s)}`;
+}
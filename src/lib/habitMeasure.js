@@ -0,0 +1,48 @@
+// Measurable habits. A habit with `measure` is logged as a number per day
+// instead of a checkbox:
+//   habit.measure = { unit: "glas", target: 8, step: 1 }
+//   habitChecksByDate[iso][habitId] = 5
+// A day counts as done once the value reaches the target. Plain habits keep
+// boolean values; a `true` logged before a habit became measurable still
+// counts as done, and a number logged on a plain habit counts if above 0.
+
+export function normalizeMeasure(m) {
+  if (!m || typeof m !== "object") return null;
+  const target = Number(m.target);
+  const step = Number(m.step);
+  return {
+    unit: String(m.unit ?? "").trim(),
+    target: Number.isFinite(target) && target > 0 ? target : 1,
+    step: Number.isFinite(step) && step > 0 ? step : 1,
+  };
+}
+
+export function isMeasurable(habit) {
+  return !!habit?.measure;
+}
+
+// Logged amount for a day; booleans read as 0 / target.
+export function measuredValue(habit, value) {
+  if (typeof value === "number") return value;
+  if (value === true) return normalizeMeasure(habit.measure)?.target ?? 1;
+  return 0;
+}
+
+export function isDoneValue(habit, value) {
+  if (typeof value === "boolean" || value == null) return !!value;
+  const m = normalizeMeasure(habit.measure);
+  return m ? value >= m.target : value > 0;
+}
+
+// 0..1 progress towards the day's target.
+export function progressFraction(habit, value) {
+  const m = normalizeMeasure(habit.measure);
+  if (!m) return value ? 1 : 0;
+  return Math.min(1, Math.max(0, measuredValue(habit, value) / m.target));
+}
+
+export function formatMeasured(habit, value) {
+  const m = normalizeMeasure(habit.measure);
+  const v = measuredValue(habit, value);
+  return m ? `${v}/${m.target}${m.unit ? ` ${m.unit}` : ""}` : String(v);
+}
@@ -0,0 +1,162 @@
+import { WEEKDAY_OPTIONS } from "./recurrence.js";
+import { isDoneValue } from "./habitMeasure.js";
+import {
+  endOfISOWeek,
+  endOfMonth,
+  isoRange,
+  parseISODate,
+  startOfISOWeek,
+  startOfMonth,
+  toISODate,
+} from "./dates.js";
+
+// When a habit is due. Stored on the habit as `schedule`:
+//   { kind: "daily" }
+//   { kind: "weekdays", weekdays: [1, 3, 5] }   // JS getDay() values, 0 = Sunday
+//   { kind: "weekly", times: 3 }                // any 3 days per ISO week
+//   { kind: "monthly", times: 8 }               // any 8 days per calendar month
+// A habit without a schedule is due every day.
+
+export const SCHEDULE_KINDS = [
+  { value: "daily", label: "Varje dag" },
+  { value: "weekdays", label: "Vissa veckodagar" },
+  { value: "weekly", label: "Antal gånger per vecka" },
+  { value: "monthly", label: "Antal gånger per månad" },
+];
+
+export const DEFAULT_SCHEDULE = { kind: "daily" };
+
+export function normalizeSchedule(s) {
+  switch (s?.kind) {
+    case "weekdays": {
+      const weekdays = [...new Set((s.weekdays ?? []).map(Number))].filter((d) => d >= 0 && d <= 6).sort();
+      return weekdays.length > 0 ? { kind: "weekdays", weekdays } : DEFAULT_SCHEDULE;
+    }
+    case "weekly":
+      return { kind: "weekly", times: Math.min(7, Math.max(1, Math.round(Number(s.times) || 1))) };
+    case "monthly":
+      return { kind: "monthly", times: Math.min(31, Math.max(1, Math.round(Number(s.times) || 1))) };
+    default:
+      return DEFAULT_SCHEDULE;
+  }
+}
+
+export function describeSchedule(s) {
+  const sch = normalizeSchedule(s);
+  if (sch.kind === "weekdays") {
+    return WEEKDAY_OPTIONS.filter((o) => sch.weekdays.includes(o.value))
+      .map((o) => o.label)
+      .join(", ");
+  }
+  if (sch.kind === "weekly") return `${sch.times}× per vecka`;
+  if (sch.kind === "monthly") return `${sch.times}× per månad`;
+  return "Varje dag";
+}
+
+// Whether `habit` counts as done on `iso` (target met for measurable habits).
+export function isChecked(checksByDate, iso, habit) {
+  return isDoneValue(habit, checksByDate[iso]?.[habit.id]);
+}
+
+// The week or month a quota habit counts its checks in.
+export function periodOf(schedule, iso) {
+  const sch = normalizeSchedule(schedule);
+  const d = parseISODate(iso);
+  if (sch.kind === "weekly") return { start: toISODate(startOfISOWeek(d)), end: toISODate(endOfISOWeek(d)) };
+  return { start: toISODate(startOfMonth(d)), end: toISODate(endOfMonth(d)) };
+}
+
+/**
+ * How much of `habit` was due and done on the days `isos`.
+ *
+ * Daily and weekday habits count one per scheduled day. Quota habits count
+ * per week/month: of the days in `isos` that fall in a period, as many are
+ * due as the target still needs after the checks made on the period's other
+ * days, so a 3×/week habit done Mon/Wed/Fri is never "missed" on Tuesday.
+ */
+export function habitProgress(habit, checksByDate, isos) {
+  const sch = normalizeSchedule(habit.schedule);
+  let done = 0;
+  let total = 0;
+
+  if (sch.kind === "daily" || sch.kind === "weekdays") {
+    for (const iso of isos) {
+      if (sch.kind === "weekdays" && !sch.weekdays.includes(parseISODate(iso).getDay())) continue;
+      total += 1;
+      if (isChecked(checksByDate, iso, habit)) done += 1;
+    }
+    return { done, total };
+  }
+
+  const groups = new Map();
+  for (const iso of isos) {
+    const { start, end } = periodOf(sch, iso);
+    if (!groups.has(start)) groups.set(start, { end, days: new Set() });
+    groups.get(start).days.add(iso);
+  }
+  for (const [start, { end, days }] of groups) {
+    let inside = 0;
+    let outside = 0;
+    for (const iso of isoRange(start, end)) {
+      if (!isChecked(checksByDate, iso, habit)) continue;
+      if (days.has(iso)) inside += 1;
+      else outside += 1;
+    }
+    const due = Math.min(days.size, Math.max(0, sch.times - outside));
+    total += due;
+    done += Math.min(inside, due);
+  }
+  return { done, total };
+}
+
+export function isHabitDueOn(habit, checksByDate, iso) {
+  return habitProgress(habit, checksByDate, [iso]).total > 0;
+}
+
+// Weekday habits are only shown on their weekdays; everything else can be
+// checked any day.
+export function isHabitScheduledOn(habit, iso) {
+  const sch = normalizeSchedule(habit.schedule);
+  return sch.kind !== "weekdays" || sch.weekdays.includes(parseISODate(iso).getDay());
+}
+
+// Checks made in the week/month around `iso`, for "2/3" style counters.
+export function quotaProgress(habit, checksByDate, iso) {
+  const sch = normalizeSchedule(habit.schedule);
+  if (sch.kind !== "weekly" && sch.kind !== "monthly") return null;
+  const { start, end } = periodOf(sch, iso);
+  const done = isoRange(start, end).filter((d) => isChecked(checksByDate, d, habit)).length;
+  return { done, target: sch.times };
+}
+
+/**
+ * Whether day view should get a default block for `habit` on `iso`. Quota
+ * habits get theirs on evenly spread days of the period (3×/week → Mon, Wed,
+ * Fri), and none once the period's target is already met.
+ */
+export function wantsDefaultBlock(habit, checksByDate, iso) {
+  const sch = normalizeSchedule(habit.schedule);
+  if (sch.kind === "daily" || sch.kind === "weekdays") return isHabitScheduledOn(habit, iso);
+
+  const { start, end } = periodOf(sch, iso);
+  const days = isoRange(start, end);
+  const suggested = new Set(
+    Array.from({ length: Math.min(sch.times, days.length) }, (_, i) =>
+      days[Math.floor((i * days.length) / Math.min(sch.times, days.length))]
+    )
+  );
+  if (!suggested.has(iso)) return false;
+  return quotaProgress(habit, checksByDate, iso).done < sch.times;
+}
+
+// Completion over a set of days for all `habits`, for the pies and month cells.
+export function completionForDays(habits, checksByDate, isos) {
+  let done = 0;
+  let total = 0;
+  for (const h of habits) {
+    const p = habitProgress(h, checksByDate, isos);
+    done += p.done;
+    total += p.total;
+  }
+  return { done, total, pct: total ? Math.round((done / total) * 100) : 0 };
+}
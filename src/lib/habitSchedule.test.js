@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import {
+  completionForDays,
+  habitProgress,
+  isHabitDueOn,
+  isHabitScheduledOn,
+  normalizeSchedule,
+  quotaProgress,
+  wantsDefaultBlock,
+} from "./habitSchedule.js";
+import { isoRange } from "./dates.js";
+
+const habit = (schedule) => ({ id: "h", name: "Vana", active: true, schedule });
+const checked = (...isos) => Object.fromEntries(isos.map((iso) => [iso, { h: true }]));
+
+// 2026-01-05 is a Monday. The ISO week 2026-01-26..02-01 spans two months.
+const WEEK = isoRange("2026-01-05", "2026-01-11");
+
+describe("normalizeSchedule", () => {
+  it("falls back to daily and clamps quotas", () => {
+    expect(normalizeSchedule(undefined)).toEqual({ kind: "daily" });
+    expect(normalizeSchedule({ kind: "weekdays", weekdays: [] })).toEqual({ kind: "daily" });
+    expect(normalizeSchedule({ kind: "weekdays", weekdays: ["5", 1, 1, 9] })).toEqual({ kind: "weekdays", weekdays: [1, 5] });
+    expect(normalizeSchedule({ kind: "weekly", times: 12 })).toEqual({ kind: "weekly", times: 7 });
+    expect(normalizeSchedule({ kind: "monthly", times: 0 })).toEqual({ kind: "monthly", times: 1 });
+  });
+});
+
+describe("habitProgress", () => {
+  it("counts weekday habits on their weekdays only", () => {
+    const h = habit({ kind: "weekdays", weekdays: [1, 3, 5] });
+    expect(habitProgress(h, checked("2026-01-05", "2026-01-06"), WEEK)).toEqual({ done: 1, total: 3 });
+    expect(isHabitScheduledOn(h, "2026-01-06")).toBe(false);
+  });
+
+  it("does not count a met weekly quota as missed on the other days", () => {
+    const h = habit({ kind: "weekly", times: 3 });
+    const checks = checked("2026-01-05", "2026-01-07", "2026-01-09");
+    expect(habitProgress(h, checks, WEEK)).toEqual({ done: 3, total: 3 });
+    expect(isHabitDueOn(h, checks, "2026-01-06")).toBe(false);
+    expect(isHabitDueOn(h, {}, "2026-01-06")).toBe(true);
+  });
+
+  it("counts a week across a month boundary by its ISO week", () => {
+    const h = habit({ kind: "weekly", times: 3 });
+    const checks = checked("2026-01-30", "2026-01-31");
+    // Two checks in January leave one due for the week's February Sunday.
+    expect(habitProgress(h, checks, ["2026-02-01"])).toEqual({ done: 0, total: 1 });
+    // February: that one day, then four weeks of 3 (the last week is cut at the 28th).
+    expect(habitProgress(h, checks, isoRange("2026-02-01", "2026-02-28"))).toEqual({ done: 0, total: 13 });
+  });
+
+  it("counts monthly quotas per calendar month, even within one week", () => {
+    const h = habit({ kind: "monthly", times: 8 });
+    const checks = checked("2026-01-30", "2026-01-31", "2026-02-01");
+    expect(quotaProgress(h, checks, "2026-01-31")).toEqual({ done: 2, target: 8 });
+    expect(quotaProgress(h, checks, "2026-02-01")).toEqual({ done: 1, target: 8 });
+    // Jan 26–31 (6 days, 2 done) and Feb 1 (1 day, done).
+    expect(habitProgress(h, checks, isoRange("2026-01-26", "2026-02-01"))).toEqual({ done: 3, total: 7 });
+  });
+
+  it("stops asking once a monthly quota is met", () => {
+    const h = habit({ kind: "monthly", times: 2 });
+    const checks = checked("2026-01-02", "2026-01-03");
+    expect(habitProgress(h, checks, isoRange("2026-01-04", "2026-01-31"))).toEqual({ done: 0, total: 0 });
+  });
+});
+
+describe("wantsDefaultBlock", () => {
+  it("spreads quota blocks over the week until the target is met", () => {
+    const h = habit({ kind: "weekly", times: 3 });
+    expect(WEEK.filter((iso) => wantsDefaultBlock(h, {}, iso))).toEqual(["2026-01-05", "2026-01-07", "2026-01-09"]);
+    const met = checked("2026-01-05", "2026-01-06", "2026-01-07");
+    expect(wantsDefaultBlock(h, met, "2026-01-09")).toBe(false);
+  });
+});
+
+describe("completionForDays", () => {
+  it("sums all habits into one percentage", () => {
+    const habits = [habit({ kind: "daily" }), { ...habit({ kind: "weekdays", weekdays: [1] }), id: "m" }];
+    const checks = { "2026-01-05": { h: true, m: true }, "2026-01-06": { h: true } };
+    expect(completionForDays(habits, checks, WEEK)).toEqual({ done: 3, total: 8, pct: 38 });
+  });
+});
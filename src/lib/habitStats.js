@@ -0,0 +1,109 @@
+import { addDaysISO, isoRange, parseISODate } from "./dates.js";
+import { WEEKDAY_OPTIONS } from "./recurrence.js";
+import { habitProgress, isChecked, isHabitScheduledOn, normalizeSchedule, periodOf } from "./habitSchedule.js";
+
+// Per-habit history computed from habitChecksByDate. Streaks follow the
+// habit's schedule: daily/weekday habits count scheduled days in a row,
+// quota habits count weeks/months in a row where the target was met. The
+// current day (or period) never breaks a streak before it is over.
+
+export const RATE_WINDOWS = [7, 30, 90, 365];
+
+// Earliest day the habit was checked, or null.
+function firstCheckISO(habitId, checksByDate) {
+  let first = null;
+  for (const [iso, row] of Object.entries(checksByDate)) {
+    if (row?.[habitId] && (!first || iso < first)) first = iso;
+  }
+  return first;
+}
+
+// Streak units in order, oldest first: [{ met, open }] where `open` marks the
+// unit that is still in progress (today / the current period).
+function streakUnits(habit, checksByDate, todayISO) {
+  const first = firstCheckISO(habit.id, checksByDate);
+  if (!first || first > todayISO) return [];
+  const sch = normalizeSchedule(habit.schedule);
+
+  if (sch.kind === "daily" || sch.kind === "weekdays") {
+    return isoRange(first, todayISO)
+      .filter((iso) => isHabitScheduledOn(habit, iso))
+      .map((iso) => ({ met: isChecked(checksByDate, iso, habit), open: iso === todayISO }));
+  }
+
+  const units = [];
+  for (let iso = periodOf(sch, first).start; iso <= todayISO; ) {
+    const { start, end } = periodOf(sch, iso);
+    const count = isoRange(start, end).filter((d) => isChecked(checksByDate, d, habit)).length;
+    units.push({ met: count >= sch.times, open: end >= todayISO });
+    iso = addDaysISO(end, 1);
+  }
+  return units;
+}
+
+export function streakUnitLabel(schedule, n) {
+  const kind = normalizeSchedule(schedule).kind;
+  if (kind === "weekly") return n === 1 ? "vecka" : "veckor";
+  if (kind === "monthly") return n === 1 ? "månad" : "månader";
+  return n === 1 ? "dag" : "dagar";
+}
+
+export function currentStreak(habit, checksByDate, todayISO) {
+  const units = streakUnits(habit, checksByDate, todayISO);
+  let i = units.length - 1;
+  if (i >= 0 && units[i].open && !units[i].met) i -= 1;
+  let n = 0;
+  for (; i >= 0 && units[i].met; i--) n += 1;
+  return n;
+}
+
+export function longestStreak(habit, checksByDate, todayISO) {
+  let best = 0;
+  let run = 0;
+  for (const u of streakUnits(habit, checksByDate, todayISO)) {
+    run = u.met ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+/**
+ * Everything the habit detail view shows:
+ * { current, longest, rates: [{ days, done, total, pct }],
+ *   weekdays: [{ value, label, done, total, pct }], best, worst, firstISO }
+ * Rates and weekday rates start at the first check-in at the earliest.
+ */
+export function habitStats(habit, checksByDate, todayISO) {
+  const firstISO = firstCheckISO(habit.id, checksByDate);
+
+  // Days before the first check-in don't count; the habit may not have existed.
+  const rates = RATE_WINDOWS.map((days) => {
+    const start = addDaysISO(todayISO, 1 - days);
+    const isos = firstISO ? isoRange(firstISO > start ? firstISO : start, todayISO) : [];
+    const { done, total } = habitProgress(habit, checksByDate, isos);
+    return { days, done, total, pct: total ? Math.round((done / total) * 100) : null };
+  });
+
+  const from = firstISO && firstISO > addDaysISO(todayISO, -364) ? firstISO : addDaysISO(todayISO, -364);
+  const perDay = new Map(WEEKDAY_OPTIONS.map((o) => [o.value, { ...o, done: 0, total: 0 }]));
+  if (firstISO) {
+    for (const iso of isoRange(from, todayISO)) {
+      if (!isHabitScheduledOn(habit, iso)) continue;
+      const w = perDay.get(parseISODate(iso).getDay());
+      w.total += 1;
+      if (isChecked(checksByDate, iso, habit)) w.done += 1;
+    }
+  }
+  const weekdays = [...perDay.values()].map((w) => ({ ...w, pct: w.total ? Math.round((w.done / w.total) * 100) : null }));
+  const ranked = weekdays.filter((w) => w.pct != null).sort((a, b) => b.pct - a.pct);
+
+  return {
+    current: currentStreak(habit, checksByDate, todayISO),
+    longest: longestStreak(habit, checksByDate, todayISO),
+    rates,
+    weekdays,
+    best: ranked.length > 1 ? ranked[0] : null,
+    worst: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+    firstISO,
+  };
+}
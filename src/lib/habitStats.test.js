@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { currentStreak, habitStats, longestStreak, streakUnitLabel } from "./habitStats.js";
+
+const habit = (schedule) => ({ id: "h", name: "Vana", active: true, schedule });
+const checked = (...isos) => Object.fromEntries(isos.map((iso) => [iso, { h: true }]));
+
+// 2026-01-05 is a Monday.
+describe("streaks", () => {
+  it("counts daily streaks and leaves today open", () => {
+    const h = habit({ kind: "daily" });
+    const checks = checked("2026-01-05", "2026-01-06");
+    expect(currentStreak(h, checks, "2026-01-07")).toBe(2);
+    expect(currentStreak(h, checks, "2026-01-08")).toBe(0);
+    expect(longestStreak(h, checks, "2026-01-08")).toBe(2);
+  });
+
+  it("skips days the habit is not scheduled on", () => {
+    const h = habit({ kind: "weekdays", weekdays: [1, 3, 5] });
+    const checks = checked("2026-01-05", "2026-01-07", "2026-01-09", "2026-01-12");
+    // Tuesday, unscheduled: the streak runs through the weekend.
+    expect(currentStreak(h, checks, "2026-01-13")).toBe(4);
+    // Wednesday not done yet: still open.
+    expect(currentStreak(h, checks, "2026-01-14")).toBe(4);
+    // Friday, with Wednesday missed.
+    expect(currentStreak(h, checks, "2026-01-16")).toBe(0);
+    expect(longestStreak(h, checks, "2026-01-16")).toBe(4);
+  });
+
+  it("counts quota habits in weeks where the target was met", () => {
+    const h = habit({ kind: "weekly", times: 2 });
+    const checks = checked("2026-01-05", "2026-01-08", "2026-01-13", "2026-01-19", "2026-01-25");
+    // Weeks of 5 Jan and 19 Jan met, 12 Jan not; the week of 26 Jan is open.
+    expect(currentStreak(h, checks, "2026-01-27")).toBe(1);
+    expect(longestStreak(h, checks, "2026-01-27")).toBe(1);
+    expect(currentStreak(h, { ...checks, ...checked("2026-01-15") }, "2026-01-27")).toBe(3);
+  });
+
+  it("has no streak without check-ins", () => {
+    expect(currentStreak(habit(), {}, "2026-01-07")).toBe(0);
+    expect(longestStreak(habit(), {}, "2026-01-07")).toBe(0);
+  });
+
+  it("labels streak units by schedule", () => {
+    expect(streakUnitLabel(undefined, 1)).toBe("dag");
+    expect(streakUnitLabel({ kind: "weekly", times: 2 }, 3)).toBe("veckor");
+    expect(streakUnitLabel({ kind: "monthly", times: 2 }, 1)).toBe("månad");
+  });
+});
+
+describe("habitStats", () => {
+  it("starts rates at the first check-in", () => {
+    const stats = habitStats(habit({ kind: "daily" }), checked("2026-01-05", "2026-01-06"), "2026-01-07");
+    expect(stats.firstISO).toBe("2026-01-05");
+    expect(stats.rates[0]).toEqual({ days: 7, done: 2, total: 3, pct: 67 });
+  });
+
+  it("ranks weekdays by completion", () => {
+    const stats = habitStats(habit({ kind: "daily" }), checked("2026-01-05", "2026-01-12"), "2026-01-13");
+    expect(stats.best.value).toBe(1);
+    expect(stats.worst.pct).toBe(0);
+  });
+});
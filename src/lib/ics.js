@@ -0,0 +1,240 @@
+import { pad2, parseISODate, toISODate } from "./dates.js";
+
+// iCalendar (RFC 5545) export/import for planner events.
+//
+// Events are written with floating local times (no TZID), which is how the
+// planner itself thinks about them. Planner-specific fields travel in X-
+// properties so a round trip keeps type, habit and color.
+
+export const ICS_PRODID = "-//timeboxing-habits//SV";
+export const ICS_UID_DOMAIN = "timeboxing-habits";
+
+// ------------------------- Export -------------------------
+
+function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines at 75 octets (continuation lines start with a space).
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const out = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const len = new TextEncoder().encode(ch).length;
+    const limit = out.length === 0 ? 75 : 74;
+    if (curLen + len > limit) {
+      out.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += len;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function localDateTime(iso, minutes) {
+  const d = parseISODate(iso);
+  d.setHours(0, minutes, 0, 0);
+  return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}T${pad2(d.getHours())}${pad2(d.getMinutes())}00`;
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function eventUID(evt) {
+  return evt.icsUid ?? `${evt.id}@${ICS_UID_DOMAIN}`;
+}
+
+// entries: [{ iso, event }]
+export function eventsToICS(entries, { now = new Date(), calendarName = "Timeboxing + Habits" } = {}) {
+  const stamp = utcStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  for (const { iso, event: e } of entries) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${escapeText(eventUID(e))}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${localDateTime(iso, e.startMin)}`,
+      `DTEND:${localDateTime(iso, e.startMin + (e.durationMin ?? 30))}`,
+      `SUMMARY:${escapeText(e.title)}`
+    );
+    if (e.notes) lines.push(`DESCRIPTION:${escapeText(e.notes)}`);
+    if (e.color) lines.push(`X-TB-COLOR:${e.color}`);
+    lines.push(`X-TB-TYPE:${e.type === "habit" ? "habit" : "custom"}`);
+    if (e.type === "habit" && e.habitId) lines.push(`X-TB-HABIT-ID:${escapeText(e.habitId)}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ------------------------- Import -------------------------
+
+function unescapeText(s) {
+  return s.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+function unfold(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+// "DTSTART;TZID=Europe/Stockholm:20260101T090000" -> { name, params, value }
+function parseLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const head = line.slice(0, colon);
+  const value = line.slice(colon + 1);
+  const [name, ...rawParams] = head.split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// Returns { date: Date (local), allDay } or null.
+function parseDateValue(value, params) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, ss, z] = m;
+  if (params.VALUE === "DATE" || hh === undefined) {
+    return { date: new Date(+y, +mo - 1, +d, 0, 0, 0, 0), allDay: true };
+  }
+  if (z) return { date: new Date(Date.UTC(+y, +mo - 1, +d, +hh, +mm, +(ss ?? 0))), allDay: false };
+  // Floating or TZID times are read as local time.
+  return { date: new Date(+y, +mo - 1, +d, +hh, +mm, +(ss ?? 0)), allDay: false };
+}
+
+// "PT1H30M", "P1D", "-PT15M" -> minutes
+export function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const total = (+w || 0) * 7 * 1440 + (+d || 0) * 1440 + (+h || 0) * 60 + (+mi || 0) + Math.round((+s || 0) / 60);
+  return sign === "-" ? -total : total;
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Parse an .ics text into planner events.
+ * Returns { events: [{ uid, iso, event, warnings }], errors: string[] }.
+ * `event` has the planner shape minus `id` (assigned on import).
+ */
+export function parseICS(text) {
+  const errors = [];
+  const events = [];
+  const lines = unfold(String(text ?? ""));
+
+  if (!lines.some((l) => l.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    return { events, errors: ["Filen är inte en iCalendar-fil (saknar BEGIN:VCALENDAR)."] };
+  }
+
+  let cur = null;
+  let depth = 0; // nested components inside VEVENT (VALARM etc.)
+  let index = 0;
+
+  for (const raw of lines) {
+    if (!raw.trim()) continue;
+    const line = parseLine(raw);
+    if (!line) continue;
+
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      cur = {};
+      depth = 0;
+      continue;
+    }
+    if (!cur) continue;
+    if (line.name === "BEGIN") {
+      depth += 1;
+      continue;
+    }
+    if (line.name === "END" && depth > 0) {
+      depth -= 1;
+      continue;
+    }
+    if (depth > 0) continue;
+
+    if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      index += 1;
+      const parsed = veventToEvent(cur, index);
+      if (parsed.error) errors.push(parsed.error);
+      else events.push(parsed);
+      cur = null;
+      continue;
+    }
+    cur[line.name] = line;
+  }
+
+  return { events, errors };
+}
+
+function veventToEvent(props, index) {
+  const start = props.DTSTART && parseDateValue(props.DTSTART.value, props.DTSTART.params);
+  if (!start) return { error: `Händelse ${index}: saknar eller har ogiltig DTSTART.` };
+
+  const warnings = [];
+  const title = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : "";
+
+  let durationMin = null;
+  if (props.DTEND) {
+    const end = parseDateValue(props.DTEND.value, props.DTEND.params);
+    if (end) durationMin = Math.round((end.date - start.date) / 60000);
+  } else if (props.DURATION) {
+    durationMin = parseDuration(props.DURATION.value);
+  }
+  if (durationMin == null || durationMin <= 0) durationMin = start.allDay ? 24 * 60 : 30;
+
+  const startMin = start.allDay ? 0 : start.date.getHours() * 60 + start.date.getMinutes();
+  if (start.allDay) warnings.push("Heldag – läggs in från 00:00.");
+  if (startMin + durationMin > 24 * 60) {
+    durationMin = 24 * 60 - startMin;
+    warnings.push("Sträcker sig över midnatt – kortas av vid 24:00.");
+  }
+  if (props.RRULE) warnings.push("Upprepning (RRULE) ignoreras – bara första tillfället importeras.");
+
+  const color = props["X-TB-COLOR"]?.value;
+  const type = props["X-TB-TYPE"]?.value === "habit" && props["X-TB-HABIT-ID"] ? "habit" : "custom";
+  const uid = props.UID ? unescapeText(props.UID.value).trim() : "";
+
+  const event = {
+    type,
+    title: title || "(utan titel)",
+    startMin,
+    durationMin: Math.max(5, durationMin),
+    color: color && HEX_COLOR.test(color) ? color : null,
+    notes: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : "",
+  };
+  if (type === "habit") event.habitId = unescapeText(props["X-TB-HABIT-ID"].value);
+
+  return { uid, iso: toISODate(start.date), event, warnings };
+}
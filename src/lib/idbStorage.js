@@ -0,0 +1,132 @@
+import { migratePayload } from "./schema.js";
+import { StoredDataError, clearLocalState, loadPersistedState } from "./persistence.js";
+
+// IndexedDB storage adapter. Each day is its own record, so a save only
+// writes the days whose events or checks changed since the previous save.
+//
+//   meta  "state" -> payload minus eventsByDate/habitChecksByDate
+//   days  { iso, events, checks }
+//
+// The first time it is used it moves the localStorage state over.
+
+const DB_NAME = "timeboxing-habits";
+const DB_VERSION = 1;
+const META = "meta";
+const DAYS = "days";
+const META_KEY = "state";
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("IndexedDB-transaktionen avbröts."));
+  });
+}
+
+let dbPromise = null;
+function openDB() {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+      if (!db.objectStoreNames.contains(DAYS)) db.createObjectStore(DAYS, { keyPath: "iso" });
+    };
+    dbPromise = request(req).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+function splitPayload(payload) {
+  const { eventsByDate = {}, habitChecksByDate = {}, ...meta } = payload;
+  return { meta, eventsByDate, habitChecksByDate };
+}
+
+const isEmptyDay = (events, checks) => (!events || events.length === 0) && (!checks || Object.keys(checks).length === 0);
+
+function writePayload(db, payload, prev) {
+  const tx = db.transaction([META, DAYS], "readwrite");
+  const metaStore = tx.objectStore(META);
+  const dayStore = tx.objectStore(DAYS);
+  const next = splitPayload(payload);
+  const before = prev ? splitPayload(prev) : null;
+
+  const metaKeys = new Set([...Object.keys(next.meta), ...Object.keys(before?.meta ?? {})]);
+  if (!before || [...metaKeys].some((k) => next.meta[k] !== before.meta[k])) {
+    metaStore.put(next.meta, META_KEY);
+  }
+
+  if (!before) dayStore.clear();
+  const isos = new Set([
+    ...Object.keys(next.eventsByDate),
+    ...Object.keys(next.habitChecksByDate),
+    ...Object.keys(before?.eventsByDate ?? {}),
+    ...Object.keys(before?.habitChecksByDate ?? {}),
+  ]);
+  for (const iso of isos) {
+    const events = next.eventsByDate[iso];
+    const checks = next.habitChecksByDate[iso];
+    if (before && before.eventsByDate[iso] === events && before.habitChecksByDate[iso] === checks) continue;
+    if (isEmptyDay(events, checks)) {
+      if (before) dayStore.delete(iso);
+    } else {
+      dayStore.put({ iso, events: events ?? [], checks: checks ?? {} });
+    }
+  }
+  return done(tx);
+}
+
+async function readPayload(db) {
+  const tx = db.transaction([META, DAYS], "readonly");
+  const meta = await request(tx.objectStore(META).get(META_KEY));
+  if (!meta) return null;
+  const days = await request(tx.objectStore(DAYS).getAll());
+  const eventsByDate = {};
+  const habitChecksByDate = {};
+  for (const d of days) {
+    if (d.events?.length) eventsByDate[d.iso] = d.events;
+    if (d.checks && Object.keys(d.checks).length) habitChecksByDate[d.iso] = d.checks;
+  }
+  return { ...meta, eventsByDate, habitChecksByDate };
+}
+
+export const indexedDBAdapter = {
+  name: "indexedDB",
+  async load() {
+    const db = await openDB();
+    const stored = await readPayload(db);
+    if (stored) {
+      let migrated;
+      try {
+        migrated = migratePayload(stored);
+      } catch (err) {
+        throw new StoredDataError(`indexedDB:${DB_NAME}`, JSON.stringify(stored), err);
+      }
+      // Store the upgraded shape so later incremental saves build on it.
+      if (stored.schemaVersion !== migrated.schemaVersion) await writePayload(db, migrated, null);
+      return migrated;
+    }
+
+    // First use: move the localStorage state over.
+    const fromLocal = loadPersistedState();
+    if (fromLocal) {
+      await writePayload(db, fromLocal, null);
+      clearLocalState();
+    }
+    return fromLocal;
+  },
+  async save(payload, prev) {
+    const db = await openDB();
+    await writePayload(db, payload, prev);
+  },
+};
@@ -0,0 +1,71 @@
+// Calendar layout for one day column: where each event goes on the timeline.
+//
+// Events are placed by their exact start and duration (in minutes). Events
+// that overlap in time are split into side-by-side columns: each group of
+// transitively overlapping events (a "cluster") shares the column width, and
+// an event widens to the right over columns that are free for its whole span.
+
+// Clip an event to [windowStart, windowEnd); null if nothing is visible.
+function visibleRange(e, windowStart, windowEnd) {
+  const start = Number(e.startMin);
+  const duration = Math.max(1, Number(e.durationMin) || 0);
+  if (!Number.isFinite(start)) return null;
+  const top = Math.max(start, windowStart);
+  const bottom = Math.min(start + duration, windowEnd);
+  return bottom > top ? { top, bottom } : null;
+}
+
+/**
+ * Lay out `events` in a timeline that shows minutes windowStart..windowEnd.
+ * Returns [{ event, top, bottom, column, span, columns }] where top/bottom are
+ * minutes within the window and column/span/columns describe the horizontal
+ * slot: left = column / columns, width = span / columns.
+ */
+export function layoutDayEvents(events, { windowStart = 0, windowEnd = 24 * 60 } = {}) {
+  const items = [];
+  for (const event of events) {
+    const range = visibleRange(event, windowStart, windowEnd);
+    if (range) items.push({ event, ...range });
+  }
+  // Earlier first; on ties the longer event takes the leftmost column.
+  items.sort((a, b) => a.top - b.top || b.bottom - a.bottom);
+
+  const out = [];
+  let cluster = [];
+  let clusterEnd = -Infinity;
+
+  const flush = () => {
+    if (cluster.length === 0) return;
+    const columns = [];
+    for (const item of cluster) {
+      let col = columns.findIndex((lastBottom) => lastBottom <= item.top);
+      if (col === -1) col = columns.length;
+      columns[col] = item.bottom;
+      item.column = col;
+    }
+    for (const item of cluster) {
+      let span = 1;
+      while (
+        item.column + span < columns.length &&
+        !cluster.some(
+          (o) => o.column === item.column + span && o.top < item.bottom && item.top < o.bottom
+        )
+      ) {
+        span++;
+      }
+      out.push({ ...item, span, columns: columns.length });
+    }
+    cluster = [];
+  };
+
+  for (const item of items) {
+    if (item.top >= clusterEnd) {
+      flush();
+      clusterEnd = -Infinity;
+    }
+    cluster.push(item);
+    clusterEnd = Math.max(clusterEnd, item.bottom);
+  }
+  flush();
+  return out;
+}
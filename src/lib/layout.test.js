@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { layoutDayEvents } from "./layout.js";
+
+const ev = (id, startMin, durationMin) => ({ id, startMin, durationMin });
+
+// { id: { column, span, columns } } for easy comparison.
+function slots(events, window) {
+  return Object.fromEntries(
+    layoutDayEvents(events, window).map(({ event, column, span, columns }) => [event.id, { column, span, columns }])
+  );
+}
+
+describe("layoutDayEvents", () => {
+  it("gives events that don't overlap the full width", () => {
+    expect(slots([ev("a", 480, 60), ev("b", 540, 30)])).toEqual({
+      a: { column: 0, span: 1, columns: 1 },
+      b: { column: 0, span: 1, columns: 1 },
+    });
+  });
+
+  it("places overlapping events side by side", () => {
+    expect(slots([ev("a", 480, 60), ev("b", 510, 60)])).toEqual({
+      a: { column: 0, span: 1, columns: 2 },
+      b: { column: 1, span: 1, columns: 2 },
+    });
+  });
+
+  it("counts columns per cluster of transitively overlapping events", () => {
+    // a–b and b–c overlap, a and c don't: one cluster, two columns.
+    // d starts after the cluster ends and gets the full width again.
+    const result = slots([ev("a", 480, 60), ev("b", 510, 60), ev("c", 540, 60), ev("d", 600, 30)]);
+    expect(result).toEqual({
+      a: { column: 0, span: 1, columns: 2 },
+      b: { column: 1, span: 1, columns: 2 },
+      c: { column: 0, span: 1, columns: 2 },
+      d: { column: 0, span: 1, columns: 1 },
+    });
+  });
+
+  it("widens an event over columns that are free for its whole span", () => {
+    // a and b share the first hour with c; d only overlaps c, so it spans
+    // the two columns a and b leave free.
+    const result = slots([ev("a", 480, 30), ev("b", 480, 30), ev("c", 480, 120), ev("d", 540, 30)]);
+    expect(result.c).toEqual({ column: 0, span: 1, columns: 3 });
+    expect(result.d).toEqual({ column: 1, span: 2, columns: 3 });
+  });
+
+  it("puts the longer event first when two start together", () => {
+    const result = slots([ev("short", 480, 15), ev("long", 480, 90)]);
+    expect(result.long.column).toBe(0);
+    expect(result.short.column).toBe(1);
+  });
+
+  it("positions by exact minutes and clips to the visible window", () => {
+    const [item] = layoutDayEvents([ev("a", 7 * 60 + 50, 25)], { windowStart: 8 * 60, windowEnd: 20 * 60 });
+    expect(item).toMatchObject({ top: 480, bottom: 495 });
+    expect(layoutDayEvents([ev("early", 300, 60)], { windowStart: 480, windowEnd: 1200 })).toEqual([]);
+  });
+
+  it("skips events without a usable start", () => {
+    expect(layoutDayEvents([{ id: "x", startMin: "nope", durationMin: 30 }])).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+import { SCHEMA_VERSION, migratePayload } from "./schema.js";
+
+// localStorage persistence of the planner state. The blob carries its
+// schemaVersion; anything older is run through the migrations in schema.js.
+//
+// Storage adapters (this file and idbStorage.js) share one interface:
+//   name
+//   load(): Promise<payload | null>        throws StoredDataError
+//   save(payload, prev): Promise<void>     prev = last saved payload, or null
+//                                          to write everything
+
+export const LS_KEY = "tb_habits";
+
+// Keys used before the blob was versioned, newest first, with the schema
+// version their payloads were written in.
+export const LEGACY_KEYS = [
+  ["tb_habits_v4", 4],
+  ["tb_habits_v3", 3],
+  ["tb_habits_v2", 2],
+  ["tb_habits_v1", 1],
+];
+
+// Stored data that could not be parsed or migrated. Carries the raw string so
+// it can be quarantined instead of overwritten.
+export class StoredDataError extends Error {
+  constructor(key, raw, cause) {
+    super(`Kunde inte läsa sparad data (${key}): ${cause?.message ?? cause}`);
+    this.name = "StoredDataError";
+    this.key = key;
+    this.raw = raw;
+    this.cause = cause;
+  }
+}
+
+function parseStored(key, raw, version) {
+  try {
+    return migratePayload(JSON.parse(raw), version);
+  } catch (err) {
+    throw new StoredDataError(key, raw, err);
+  }
+}
+
+/**
+ * Read and migrate the stored state. Returns null when nothing is stored.
+ * Throws StoredDataError on unparseable or too-new data.
+ */
+export function loadPersistedState(storage = localStorage) {
+  const raw = storage.getItem(LS_KEY);
+  if (raw) return parseStored(LS_KEY, raw);
+
+  for (const [key, version] of LEGACY_KEYS) {
+    const legacy = storage.getItem(key);
+    if (legacy) return parseStored(key, legacy, version);
+  }
+  return null;
+}
+
+// Removes the planner state, current and legacy keys, from localStorage once
+// another backend holds it.
+export function clearLocalState(storage = localStorage) {
+  storage.removeItem(LS_KEY);
+  for (const [key] of LEGACY_KEYS) storage.removeItem(key);
+}
+
+export function buildPersistedPayload(state) {
+  return { schemaVersion: SCHEMA_VERSION, ...state };
+}
+
+export const localStorageAdapter = {
+  name: "localStorage",
+  async load() {
+    return loadPersistedState();
+  },
+  async save(payload) {
+    localStorage.setItem(LS_KEY, JSON.stringify(payload));
+  },
+};
@@ -0,0 +1,233 @@
+import { addDaysISO, diffDaysISO, parseISODate, startOfISOWeek, toISODate } from "./dates.js";
+
+// Recurring events ("series") live next to eventsByDate in seriesById and are
+// expanded into per-day occurrences when rendered:
+//
+// seriesById[id] = {
+//   id,
+//   type: "custom",
+//   title, startMin, durationMin, color, notes,
+//   startISO,                 // first day of the series
+//   repeat: {
+//     freq: "daily"|"weekdays"|"weekly"|"monthly",
+//     interval,               // every N days/weeks/months
+//     weekdays,               // weekly only, JS getDay() numbers (0 Sun ... 6 Sat)
+//     end: "never"|"until"|"count",
+//     until?,                 // iso, inclusive
+//     count?,                 // number of occurrences
+//   },
+//   exceptions: {             // per-date overrides
+//     [iso]: { deleted: true } | { title?, startMin?, durationMin?, color?, notes? }
+//   },
+// }
+
+export const REPEAT_FREQS = [
+  { value: "none", label: "Upprepas inte" },
+  { value: "daily", label: "Dagligen" },
+  { value: "weekdays", label: "Vardagar (mån–fre)" },
+  { value: "weekly", label: "Veckovis" },
+  { value: "monthly", label: "Månadsvis" },
+];
+
+// Monday first, as in the rest of the UI.
+export const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Mån" },
+  { value: 2, label: "Tis" },
+  { value: 3, label: "Ons" },
+  { value: 4, label: "Tor" },
+  { value: 5, label: "Fre" },
+  { value: 6, label: "Lör" },
+  { value: 0, label: "Sön" },
+];
+
+// Upper bound when walking a series day by day (~50 years).
+const MAX_SCAN_DAYS = 366 * 50;
+
+export function defaultRepeat(startISO) {
+  return {
+    freq: "none",
+    interval: 1,
+    weekdays: [parseISODate(startISO).getDay()],
+    end: "never",
+    until: addDaysISO(startISO, 30),
+    count: 10,
+  };
+}
+
+export function normalizeRepeat(repeat, startISO) {
+  const base = defaultRepeat(startISO);
+  const r = { ...base, ...(repeat ?? {}) };
+  r.interval = Math.max(1, Math.floor(Number(r.interval) || 1));
+  r.count = Math.max(1, Math.floor(Number(r.count) || 1));
+  r.weekdays = Array.isArray(r.weekdays) && r.weekdays.length > 0 ? [...new Set(r.weekdays)] : base.weekdays;
+  if (r.end === "until" && (!r.until || r.until < startISO)) r.until = startISO;
+  return r;
+}
+
+// Does the repeat pattern hit `iso`? Ignores the end condition.
+function matchesPattern(repeat, startISO, iso) {
+  if (iso < startISO) return false;
+  const d = parseISODate(iso);
+  const start = parseISODate(startISO);
+
+  switch (repeat.freq) {
+    case "daily":
+      return diffDaysISO(startISO, iso) % repeat.interval === 0;
+    case "weekdays": {
+      const wd = d.getDay();
+      return wd >= 1 && wd <= 5;
+    }
+    case "weekly": {
+      if (!repeat.weekdays.includes(d.getDay())) return false;
+      const weeks = Math.round(diffDaysISO(toISODate(startOfISOWeek(start)), toISODate(startOfISOWeek(d))) / 7);
+      return weeks % repeat.interval === 0;
+    }
+    case "monthly": {
+      if (d.getDate() !== start.getDate()) return false;
+      const months = (d.getFullYear() - start.getFullYear()) * 12 + (d.getMonth() - start.getMonth());
+      return months % repeat.interval === 0;
+    }
+    default:
+      return iso === startISO;
+  }
+}
+
+// Last day the series can occur on, or null for open-ended series.
+export function seriesLastISO(series) {
+  const { repeat, startISO } = series;
+  if (repeat.end === "until") return repeat.until;
+  if (repeat.end !== "count") return null;
+
+  let seen = 0;
+  let iso = startISO;
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    if (matchesPattern(repeat, startISO, iso)) {
+      seen += 1;
+      if (seen >= repeat.count) return iso;
+    }
+    iso = addDaysISO(iso, 1);
+  }
+  return iso;
+}
+
+export function occursOn(series, iso, lastISO = seriesLastISO(series)) {
+  if (iso < series.startISO) return false;
+  if (lastISO && iso > lastISO) return false;
+  return matchesPattern(series.repeat, series.startISO, iso);
+}
+
+// Occurrences before `iso` (used to carry a count over when splitting a series).
+export function countOccurrencesBefore(series, iso) {
+  let n = 0;
+  for (let d = series.startISO; d < iso; d = addDaysISO(d, 1)) {
+    if (matchesPattern(series.repeat, series.startISO, d)) n += 1;
+  }
+  return n;
+}
+
+export function occurrenceId(seriesId, iso) {
+  return `${seriesId}:${iso}`;
+}
+
+// uid() never produces ":", so anything with one is an occurrence id.
+export function parseOccurrenceId(id) {
+  if (typeof id !== "string") return null;
+  const i = id.indexOf(":");
+  if (i < 0) return null;
+  return { seriesId: id.slice(0, i), iso: id.slice(i + 1) };
+}
+
+function buildOccurrence(series, iso) {
+  const ex = series.exceptions?.[iso];
+  if (ex?.deleted) return null;
+  const { exceptions: _ex, repeat: _r, startISO: _s, id, ...fields } = series;
+  return {
+    ...fields,
+    ...(ex ?? {}),
+    id: occurrenceId(id, iso),
+    seriesId: id,
+    occurrenceISO: iso,
+  };
+}
+
+// Expand all series over a set of days: { [iso]: occurrence[] }.
+export function occurrencesForDates(seriesById, isos) {
+  const out = {};
+  const all = Object.values(seriesById ?? {});
+  const lastBySeries = new Map(all.map((s) => [s.id, seriesLastISO(s)]));
+  for (const iso of isos) {
+    const list = [];
+    for (const series of all) {
+      if (!occursOn(series, iso, lastBySeries.get(series.id))) continue;
+      const occ = buildOccurrence(series, iso);
+      if (occ) list.push(occ);
+    }
+    out[iso] = list;
+  }
+  return out;
+}
+
+export function setException(series, iso, patch) {
+  const cur = series.exceptions?.[iso] ?? {};
+  return { ...series, exceptions: { ...(series.exceptions ?? {}), [iso]: { ...cur, ...patch } } };
+}
+
+// Fields that belong to one dated event rather than to a whole series.
+export const OCCURRENCE_FIELDS = ["icsUid", "actualStartMin", "actualEndMin", "actualMin", "task"];
+
+// Turn a one-off event into a series starting on `startISO`. Every field of the
+// event is kept, not just the ones the event modal edits; OCCURRENCE_FIELDS
+// stay with the first occurrence as its exception.
+export function seriesFromEvent(evt, { id, startISO, repeat }) {
+  const { id: _id, seriesId: _s, occurrenceISO: _o, ...fields } = evt;
+  const own = {};
+  for (const k of OCCURRENCE_FIELDS) {
+    if (fields[k] === undefined) continue;
+    own[k] = fields[k];
+    delete fields[k];
+  }
+  const exceptions = Object.keys(own).length > 0 ? { [startISO]: own } : {};
+  return { ...fields, type: "custom", id, startISO, repeat, exceptions };
+}
+
+// End `series` the day before `iso`. Returns null if nothing would be left.
+export function truncateSeriesBefore(series, iso) {
+  if (iso <= series.startISO) return null;
+  const until = addDaysISO(iso, -1);
+  const exceptions = Object.fromEntries(Object.entries(series.exceptions ?? {}).filter(([d]) => d < iso));
+  return { ...series, repeat: { ...series.repeat, end: "until", until }, exceptions };
+}
+
+// Split `series` at `iso`: the head keeps earlier occurrences, the returned tail
+// starts at `iso` with `patch` applied. A count-limited series keeps its total.
+export function splitSeries(series, iso, patch, newId) {
+  const head = truncateSeriesBefore(series, iso);
+  let repeat = { ...series.repeat, ...(patch.repeat ?? {}) };
+  if (repeat.end === "count" && series.repeat.end === "count" && repeat.count === series.repeat.count) {
+    repeat = { ...repeat, count: Math.max(1, series.repeat.count - countOccurrencesBefore(series, iso)) };
+  }
+  const exceptions = Object.fromEntries(Object.entries(series.exceptions ?? {}).filter(([d]) => d >= iso));
+  const { repeat: _r, ...fields } = patch;
+  const tail = { ...series, ...fields, id: newId, startISO: iso, repeat, exceptions };
+  return { head, tail };
+}
+
+const UNIT = { daily: "dag", weekly: "vecka", monthly: "månad" };
+
+export function describeRepeat(repeat) {
+  if (!repeat || repeat.freq === "none") return "";
+  let txt;
+  if (repeat.freq === "weekdays") {
+    txt = "Vardagar";
+  } else {
+    const unit = UNIT[repeat.freq];
+    txt = repeat.interval > 1 ? `Var ${repeat.interval}:e ${unit}` : `Varje ${unit}`;
+    if (repeat.freq === "weekly") {
+      const names = WEEKDAY_OPTIONS.filter((o) => repeat.weekdays.includes(o.value)).map((o) => o.label.toLowerCase());
+      txt += ` (${names.join(", ")})`;
+    }
+  }
+  if (repeat.end === "until") txt += ` t.o.m. ${repeat.until}`;
+  if (repeat.end === "count") txt += `, ${repeat.count} gånger`;
+  return txt;
+}
@@ -0,0 +1,171 @@
+import { describe, expect, it } from "vitest";
+import {
+  countOccurrencesBefore,
+  normalizeRepeat,
+  occurrencesForDates,
+  occursOn,
+  parseOccurrenceId,
+  seriesFromEvent,
+  seriesLastISO,
+  setException,
+  splitSeries,
+  truncateSeriesBefore,
+} from "./recurrence.js";
+import { addDaysISO, isoRange } from "./dates.js";
+
+// 2026-01-05 is a Monday.
+function series(repeat, extra = {}) {
+  return {
+    id: "s",
+    type: "custom",
+    title: "Gym",
+    startMin: 420,
+    durationMin: 60,
+    color: "#93c5fd",
+    notes: "",
+    startISO: "2026-01-05",
+    repeat: normalizeRepeat(repeat, "2026-01-05"),
+    exceptions: {},
+    ...extra,
+  };
+}
+
+const days = (s, from, to) => isoRange(from, to).filter((iso) => occursOn(s, iso));
+
+describe("repeat patterns", () => {
+  it("repeats daily with an interval", () => {
+    expect(days(series({ freq: "daily", interval: 3 }), "2026-01-01", "2026-01-12")).toEqual([
+      "2026-01-05",
+      "2026-01-08",
+      "2026-01-11",
+    ]);
+  });
+
+  it("repeats on weekdays only", () => {
+    expect(days(series({ freq: "weekdays" }), "2026-01-05", "2026-01-12")).toEqual([
+      "2026-01-05",
+      "2026-01-06",
+      "2026-01-07",
+      "2026-01-08",
+      "2026-01-09",
+      "2026-01-12",
+    ]);
+  });
+
+  it("repeats every other week on the chosen weekdays", () => {
+    const s = series({ freq: "weekly", interval: 2, weekdays: [1, 4] });
+    expect(days(s, "2026-01-05", "2026-01-25")).toEqual(["2026-01-05", "2026-01-08", "2026-01-19", "2026-01-22"]);
+  });
+
+  it("counts weeks from the ISO week of the start, not the start date", () => {
+    // Starting on a Thursday, the Monday three days later is already the next week.
+    const s = { ...series({ freq: "weekly", interval: 2, weekdays: [1, 4] }), startISO: "2026-01-08" };
+    expect(days(s, "2026-01-08", "2026-01-22")).toEqual(["2026-01-08", "2026-01-19", "2026-01-22"]);
+  });
+
+  it("repeats monthly on the same day of the month and skips shorter months", () => {
+    const s = { ...series({ freq: "monthly" }), startISO: "2026-01-31" };
+    expect(days(s, "2026-01-01", "2026-05-31")).toEqual(["2026-01-31", "2026-03-31", "2026-05-31"]);
+  });
+
+  it("never occurs before its start", () => {
+    expect(occursOn(series({ freq: "daily" }), "2026-01-04")).toBe(false);
+  });
+});
+
+describe("end conditions", () => {
+  it("stops after the until date", () => {
+    const s = series({ freq: "daily", end: "until", until: "2026-01-07" });
+    expect(seriesLastISO(s)).toBe("2026-01-07");
+    expect(days(s, "2026-01-05", "2026-01-10")).toEqual(["2026-01-05", "2026-01-06", "2026-01-07"]);
+  });
+
+  it("stops after `count` occurrences", () => {
+    const s = series({ freq: "weekdays", end: "count", count: 6 });
+    expect(seriesLastISO(s)).toBe("2026-01-12");
+  });
+
+  it("is open-ended by default", () => {
+    expect(seriesLastISO(series({ freq: "daily" }))).toBeNull();
+  });
+});
+
+describe("occurrencesForDates", () => {
+  it("applies per-date exceptions and skips deleted dates", () => {
+    let s = series({ freq: "daily" });
+    s = setException(s, "2026-01-06", { startMin: 480 });
+    s = setException(s, "2026-01-07", { deleted: true });
+    const out = occurrencesForDates({ s }, ["2026-01-05", "2026-01-06", "2026-01-07"]);
+    expect(out["2026-01-05"][0]).toMatchObject({ id: "s:2026-01-05", seriesId: "s", startMin: 420 });
+    expect(out["2026-01-06"][0].startMin).toBe(480);
+    expect(out["2026-01-07"]).toEqual([]);
+    expect(parseOccurrenceId(out["2026-01-06"][0].id)).toEqual({ seriesId: "s", iso: "2026-01-06" });
+  });
+});
+
+describe("truncateSeriesBefore / splitSeries", () => {
+  it("ends the series the day before and drops later exceptions", () => {
+    let s = series({ freq: "daily" });
+    s = setException(s, "2026-01-06", { notes: "a" });
+    s = setException(s, "2026-01-09", { notes: "b" });
+    const head = truncateSeriesBefore(s, "2026-01-08");
+    expect(head.repeat).toMatchObject({ end: "until", until: "2026-01-07" });
+    expect(Object.keys(head.exceptions)).toEqual(["2026-01-06"]);
+  });
+
+  it("returns null when nothing would be left", () => {
+    expect(truncateSeriesBefore(series({ freq: "daily" }), "2026-01-05")).toBeNull();
+  });
+
+  it("splits with the patch applied to the tail only", () => {
+    let s = series({ freq: "daily" });
+    s = setException(s, "2026-01-09", { notes: "b" });
+    const { head, tail } = splitSeries(s, "2026-01-08", { title: "Löpning" }, "t");
+    expect(head.title).toBe("Gym");
+    expect(tail).toMatchObject({ id: "t", title: "Löpning", startISO: "2026-01-08" });
+    expect(Object.keys(tail.exceptions)).toEqual(["2026-01-09"]);
+  });
+
+  it("keeps the total of a count-limited series", () => {
+    const s = series({ freq: "daily", end: "count", count: 10 });
+    expect(countOccurrencesBefore(s, "2026-01-08")).toBe(3);
+    const { head, tail } = splitSeries(s, "2026-01-08", {}, "t");
+    expect(seriesLastISO(head)).toBe("2026-01-07");
+    expect(tail.repeat.count).toBe(7);
+    expect(seriesLastISO(tail)).toBe(addDaysISO("2026-01-08", 6));
+  });
+});
+
+describe("seriesFromEvent", () => {
+  it("keeps fields the modal does not edit", () => {
+    const evt = { id: "e", type: "custom", title: "Möte", startMin: 540, durationMin: 30, color: "#fff", notes: "", extra: 1 };
+    const s = seriesFromEvent(evt, { id: "s", startISO: "2026-01-05", repeat: normalizeRepeat({ freq: "daily" }, "2026-01-05") });
+    expect(s).toMatchObject({ id: "s", type: "custom", title: "Möte", extra: 1, startISO: "2026-01-05", exceptions: {} });
+  });
+
+  it("keeps an imported UID on the first occurrence only", () => {
+    const evt = { id: "e", type: "custom", title: "Möte", startMin: 540, durationMin: 30, icsUid: "abc@x" };
+    const s = seriesFromEvent(evt, { id: "s", startISO: "2026-01-05", repeat: normalizeRepeat({ freq: "daily" }, "2026-01-05") });
+    expect(s.icsUid).toBeUndefined();
+    const out = occurrencesForDates({ s }, ["2026-01-05", "2026-01-06"]);
+    expect(out["2026-01-05"][0].icsUid).toBe("abc@x");
+    expect(out["2026-01-06"][0].icsUid).toBeUndefined();
+  });
+
+  it("keeps logged actual time on the first occurrence only", () => {
+    const evt = { id: "e", type: "custom", title: "Möte", startMin: 540, durationMin: 30, actualStartMin: 545, actualEndMin: 590, actualMin: 25 };
+    const s = seriesFromEvent(evt, { id: "s", startISO: "2026-01-05", repeat: normalizeRepeat({ freq: "daily" }, "2026-01-05") });
+    expect(s.exceptions).toEqual({ "2026-01-05": { actualStartMin: 545, actualEndMin: 590, actualMin: 25 } });
+    const out = occurrencesForDates({ s }, ["2026-01-05", "2026-01-06"]);
+    expect(out["2026-01-05"][0]).toMatchObject({ actualStartMin: 545, actualEndMin: 590, actualMin: 25 });
+    expect(out["2026-01-06"][0].actualMin).toBeUndefined();
+  });
+
+  it("keeps the task inbox link on the first occurrence only", () => {
+    const task = { priority: "high", dueISO: "2026-01-09" };
+    const evt = { id: "e", type: "custom", title: "Deklarera", startMin: 540, durationMin: 30, task };
+    const s = seriesFromEvent(evt, { id: "s", startISO: "2026-01-05", repeat: normalizeRepeat({ freq: "daily" }, "2026-01-05") });
+    expect(s.task).toBeUndefined();
+    expect(s.exceptions["2026-01-05"]).toEqual({ task });
+  });
+});
@@ -0,0 +1,136 @@
+import { addDaysISO, hhmmToMinutes, toISODate } from "./dates.js";
+import { isChecked, wantsDefaultBlock } from "./habitSchedule.js";
+
+// Browser notifications before and at the end of blocks, and a daily nudge for
+// unchecked habits.
+//
+// Defaults live in the per-device settings (lib/settings.js); an event can
+// override them:
+//   reminderMin?     // minutes before startMin, null = no reminder, absent = default
+//   reminderAtEnd?   // boolean, absent = default
+//
+// Reminders are plain timers in the open tab, rebuilt whenever events, checks
+// or settings change. Every notification has a stable tag, so several open
+// tabs show it once.
+
+export const REMINDER_OPTIONS = [
+  { value: null, label: "Ingen" },
+  { value: 0, label: "Vid start" },
+  { value: 5, label: "5 min före" },
+  { value: 10, label: "10 min före" },
+  { value: 15, label: "15 min före" },
+  { value: 30, label: "30 min före" },
+];
+
+export function reminderLabel(min) {
+  return REMINDER_OPTIONS.find((o) => o.value === min)?.label ?? `${min} min före`;
+}
+
+// Timers are set for this far ahead; the list is rebuilt before it runs out.
+export const REMINDER_HORIZON_MS = 24 * 60 * 60 * 1000;
+
+export function reminderMinFor(evt, settings) {
+  return evt.reminderMin !== undefined ? evt.reminderMin : settings.reminderBeforeMin;
+}
+
+export function reminderAtEndFor(evt, settings) {
+  return evt.reminderAtEnd ?? settings.reminderAtEnd;
+}
+
+// Local wall-clock time `min` minutes after midnight on `iso`, as a timestamp.
+// Built from date parts so it stays right on daylight-saving change days.
+function at(iso, min) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d, 0, min).getTime();
+}
+
+const hhmm = (min) => `${String(Math.floor(min / 60) % 24).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+
+/**
+ * Notifications due within REMINDER_HORIZON_MS of `now`:
+ * [{ at, tag, title, body }], earliest first.
+ * getEventsForDay(iso) should include series occurrences.
+ */
+export function buildReminders({ now, getEventsForDay, habits, checksByDate, settings }) {
+  const end = now + REMINDER_HORIZON_MS;
+  const todayISO = toISODate(new Date(now));
+  const out = [];
+  const push = (r) => {
+    if (r.at > now && r.at <= end) out.push(r);
+  };
+
+  for (const iso of [todayISO, addDaysISO(todayISO, 1)]) {
+    for (const e of getEventsForDay(iso)) {
+      const before = reminderMinFor(e, settings);
+      if (before != null) {
+        push({
+          at: at(iso, e.startMin - before),
+          tag: `start:${iso}:${e.id}`,
+          title: before > 0 ? `Om ${before} min: ${e.title}` : `Nu: ${e.title}`,
+          body: `${hhmm(e.startMin)}–${hhmm(e.startMin + e.durationMin)}`,
+        });
+      }
+      if (reminderAtEndFor(e, settings)) {
+        push({
+          at: at(iso, e.startMin + e.durationMin),
+          tag: `end:${iso}:${e.id}`,
+          title: `Slut: ${e.title}`,
+          body: `Blocket slutade ${hhmm(e.startMin + e.durationMin)}.`,
+        });
+      }
+    }
+
+    if (settings.habitNudgeTime) {
+      const left = habits.filter((h) => wantsDefaultBlock(h, checksByDate, iso) && !isChecked(checksByDate, iso, h));
+      if (left.length > 0) {
+        push({
+          at: at(iso, hhmmToMinutes(settings.habitNudgeTime)),
+          tag: `habits:${iso}`,
+          title: left.length === 1 ? "1 vana kvar idag" : `${left.length} vanor kvar idag`,
+          body: left.map((h) => h.name).join(", "),
+        });
+      }
+    }
+  }
+
+  return out.sort((a, b) => a.at - b.at);
+}
+
+export function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.requestPermission();
+}
+
+function showPageNotification(title, options) {
+  try {
+    const n = new Notification(title, options);
+    n.onclick = () => {
+      window.focus();
+      n.close();
+    };
+  } catch {
+    // some mobile browsers only allow notifications from a service worker
+  }
+}
+
+// Through the service worker when the page has one (the only way on some
+// mobile browsers), else straight from the page.
+export function showNotification({ title, body, tag }) {
+  if (notificationPermission() !== "granted") return;
+  const options = { body, tag };
+  const sw = typeof navigator !== "undefined" ? navigator.serviceWorker : undefined;
+  if (!sw) {
+    showPageNotification(title, options);
+    return;
+  }
+  sw.getRegistration()
+    .then((reg) => {
+      if (!reg) return showPageNotification(title, options);
+      return sw.ready.then((r) => r.showNotification(title, options));
+    })
+    .catch(() => showPageNotification(title, options));
+}
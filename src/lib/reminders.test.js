@@ -0,0 +1,98 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { buildReminders, showNotification } from "./reminders.js";
+
+// Tests run in Europe/Stockholm (see vite.config.js), which changes to summer
+// time on 2026-03-29 and back on 2026-10-25.
+
+const settings = { reminderBeforeMin: 10, reminderAtEnd: false, habitNudgeTime: "" };
+
+function remindersAt(now, events, extra = {}) {
+  return buildReminders({
+    now: now.getTime(),
+    getEventsForDay: (iso) => events[iso] ?? [],
+    habits: [],
+    checksByDate: {},
+    settings: { ...settings, ...extra },
+  });
+}
+
+const wallClock = (ms) => new Date(ms).toTimeString().slice(0, 5);
+
+describe("buildReminders", () => {
+  it.each(["2026-03-29", "2026-10-25", "2026-06-01"])("uses local wall-clock times on %s", (iso) => {
+    const [y, m, d] = iso.split("-").map(Number);
+    const events = { [iso]: [{ id: "e", title: "Möte", startMin: 9 * 60, durationMin: 30, reminderAtEnd: true }] };
+    const list = remindersAt(new Date(y, m - 1, d, 6, 0), events);
+    expect(list.map((r) => wallClock(r.at))).toEqual(["08:50", "09:30"]);
+  });
+
+  it("honours per-event overrides", () => {
+    const events = {
+      "2026-06-01": [
+        { id: "a", title: "A", startMin: 600, durationMin: 30, reminderMin: null },
+        { id: "b", title: "B", startMin: 660, durationMin: 30, reminderMin: 0 },
+      ],
+    };
+    const list = remindersAt(new Date(2026, 5, 1, 8, 0), events);
+    expect(list.map((r) => r.tag)).toEqual(["start:2026-06-01:b"]);
+    expect(wallClock(list[0].at)).toBe("11:00");
+  });
+
+  it("skips reminders that are already past", () => {
+    const events = { "2026-06-01": [{ id: "a", title: "A", startMin: 600, durationMin: 30 }] };
+    expect(remindersAt(new Date(2026, 5, 1, 9, 55), events)).toEqual([]);
+  });
+
+  it("nudges about due habits that are not checked", () => {
+    const list = buildReminders({
+      now: new Date(2026, 5, 1, 8, 0).getTime(),
+      getEventsForDay: () => [],
+      habits: [
+        { id: "h1", name: "Läsa", active: true, schedule: { kind: "daily" } },
+        { id: "h2", name: "Gym", active: true, schedule: { kind: "daily" } },
+      ],
+      checksByDate: { "2026-06-01": { h2: true } },
+      settings: { ...settings, habitNudgeTime: "20:00" },
+    });
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ tag: "habits:2026-06-01", body: "Läsa" });
+    expect(wallClock(list[0].at)).toBe("20:00");
+  });
+});
+
+describe("showNotification", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  function stubNotification() {
+    const Notification = vi.fn();
+    Notification.permission = "granted";
+    vi.stubGlobal("Notification", Notification);
+    return Notification;
+  }
+
+  it("goes through the service worker registration when there is one", async () => {
+    const Notification = stubNotification();
+    const reg = { showNotification: vi.fn() };
+    vi.stubGlobal("navigator", {
+      serviceWorker: { getRegistration: () => Promise.resolve(reg), ready: Promise.resolve(reg) },
+    });
+    showNotification({ title: "Möte", body: "09:00", tag: "t" });
+    await vi.waitFor(() => expect(reg.showNotification).toHaveBeenCalledWith("Möte", { body: "09:00", tag: "t" }));
+    expect(Notification).not.toHaveBeenCalled();
+  });
+
+  it("falls back to a page notification without a registration", async () => {
+    const Notification = stubNotification();
+    vi.stubGlobal("navigator", { serviceWorker: { getRegistration: () => Promise.resolve(undefined) } });
+    showNotification({ title: "Möte", body: "09:00", tag: "t" });
+    await vi.waitFor(() => expect(Notification).toHaveBeenCalledWith("Möte", { body: "09:00", tag: "t" }));
+  });
+
+  it("does nothing without permission", () => {
+    const Notification = stubNotification();
+    Notification.permission = "denied";
+    vi.stubGlobal("navigator", {});
+    showNotification({ title: "Möte", body: "", tag: "t" });
+    expect(Notification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,164 @@
+import { normalizeSchedule } from "./habitSchedule.js";
+import { normalizeMeasure } from "./habitMeasure.js";
+import { normalizeCategories } from "./categories.js";
+
+// Versioned shape of the persisted planner state, and the migrations that
+// bring older payloads up to date.
+//
+// Current shape (schemaVersion 10):
+// {
+//   schemaVersion: 10,
+//   selectedISO, view,
+//   habits: [{ id, name, active, schedule, measure?, timeOfDay? }],  // see lib/habitSchedule.js, lib/habitMeasure.js
+//   habitChecksByDate: { [iso]: { [habitId]: boolean | number } },
+//   eventsByDate: { [iso]: event[] },     // see App.jsx for the event model
+//   seriesById: { [id]: series },          // see lib/recurrence.js
+//   categories: [{ id, name, color }],     // see lib/categories.js
+//   templates: [{ id, name, kind, days }], // see lib/templates.js
+//   tasks: [task],                         // unscheduled, see lib/tasks.js
+// }
+//
+// Version history:
+//   1–3  tb_habits_v1..v3 keys, no version field. Shapes were never written
+//        down; they are read best-effort by picking out the fields we know.
+//   4    tb_habits_v4 key, no version field.
+//   5    version field, recurring series (seriesById).
+//   6    habit schedules (habits[].schedule).
+//   7    measurable habits (habits[].measure, numeric check values).
+//   8    named event categories (categories, events[].categoryId).
+//   9    day/week templates (templates).
+//   10   unscheduled task inbox (tasks).
+//
+// MIGRATIONS[n] upgrades a version-n payload to version n+1. Every step is a
+// pure function: it must not mutate its input.
+
+export const SCHEMA_VERSION = 10;
+
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+const VIEWS = ["day", "week", "month"];
+
+// Events without an id get a stable one derived from their position.
+function normalizeEvent(e, iso, i) {
+  if (!isObject(e)) return null;
+  const type = e.type === "habit" && e.habitId ? "habit" : "custom";
+  const startMin = Number(e.startMin);
+  if (!Number.isFinite(startMin)) return null;
+  return {
+    ...e,
+    id: String(e.id ?? `legacy-${iso}-${i}`),
+    type,
+    title: String(e.title ?? ""),
+    startMin,
+    durationMin: Math.max(5, Number(e.durationMin) || 30),
+    color: e.color ?? (type === "habit" ? "#bbf7d0" : "#93c5fd"),
+    notes: e.notes ?? "",
+  };
+}
+
+function normalizeEventsByDate(raw) {
+  const out = {};
+  if (!isObject(raw)) return out;
+  for (const [iso, list] of Object.entries(raw)) {
+    if (!Array.isArray(list)) continue;
+    out[iso] = list.map((e, i) => normalizeEvent(e, iso, i)).filter(Boolean);
+  }
+  return out;
+}
+
+function normalizeChecks(raw) {
+  const out = {};
+  if (!isObject(raw)) return out;
+  for (const [iso, row] of Object.entries(raw)) {
+    if (!isObject(row)) continue;
+    out[iso] = Object.fromEntries(Object.entries(row).map(([k, v]) => [k, !!v]));
+  }
+  return out;
+}
+
+function normalizeHabits(raw) {
+  if (!Array.isArray(raw)) return undefined;
+  return raw
+    .filter((h) => isObject(h) && h.id != null)
+    .map((h) => ({ ...h, id: String(h.id), name: String(h.name ?? ""), active: h.active !== false }));
+}
+
+// v1–v3 → v4: keep what looks like the v4 fields, drop the rest.
+function migrateLegacy(p) {
+  const out = {};
+  if (typeof p.selectedISO === "string") out.selectedISO = p.selectedISO;
+  if (VIEWS.includes(p.view)) out.view = p.view;
+  const habits = normalizeHabits(p.habits);
+  if (habits) out.habits = habits;
+  out.habitChecksByDate = normalizeChecks(p.habitChecksByDate ?? p.checksByDate ?? p.checks);
+  out.eventsByDate = normalizeEventsByDate(p.eventsByDate ?? p.events);
+  return out;
+}
+
+export const MIGRATIONS = {
+  1: migrateLegacy,
+  2: migrateLegacy,
+  3: migrateLegacy,
+  // v4 → v5: recurring series; fill in event defaults the UI has always assumed.
+  4: (p) => ({
+    ...p,
+    habits: normalizeHabits(p.habits) ?? p.habits,
+    habitChecksByDate: isObject(p.habitChecksByDate) ? p.habitChecksByDate : {},
+    eventsByDate: normalizeEventsByDate(p.eventsByDate),
+    seriesById: isObject(p.seriesById) ? p.seriesById : {},
+  }),
+  // v5 → v6: habit schedules; existing habits stay due every day. Entries
+  // that are not objects are dropped, as normalizeHabits does for older data.
+  5: (p) => ({
+    ...p,
+    habits: Array.isArray(p.habits)
+      ? p.habits.filter(isObject).map((h) => ({ ...h, schedule: normalizeSchedule(h.schedule) }))
+      : p.habits,
+  }),
+  // v6 → v7: measurable habits. Boolean check values stay valid as they are;
+  // only a malformed `measure` is cleaned up.
+  6: (p) => ({
+    ...p,
+    habits: Array.isArray(p.habits)
+      ? p.habits.filter(isObject).map((h) => {
+          const { measure, ...rest } = h;
+          const m = normalizeMeasure(measure);
+          return m ? { ...rest, measure: m } : rest;
+        })
+      : p.habits,
+  }),
+  // v7 → v8: event categories. Existing events stay uncategorized and keep
+  // their colors.
+  7: (p) => ({ ...p, categories: normalizeCategories(p.categories) }),
+  // v8 → v9: templates, none to start with.
+  8: (p) => ({ ...p, templates: Array.isArray(p.templates) ? p.templates : [] }),
+  // v9 → v10: task inbox, empty to start with.
+  9: (p) => ({ ...p, tasks: Array.isArray(p.tasks) ? p.tasks : [] }),
+};
+
+export class SchemaVersionError extends Error {
+  constructor(version) {
+    super(`Sparad data har schemaversion ${version}, men appen stöder bara upp till ${SCHEMA_VERSION}.`);
+    this.name = "SchemaVersionError";
+    this.version = version;
+  }
+}
+
+/**
+ * Upgrade `payload` (written at `fromVersion`) to SCHEMA_VERSION.
+ * Throws SchemaVersionError for payloads newer than this app.
+ */
+export function migratePayload(payload, fromVersion = payload?.schemaVersion) {
+  if (!isObject(payload)) throw new TypeError("Sparad data är inte ett objekt.");
+  const start = Number.isInteger(fromVersion) ? fromVersion : 4;
+  if (start > SCHEMA_VERSION) throw new SchemaVersionError(start);
+
+  let cur = payload;
+  for (let v = Math.max(1, start); v < SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`Migrering saknas för schemaversion ${v}.`);
+    cur = step(cur);
+  }
+  const { schemaVersion: _v, ...rest } = cur;
+  return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
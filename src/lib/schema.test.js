@@ -0,0 +1,176 @@
+import { describe, expect, it } from "vitest";
+import { MIGRATIONS, SCHEMA_VERSION, SchemaVersionError, migratePayload } from "./schema.js";
+import { LS_KEY, clearLocalState, loadPersistedState } from "./persistence.js";
+import { DEFAULT_CATEGORIES, UNCATEGORIZED_COLOR } from "./categories.js";
+
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (k) => map.get(k) ?? null,
+    setItem: (k, v) => map.set(k, v),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+// What the unversioned v1–v3 builds wrote, as far as we know.
+const LEGACY_FIXTURE = {
+  view: "week",
+  selectedISO: "2026-01-05",
+  habits: [{ id: 1, name: "Läsa" }, { name: "utan id" }, null],
+  checks: { "2026-01-05": { 1: 1 }, trasig: 5 },
+  events: {
+    "2026-01-05": [{ title: "Möte", startMin: "540" }, { title: "Ingen tid" }, "skräp"],
+    "2026-01-06": "skräp",
+  },
+  somethingElse: true,
+};
+
+const V4_FIXTURE = {
+  selectedISO: "2026-01-05",
+  view: "day",
+  habits: [{ id: "h1", name: "Läsa", active: true }],
+  habitChecksByDate: { "2026-01-05": { h1: true } },
+  eventsByDate: { "2026-01-05": [{ id: "e1", type: "habit", habitId: "h1", title: "Läsa", startMin: 480 }] },
+};
+
+describe("migratePayload", () => {
+  it.each([1, 2, 3])("upgrades a v%i payload, keeping the fields it recognizes", (version) => {
+    const p = migratePayload(LEGACY_FIXTURE, version);
+    expect(p.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(p).toMatchObject({ view: "week", selectedISO: "2026-01-05" });
+    expect(p.somethingElse).toBeUndefined();
+    expect(p.habits).toHaveLength(1);
+    expect(p.habits[0]).toMatchObject({ id: "1", name: "Läsa", active: true });
+    expect(p.habitChecksByDate).toEqual({ "2026-01-05": { 1: true } });
+    expect(p.eventsByDate["2026-01-05"]).toHaveLength(1);
+    expect(p.eventsByDate["2026-01-05"][0]).toMatchObject({
+      id: "legacy-2026-01-05-0",
+      type: "custom",
+      startMin: 540,
+      durationMin: 30,
+    });
+    expect(p.eventsByDate["2026-01-06"]).toBeUndefined();
+    expect(p.seriesById).toEqual({});
+  });
+
+  it("upgrades a v4 payload", () => {
+    const p = migratePayload(V4_FIXTURE, 4);
+    expect(p.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(p.habits[0]).toMatchObject({ id: "h1", name: "Läsa", active: true });
+    expect(p.habitChecksByDate).toEqual({ "2026-01-05": { h1: true } });
+    expect(p.eventsByDate["2026-01-05"][0]).toMatchObject({ id: "e1", type: "habit", durationMin: 30, notes: "" });
+    expect(p.seriesById).toEqual({});
+  });
+
+  it("treats a payload without a version as v4", () => {
+    expect(migratePayload(V4_FIXTURE)).toEqual(migratePayload(V4_FIXTURE, 4));
+  });
+
+  it("leaves a current payload as it is", () => {
+    const current = migratePayload(V4_FIXTURE, 4);
+    expect(migratePayload(current)).toEqual(current);
+  });
+
+  it("gives v5 habits a daily schedule and drops entries that are not objects", () => {
+    const p = migratePayload({ schemaVersion: 5, habits: [{ id: "h1", name: "Läsa", active: true }, null, "x"] });
+    expect(p.habits).toEqual([{ id: "h1", name: "Läsa", active: true, schedule: { kind: "daily" } }]);
+  });
+
+  it("cleans up v6 habit measures and drops entries that are not objects", () => {
+    const p = migratePayload({
+      schemaVersion: 6,
+      habits: [
+        { id: "h1", name: "Vatten", active: true, measure: { unit: " glas ", target: "8", step: -1 } },
+        { id: "h2", name: "Läsa", active: true, measure: "trasig" },
+        3,
+      ],
+    });
+    expect(p.habits).toHaveLength(2);
+    expect(p.habits[0].measure).toEqual({ unit: "glas", target: 8, step: 1 });
+    expect(p.habits[1].measure).toBeUndefined();
+  });
+
+  it("gives v7 payloads the default categories and cleans up stored ones", () => {
+    expect(migratePayload({ schemaVersion: 7 }).categories).toEqual(DEFAULT_CATEGORIES);
+    const p = migratePayload({ schemaVersion: 7, categories: [{ id: 1, name: " ", color: "röd" }, null] });
+    expect(p.categories).toEqual([{ id: "1", name: "Namnlös", color: UNCATEGORIZED_COLOR }]);
+  });
+
+  it("gives v8 payloads an empty template list", () => {
+    expect(migratePayload({ schemaVersion: 8 }).templates).toEqual([]);
+    expect(migratePayload({ schemaVersion: 8, templates: "trasig" }).templates).toEqual([]);
+  });
+
+  it("gives v9 payloads an empty task inbox", () => {
+    expect(migratePayload({ schemaVersion: 9 }).tasks).toEqual([]);
+    expect(migratePayload(LEGACY_FIXTURE, 1)).toMatchObject({ templates: [], tasks: [] });
+  });
+
+  it("does not mutate its input", () => {
+    const copy = structuredClone(LEGACY_FIXTURE);
+    migratePayload(LEGACY_FIXTURE, 1);
+    expect(LEGACY_FIXTURE).toEqual(copy);
+  });
+
+  it("rejects payloads newer than the app", () => {
+    expect(() => migratePayload({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(SchemaVersionError);
+  });
+
+  it("rejects non-objects", () => {
+    expect(() => migratePayload(null)).toThrow(TypeError);
+    expect(() => migratePayload([])).toThrow(TypeError);
+  });
+
+  it("has a migration for every version below the current one", () => {
+    for (let v = 1; v < SCHEMA_VERSION; v++) expect(typeof MIGRATIONS[v]).toBe("function");
+  });
+});
+
+describe("loadPersistedState", () => {
+  it("returns null when nothing is stored", () => {
+    expect(loadPersistedState(memoryStorage())).toBeNull();
+  });
+
+  it.each([
+    ["tb_habits_v1", LEGACY_FIXTURE],
+    ["tb_habits_v2", LEGACY_FIXTURE],
+    ["tb_habits_v3", LEGACY_FIXTURE],
+    ["tb_habits_v4", V4_FIXTURE],
+  ])("reads and migrates the legacy %s key", (key, fixture) => {
+    const p = loadPersistedState(memoryStorage({ [key]: JSON.stringify(fixture) }));
+    expect(p.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(p.habits[0]).toMatchObject({ name: "Läsa" });
+  });
+
+  it("prefers the versioned key, then the newest legacy key", () => {
+    const current = { ...migratePayload(V4_FIXTURE, 4), view: "month" };
+    const storage = memoryStorage({
+      tb_habits_v1: JSON.stringify(LEGACY_FIXTURE),
+      tb_habits_v4: JSON.stringify(V4_FIXTURE),
+    });
+    expect(loadPersistedState(storage).view).toBe("day");
+    storage.setItem(LS_KEY, JSON.stringify(current));
+    expect(loadPersistedState(storage).view).toBe("month");
+  });
+
+  it("throws on unreadable data instead of returning defaults", () => {
+    expect(() => loadPersistedState(memoryStorage({ [LS_KEY]: "{nope" }))).toThrow();
+    expect(() =>
+      loadPersistedState(memoryStorage({ [LS_KEY]: JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 }) }))
+    ).toThrow();
+  });
+});
+
+describe("clearLocalState", () => {
+  it("removes the current and every legacy key, and nothing else", () => {
+    const storage = memoryStorage({
+      [LS_KEY]: "{}",
+      tb_habits_v1: "{}",
+      tb_habits_v4: "{}",
+      tb_habits_snapshots: "{}",
+    });
+    clearLocalState(storage);
+    expect(loadPersistedState(storage)).toBeNull();
+    expect(storage.getItem("tb_habits_snapshots")).toBe("{}");
+  });
+});
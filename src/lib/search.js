@@ -0,0 +1,108 @@
+import { addDaysISO, diffDaysISO, isoRange, toISODate } from "./dates.js";
+import { occurrencesForDates } from "./recurrence.js";
+import { eventGroup } from "./categories.js";
+
+// Full-text search over the planner's events.
+//
+// filters = {
+//   from?, to?,                 // iso, inclusive; "" = open-ended
+//   type: "all"|"habit"|"custom",
+//   group: "" | "habit" | "none" | categoryId,   // see eventGroup()
+//   minDuration?, maxDuration?, // minutes; "" = no limit
+// }
+
+export const DEFAULT_FILTERS = { from: "", to: "", type: "all", group: "", minDuration: "", maxDuration: "" };
+
+// Recurring events have no end, so all their occurrences are only listed when
+// both ends of the date range are set and the range is at most this long.
+// Otherwise each matching series shows up once, at its occurrence nearest to
+// today: the next one, or the last one if it has ended.
+export const MAX_SERIES_RANGE_DAYS = 366;
+
+const fold = (s) => String(s ?? "").toLocaleLowerCase("sv");
+
+// Every word of the query must appear in the title or the notes.
+export function matchesQuery(evt, query) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = `${fold(evt.title)}\n${fold(evt.notes)}`;
+  return words.every((w) => text.includes(w));
+}
+
+function inRange(iso, { from, to }) {
+  return (!from || iso >= from) && (!to || iso <= to);
+}
+
+function limit(v) {
+  return v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+}
+
+export function seriesSearchable({ from, to }) {
+  return !!(from && to && from <= to && diffDaysISO(from, to) < MAX_SERIES_RANGE_DAYS);
+}
+
+// Every series' matching occurrence closest to `aroundISO`, looking up to
+// MAX_SERIES_RANGE_DAYS either way within the date range.
+function nearestOccurrences(seriesById, filters, aroundISO, matches) {
+  let from = addDaysISO(aroundISO, -MAX_SERIES_RANGE_DAYS);
+  let to = addDaysISO(aroundISO, MAX_SERIES_RANGE_DAYS);
+  if (filters.from && filters.from > from) from = filters.from;
+  if (filters.to && filters.to < to) to = filters.to;
+  if (from > to) return [];
+
+  const best = new Map();
+  const occ = occurrencesForDates(seriesById, isoRange(from, to));
+  for (const [iso, list] of Object.entries(occ)) {
+    for (const event of list) {
+      if (!matches(event)) continue;
+      const cur = best.get(event.seriesId);
+      // Upcoming beats past; then the closest one wins.
+      const better =
+        !cur ||
+        (iso >= aroundISO && (cur.iso < aroundISO || iso < cur.iso)) ||
+        (iso < aroundISO && cur.iso < aroundISO && iso > cur.iso);
+      if (better) best.set(event.seriesId, { iso, event, nearest: true });
+    }
+  }
+  return [...best.values()];
+}
+
+/**
+ * Events matching `query` and `filters`, ordered by date and time:
+ * [{ iso, event, nearest? }]. Stored events are searched on every date.
+ * Series occurrences are all listed when seriesSearchable(filters); otherwise
+ * each matching series gives its occurrence nearest to `todayISO`, marked
+ * `nearest: true`.
+ */
+export function searchEvents(
+  { eventsByDate, seriesById, categories },
+  query,
+  filters = DEFAULT_FILTERS,
+  todayISO = toISODate(new Date())
+) {
+  const min = limit(filters.minDuration);
+  const max = limit(filters.maxDuration);
+  const matches = (event) => {
+    if (filters.type !== "all" && event.type !== filters.type) return false;
+    if (filters.group && eventGroup(event, categories).key !== filters.group) return false;
+    if (min != null && event.durationMin < min) return false;
+    if (max != null && event.durationMin > max) return false;
+    return matchesQuery(event, query);
+  };
+
+  const results = [];
+  for (const [iso, list] of Object.entries(eventsByDate)) {
+    if (!inRange(iso, filters)) continue;
+    for (const event of list) if (matches(event)) results.push({ iso, event });
+  }
+  if (seriesSearchable(filters)) {
+    const occ = occurrencesForDates(seriesById, isoRange(filters.from, filters.to));
+    for (const [iso, list] of Object.entries(occ)) {
+      for (const event of list) if (matches(event)) results.push({ iso, event });
+    }
+  } else {
+    results.push(...nearestOccurrences(seriesById, filters, todayISO, matches));
+  }
+
+  return results.sort((a, b) => (a.iso === b.iso ? a.event.startMin - b.event.startMin : a.iso < b.iso ? -1 : 1));
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FILTERS, matchesQuery, searchEvents } from "./search.js";
+import { normalizeRepeat } from "./recurrence.js";
+
+// 2026-01-05 is a Monday.
+const TODAY = "2026-03-11";
+
+function series(id, title, startISO, repeat, extra = {}) {
+  return {
+    id,
+    type: "custom",
+    title,
+    startMin: 420,
+    durationMin: 60,
+    notes: "",
+    startISO,
+    repeat: normalizeRepeat(repeat, startISO),
+    exceptions: {},
+    ...extra,
+  };
+}
+
+const data = {
+  eventsByDate: {
+    "2026-01-07": [{ id: "e1", type: "custom", title: "Tandläkare", startMin: 540, durationMin: 45, notes: "Ta med kort" }],
+    "2026-02-02": [{ id: "e2", type: "custom", title: "Möte", startMin: 600, durationMin: 30, notes: "" }],
+  },
+  seriesById: {
+    gym: series("gym", "Gym", "2026-01-05", { freq: "weekly", weekdays: [1, 4] }),
+    kurs: series("kurs", "Spanskakurs", "2026-01-05", { freq: "weekly", weekdays: [1], end: "count", count: 4 }),
+  },
+  categories: [],
+};
+
+const search = (query, filters = DEFAULT_FILTERS) =>
+  searchEvents(data, query, { ...DEFAULT_FILTERS, ...filters }, TODAY).map((r) => [r.iso, r.event.title, !!r.nearest]);
+
+describe("matchesQuery", () => {
+  it("needs every word in the title or the notes, ignoring case", () => {
+    const evt = { title: "Tandläkare", notes: "Ta med kort" };
+    expect(matchesQuery(evt, "TANDLÄKARE kort")).toBe(true);
+    expect(matchesQuery(evt, "tandläkare kvitto")).toBe(false);
+  });
+});
+
+describe("searchEvents", () => {
+  it("finds stored events on any date", () => {
+    expect(search("kort")).toEqual([["2026-01-07", "Tandläkare", false]]);
+  });
+
+  it("finds a series without a date range, at its next occurrence", () => {
+    // 2026-03-11 is a Wednesday; the next Monday/Thursday is the 12th.
+    expect(search("gym")).toEqual([["2026-03-12", "Gym", true]]);
+  });
+
+  it("falls back to the last occurrence of a series that has ended", () => {
+    expect(search("spanska")).toEqual([["2026-01-26", "Spanskakurs", true]]);
+  });
+
+  it("keeps the nearest occurrence inside a half-open range", () => {
+    expect(search("gym", { to: "2026-02-01" })).toEqual([["2026-01-29", "Gym", true]]);
+    expect(search("gym", { from: "2026-06-01" })).toEqual([["2026-06-01", "Gym", true]]);
+  });
+
+  it("uses the occurrence's own title when an exception renamed it", () => {
+    const renamed = {
+      ...data,
+      seriesById: { gym: { ...data.seriesById.gym, exceptions: { "2026-03-16": { title: "Gym med Lisa" } } } },
+    };
+    const hits = searchEvents(renamed, "lisa", DEFAULT_FILTERS, TODAY);
+    expect(hits.map((r) => r.iso)).toEqual(["2026-03-16"]);
+  });
+
+  it("lists every occurrence when the date range is set", () => {
+    const hits = search("gym", { from: "2026-01-05", to: "2026-01-11" });
+    expect(hits).toEqual([
+      ["2026-01-05", "Gym", false],
+      ["2026-01-08", "Gym", false],
+    ]);
+  });
+
+  it("applies the filters to series too", () => {
+    expect(search("", { minDuration: "50" }).map(([, title]) => title)).toEqual(["Spanskakurs", "Gym"]);
+    expect(search("gym", { type: "habit" })).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+// Registration of the offline service worker (src/sw.js, emitted as sw.js by
+// vite.config.js). Production builds only; the dev server has no worker.
+
+// The app stays open all day, so look for a new deploy more often than the
+// browser's own daily check.
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Register the worker. When a new build has been installed and is waiting,
+ * onUpdateReady(apply) is called; apply() activates it and reloads the page.
+ * Returns a function that stops the update checks and removes the listeners.
+ */
+export function registerServiceWorker({ onUpdateReady }) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return () => {};
+  const base = import.meta.env.BASE_URL;
+  const sw = navigator.serviceWorker;
+  let stopped = false;
+  let interval = null;
+  let onVisible = null;
+
+  // Also fires on the very first install (clients.claim), which must not reload.
+  let updating = false;
+  const onControllerChange = () => {
+    if (updating) window.location.reload();
+  };
+  sw.addEventListener("controllerchange", onControllerChange);
+
+  const offer = (worker) =>
+    onUpdateReady(() => {
+      // Another tab may already have activated it.
+      if (worker.state === "activated") {
+        window.location.reload();
+        return;
+      }
+      updating = true;
+      worker.postMessage("skipWaiting");
+    });
+
+  sw.register(`${base}sw.js`, { scope: base })
+    .then((reg) => {
+      if (stopped) return;
+      if (reg.waiting && sw.controller) offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => {
+          if (!stopped && worker.state === "installed" && sw.controller) offer(worker);
+        });
+      });
+
+      const check = () => reg.update().catch(() => {});
+      interval = setInterval(check, UPDATE_CHECK_MS);
+      onVisible = () => {
+        if (document.visibilityState === "visible") check();
+      };
+      document.addEventListener("visibilitychange", onVisible);
+    })
+    .catch(() => {
+      // no offline support, e.g. not served over https
+    });
+
+  return () => {
+    stopped = true;
+    sw.removeEventListener("controllerchange", onControllerChange);
+    if (interval) clearInterval(interval);
+    if (onVisible) document.removeEventListener("visibilitychange", onVisible);
+  };
+}
@@ -0,0 +1,33 @@
+// Per-device preferences, kept in localStorage next to the planner data but
+// not part of it (not synced between tabs' data, not in backups).
+
+export const SETTINGS_KEY = "tb_habits_settings";
+
+export const DEFAULT_SETTINGS = {
+  // Check a habit for the day once its block on today's timeline has ended.
+  autoCheckHabitBlocks: false,
+  // Browser notifications, see lib/reminders.js. Events may override the
+  // two block defaults.
+  remindersEnabled: false,
+  reminderBeforeMin: 10, // null = no reminder before blocks
+  reminderAtEnd: false,
+  habitNudgeTime: "", // "HH:MM" for the unchecked-habits nudge, "" = off
+};
+
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === "object" ? stored : {}) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore; settings fall back to defaults next time
+  }
+}
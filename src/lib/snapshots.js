@@ -0,0 +1,135 @@
+import { toISODate } from "./dates.js";
+
+// Rolling local snapshots of the persisted state, plus a quarantine for stored
+// payloads that could not be loaded. Both live in localStorage next to LS_KEY.
+//
+// tb_habits_snapshots = {
+//   daily: [{ id, kind: "daily", takenAt, day, payload }],   // one per day, newest first
+//   edits: [{ id, kind: "edit", takenAt, payload }],          // newest first
+// }
+// tb_habits_quarantine = [{ id, key, raw, error, takenAt }]    // newest first
+
+export const SNAPSHOTS_KEY = "tb_habits_snapshots";
+export const QUARANTINE_KEY = "tb_habits_quarantine";
+
+export const MAX_DAILY_SNAPSHOTS = 7;
+export const MAX_EDIT_SNAPSHOTS = 20;
+const MAX_QUARANTINED = 5;
+
+function readJSON(storage, key, fallback) {
+  try {
+    const raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// localStorage holds about 5 million characters per origin in most browsers.
+// Snapshots get what is left once the main data has room to double, and never
+// more than MAX_SNAPSHOT_CHARS, so they cannot crowd out the main save.
+const STORAGE_QUOTA_CHARS = 5_000_000;
+export const MAX_SNAPSHOT_CHARS = 2_000_000;
+
+export function snapshotBudget(payloadChars) {
+  return Math.max(0, Math.min(MAX_SNAPSHOT_CHARS, STORAGE_QUOTA_CHARS - 2 * payloadChars));
+}
+
+// Next smaller store: oldest edits go first, then oldest daily snapshots, the
+// newest of each last. Null once nothing is left.
+function trimmed(store) {
+  if (store.edits.length > 1) return { ...store, edits: store.edits.slice(0, -1) };
+  if (store.daily.length > 1) return { ...store, daily: store.daily.slice(0, -1) };
+  if (store.edits.length > 0) return { ...store, edits: [] };
+  if (store.daily.length > 0) return { ...store, daily: [] };
+  return null;
+}
+
+// Writes the largest part of `store` that fits in `budget` characters and in
+// the storage quota; with no room at all the snapshots are removed.
+function writeSnapshots(storage, store, budget) {
+  let cur = store;
+  while (cur) {
+    const json = JSON.stringify(cur);
+    if (json.length <= budget) {
+      try {
+        storage.setItem(SNAPSHOTS_KEY, json);
+        return;
+      } catch {
+        // over the quota, try with less
+      }
+    }
+    cur = trimmed(cur);
+  }
+  storage.removeItem(SNAPSHOTS_KEY);
+}
+
+function readSnapshots(storage) {
+  const s = readJSON(storage, SNAPSHOTS_KEY, null);
+  return {
+    daily: Array.isArray(s?.daily) ? s.daily : [],
+    edits: Array.isArray(s?.edits) ? s.edits : [],
+  };
+}
+
+// Only the planner data counts as an edit, not selectedISO/view.
+function dataKey(payload) {
+  const { habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks } = payload;
+  return JSON.stringify({ habits, habitChecksByDate, eventsByDate, seriesById, categories, templates, tasks });
+}
+
+/**
+ * Record `payload` (the blob just saved under LS_KEY) as a rolling snapshot:
+ * one daily snapshot per calendar day, and an edit snapshot when the data
+ * differs from the last one.
+ */
+export function recordSnapshot(payload, { storage = localStorage, now = new Date() } = {}) {
+  const store = readSnapshots(storage);
+  const takenAt = now.toISOString();
+  const day = toISODate(now);
+  const key = dataKey(payload);
+  let changed = false;
+
+  if (store.daily[0]?.day !== day) {
+    store.daily = [{ id: `d-${day}`, kind: "daily", takenAt, day, payload }, ...store.daily].slice(
+      0,
+      MAX_DAILY_SNAPSHOTS
+    );
+    changed = true;
+  }
+
+  const last = store.edits[0];
+  if (!last || dataKey(last.payload) !== key) {
+    const entry = { id: `e-${now.getTime()}`, kind: "edit", takenAt, payload };
+    store.edits = [entry, ...store.edits].slice(0, MAX_EDIT_SNAPSHOTS);
+    changed = true;
+  }
+
+  if (changed) writeSnapshots(storage, store, snapshotBudget(JSON.stringify(payload).length));
+}
+
+// All snapshots, newest first.
+export function listSnapshots(storage = localStorage) {
+  const { daily, edits } = readSnapshots(storage);
+  return [...daily, ...edits].sort((a, b) => (a.takenAt < b.takenAt ? 1 : -1));
+}
+
+export function quarantinePayload(key, raw, error, { storage = localStorage, now = new Date() } = {}) {
+  const list = readJSON(storage, QUARANTINE_KEY, []);
+  if (Array.isArray(list) && list[0]?.key === key && list[0]?.raw === raw) return list[0];
+  const entry = {
+    id: `q-${now.getTime()}`,
+    key,
+    raw,
+    error: String(error?.message ?? error ?? ""),
+    takenAt: now.toISOString(),
+  };
+  const next = [entry, ...(Array.isArray(list) ? list : [])].slice(0, MAX_QUARANTINED);
+  storage.setItem(QUARANTINE_KEY, JSON.stringify(next));
+  return entry;
+}
+
+export function listQuarantined(storage = localStorage) {
+  const list = readJSON(storage, QUARANTINE_KEY, []);
+  return Array.isArray(list) ? list : [];
+}
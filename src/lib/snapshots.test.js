@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_DAILY_SNAPSHOTS,
+  MAX_SNAPSHOT_CHARS,
+  SNAPSHOTS_KEY,
+  listQuarantined,
+  listSnapshots,
+  quarantinePayload,
+  recordSnapshot,
+  snapshotBudget,
+} from "./snapshots.js";
+
+// In-memory localStorage with a quota shared by all keys.
+function memoryStorage(quota = 5_000_000) {
+  const items = new Map();
+  return {
+    getItem: (k) => items.get(k) ?? null,
+    setItem(k, v) {
+      let used = 0;
+      for (const [key, value] of items) if (key !== k) used += value.length;
+      if (used + v.length > quota) throw new Error("QuotaExceededError");
+      items.set(k, v);
+    },
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+const payload = (extra) => ({
+  habits: [],
+  habitChecksByDate: {},
+  eventsByDate: {},
+  seriesById: {},
+  categories: [],
+  templates: [],
+  tasks: [],
+  ...extra,
+});
+
+describe("recordSnapshot", () => {
+  it("takes an edit snapshot only when the planner data changes", () => {
+    const storage = memoryStorage();
+    const now = new Date(2026, 0, 5, 12);
+    recordSnapshot(payload(), { storage, now });
+    recordSnapshot(payload({ selectedISO: "2026-01-06", view: "day" }), { storage, now });
+    recordSnapshot(payload({ habits: [{ id: "h" }] }), { storage, now });
+    recordSnapshot(payload({ habits: [{ id: "h" }], seriesById: { s: {} } }), { storage, now });
+    recordSnapshot(payload({ habits: [{ id: "h" }], seriesById: { s: {} }, categories: [{ id: "c" }] }), { storage, now });
+    const lists = { categories: [{ id: "c" }], templates: [{ id: "t" }] };
+    recordSnapshot(payload({ habits: [{ id: "h" }], seriesById: { s: {} }, ...lists }), { storage, now });
+    recordSnapshot(payload({ habits: [{ id: "h" }], seriesById: { s: {} }, ...lists, tasks: [{ id: "u" }] }), { storage, now });
+    expect(listSnapshots(storage).filter((s) => s.kind === "edit")).toHaveLength(6);
+  });
+
+  it("keeps one daily snapshot per day, up to the limit", () => {
+    const storage = memoryStorage();
+    for (let i = 0; i < MAX_DAILY_SNAPSHOTS + 3; i++) {
+      recordSnapshot(payload(), { storage, now: new Date(2026, 0, 1 + i, 9) });
+      recordSnapshot(payload(), { storage, now: new Date(2026, 0, 1 + i, 18) });
+    }
+    const daily = listSnapshots(storage).filter((s) => s.kind === "daily");
+    expect(daily).toHaveLength(MAX_DAILY_SNAPSHOTS);
+    expect(daily[0].day).toBe(`2026-01-${String(MAX_DAILY_SNAPSHOTS + 3).padStart(2, "0")}`);
+  });
+
+  it("stays within its size budget", () => {
+    const storage = memoryStorage();
+    const big = "x".repeat(300_000);
+    for (let i = 0; i < 30; i++) {
+      recordSnapshot(payload({ habits: [{ id: String(i), name: big }] }), { storage, now: new Date(2026, 0, 1 + i, 12) });
+    }
+    const stored = storage.getItem(SNAPSHOTS_KEY);
+    expect(stored.length).toBeLessThanOrEqual(MAX_SNAPSHOT_CHARS);
+    expect(listSnapshots(storage).length).toBeGreaterThan(0);
+  });
+
+  it("stores nothing when the data leaves no headroom", () => {
+    const storage = memoryStorage();
+    recordSnapshot(payload({ habits: [{ id: "h", name: "x".repeat(2_600_000) }] }), { storage });
+    expect(storage.getItem(SNAPSHOTS_KEY)).toBeNull();
+    expect(snapshotBudget(2_600_000)).toBe(0);
+  });
+});
+
+describe("quarantinePayload", () => {
+  it("keeps the raw text and does not duplicate the same payload", () => {
+    const storage = memoryStorage();
+    const now = new Date(2026, 0, 5, 12);
+    quarantinePayload("tb_habits", "{trasig", new SyntaxError("Unexpected token"), { storage, now });
+    quarantinePayload("tb_habits", "{trasig", new SyntaxError("Unexpected token"), { storage, now });
+    const list = listQuarantined(storage);
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ key: "tb_habits", raw: "{trasig", error: "Unexpected token" });
+  });
+});
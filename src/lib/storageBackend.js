@@ -0,0 +1,41 @@
+import { clearLocalState, localStorageAdapter } from "./persistence.js";
+import { indexedDBAdapter } from "./idbStorage.js";
+
+// Which storage adapter the planner persists through. The choice itself is
+// kept in localStorage; IndexedDB is the default where the browser has it.
+
+export const BACKEND_KEY = "tb_habits_backend";
+
+export const STORAGE_BACKENDS = [
+  { value: "indexedDB", label: "IndexedDB" },
+  { value: "localStorage", label: "localStorage" },
+];
+
+export const hasIndexedDB = () => typeof indexedDB !== "undefined";
+
+export function getBackendPreference() {
+  let pref = null;
+  try {
+    pref = localStorage.getItem(BACKEND_KEY);
+  } catch {
+    // ignore
+  }
+  if (pref === "localStorage") return pref;
+  return hasIndexedDB() ? "indexedDB" : "localStorage";
+}
+
+export function createStorageAdapter(name) {
+  return name === "indexedDB" && hasIndexedDB() ? indexedDBAdapter : localStorageAdapter;
+}
+
+/**
+ * Copy `payload` into the `name` backend and make it the preferred one.
+ * Data left in the old backend is cleared (localStorage) or becomes inactive.
+ */
+export async function switchStorageBackend(name, payload) {
+  const adapter = createStorageAdapter(name);
+  await adapter.save(payload, null);
+  localStorage.setItem(BACKEND_KEY, adapter.name);
+  if (adapter.name === "indexedDB") clearLocalState();
+  return adapter;
+}
@@ -0,0 +1,145 @@
+// Live sync between tabs. After each save a tab broadcasts what it changed,
+// and other tabs merge that into their own state:
+//   - events: per day (the whole day's list is replaced)
+//   - checks: per day and habit
+//   - series: per series id
+//   - habits, categories, templates, tasks: the whole list
+// so concurrent edits to different days or habits don't clobber each other.
+//
+// changes = {
+//   habits?,                                   // full list, only if it changed
+//   categories?,                               // full list, only if it changed
+//   templates?,                                // full list, only if it changed
+//   tasks?,                                    // full list, only if it changed
+//   series: { [id]: series | null },
+//   events: { [iso]: event[] | null },
+//   checks: { [iso]: { [habitId]: value | null } },
+// }
+
+export const SYNC_CHANNEL = "timeboxing-habits-sync";
+// Fallback for browsers without BroadcastChannel (delivered via "storage" events).
+const SYNC_STORAGE_KEY = "tb_habits_sync";
+
+function diffKeyed(prev = {}, next = {}) {
+  const out = {};
+  for (const k of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (prev[k] !== next[k]) out[k] = next[k] ?? null;
+  }
+  return out;
+}
+
+function diffChecks(prev = {}, next = {}) {
+  const out = {};
+  for (const iso of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    const a = prev[iso] ?? {};
+    const b = next[iso] ?? {};
+    if (a === b) continue;
+    const row = {};
+    for (const hid of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (a[hid] !== b[hid]) row[hid] = b[hid] ?? null;
+    }
+    if (Object.keys(row).length > 0) out[iso] = row;
+  }
+  return out;
+}
+
+// What changed between two saved payloads, or null if nothing did.
+export function diffPayload(prev, next) {
+  if (!prev || !next) return null;
+  const changes = {
+    series: diffKeyed(prev.seriesById, next.seriesById),
+    events: diffKeyed(prev.eventsByDate, next.eventsByDate),
+    checks: diffChecks(prev.habitChecksByDate, next.habitChecksByDate),
+  };
+  if (prev.habits !== next.habits) changes.habits = next.habits;
+  if (prev.categories !== next.categories) changes.categories = next.categories;
+  if (prev.templates !== next.templates) changes.templates = next.templates;
+  if (prev.tasks !== next.tasks) changes.tasks = next.tasks;
+  const empty =
+    !changes.habits &&
+    !changes.categories &&
+    !changes.templates &&
+    !changes.tasks &&
+    Object.keys(changes.series).length === 0 &&
+    Object.keys(changes.events).length === 0 &&
+    Object.keys(changes.checks).length === 0;
+  return empty ? null : changes;
+}
+
+function applyKeyed(cur, patch) {
+  if (!patch || Object.keys(patch).length === 0) return cur;
+  const next = { ...cur };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v == null) delete next[k];
+    else next[k] = v;
+  }
+  return next;
+}
+
+export function applyEventChanges(eventsByDate, changes) {
+  return applyKeyed(eventsByDate, changes.events);
+}
+
+export function applySeriesChanges(seriesById, changes) {
+  return applyKeyed(seriesById, changes.series);
+}
+
+export function applyCheckChanges(habitChecksByDate, changes) {
+  if (!changes.checks || Object.keys(changes.checks).length === 0) return habitChecksByDate;
+  const next = { ...habitChecksByDate };
+  for (const [iso, row] of Object.entries(changes.checks)) {
+    next[iso] = applyKeyed(next[iso] ?? {}, row);
+  }
+  return next;
+}
+
+// Apply `changes` to a saved payload (or any object with the same fields).
+export function applyChanges(payload, changes) {
+  return {
+    ...payload,
+    habits: changes.habits ?? payload.habits,
+    categories: changes.categories ?? payload.categories,
+    templates: changes.templates ?? payload.templates,
+    tasks: changes.tasks ?? payload.tasks,
+    habitChecksByDate: applyCheckChanges(payload.habitChecksByDate ?? {}, changes),
+    eventsByDate: applyEventChanges(payload.eventsByDate ?? {}, changes),
+    seriesById: applySeriesChanges(payload.seriesById ?? {}, changes),
+  };
+}
+
+/**
+ * Open the cross-tab channel. onChanges(changes) is called for every change
+ * another tab broadcasts. Returns { post(changes), close() }.
+ */
+export function createSyncChannel(onChanges) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channel.onmessage = (e) => {
+      if (e.data?.type === "changes") onChanges(e.data.changes);
+    };
+    return {
+      post: (changes) => channel.postMessage({ type: "changes", changes }),
+      close: () => channel.close(),
+    };
+  }
+
+  const onStorage = (e) => {
+    if (e.key !== SYNC_STORAGE_KEY || !e.newValue) return;
+    try {
+      onChanges(JSON.parse(e.newValue).changes);
+    } catch {
+      // ignore malformed messages
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post: (changes) => {
+      try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ changes, at: Date.now(), nonce: Math.random() }));
+      } catch {
+        // ignore
+      }
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
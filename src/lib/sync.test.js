@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { applyChanges, diffPayload } from "./sync.js";
+
+const base = {
+  habits: [{ id: "h1" }],
+  categories: [],
+  templates: [],
+  tasks: [],
+  habitChecksByDate: { "2026-01-05": { h1: true } },
+  eventsByDate: { "2026-01-05": [{ id: "e1" }] },
+  seriesById: { s1: { id: "s1" } },
+};
+
+describe("diffPayload / applyChanges", () => {
+  it("reports nothing for identical payloads or without a previous save", () => {
+    expect(diffPayload(base, { ...base })).toBeNull();
+    expect(diffPayload(null, base)).toBeNull();
+  });
+
+  it("round-trips per-day, per-habit and per-series changes", () => {
+    const next = {
+      ...base,
+      tasks: [{ id: "t1" }],
+      habitChecksByDate: { "2026-01-05": {}, "2026-01-06": { h1: 3 } },
+      eventsByDate: { "2026-01-06": [{ id: "e2" }] },
+      seriesById: {},
+    };
+    const changes = diffPayload(base, next);
+    expect(changes.habits).toBeUndefined();
+    expect(changes.tasks).toEqual([{ id: "t1" }]);
+    expect(changes.events).toEqual({ "2026-01-05": null, "2026-01-06": [{ id: "e2" }] });
+    expect(changes.checks).toEqual({ "2026-01-05": { h1: null }, "2026-01-06": { h1: 3 } });
+    expect(changes.series).toEqual({ s1: null });
+    expect(applyChanges(base, changes)).toEqual(next);
+  });
+
+  it("sends the whole habit, category and template lists when they changed", () => {
+    const habits = [...base.habits, { id: "h2" }];
+    expect(diffPayload(base, { ...base, habits }).habits).toBe(habits);
+    const categories = [{ id: "c1" }];
+    const changes = diffPayload(base, { ...base, categories });
+    expect(changes.categories).toBe(categories);
+    expect(applyChanges(base, changes).categories).toBe(categories);
+    const templates = [{ id: "t1" }];
+    expect(diffPayload(base, { ...base, templates }).templates).toBe(templates);
+  });
+
+  it("leaves other days alone when merging into a tab with its own edits", () => {
+    const other = { ...base, eventsByDate: { ...base.eventsByDate, "2026-01-07": [{ id: "mine" }] } };
+    const changes = diffPayload(base, { ...base, eventsByDate: { "2026-01-05": [] } });
+    expect(applyChanges(other, changes).eventsByDate).toEqual({ "2026-01-05": [], "2026-01-07": [{ id: "mine" }] });
+  });
+});
@@ -0,0 +1,82 @@
+// Unscheduled tasks (the inbox), part of the planner state:
+//
+//   tasks: [{
+//     id, title,
+//     estimateMin,            // planned duration once scheduled
+//     priority: "high" | "normal" | "low",
+//     dueISO,                 // iso or null
+//     notes,
+//     timeOfDay?,             // preferred time for the auto-planner, see lib/autoSchedule.js
+//     categoryId?,            // kept when a categorized event goes back to the inbox
+//   }]
+//
+// Dropping a task on the timeline turns it into a custom event that remembers
+// where it came from in `task: { priority, dueISO, timeOfDay }`, so dragging it back
+// restores the task as it was.
+
+export const PRIORITIES = [
+  { value: "high", label: "Hög" },
+  { value: "normal", label: "Normal" },
+  { value: "low", label: "Låg" },
+];
+
+export const DEFAULT_ESTIMATE_MIN = 30;
+
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+export function normalizeTask(t) {
+  const task = {
+    id: String(t.id),
+    title: String(t.title ?? "").trim(),
+    estimateMin: Math.max(5, Math.round(Number(t.estimateMin) || DEFAULT_ESTIMATE_MIN)),
+    priority: PRIORITY_RANK[t.priority] != null ? t.priority : "normal",
+    dueISO: t.dueISO || null,
+    notes: t.notes ?? "",
+  };
+  if (t.timeOfDay) task.timeOfDay = t.timeOfDay;
+  if (t.categoryId) task.categoryId = t.categoryId;
+  return task;
+}
+
+export function isOverdue(task, todayISO) {
+  return !!task.dueISO && task.dueISO < todayISO;
+}
+
+// Overdue first, then by priority, then by due date (none last), then title.
+export function sortTasks(tasks, todayISO) {
+  return [...tasks].sort(
+    (a, b) =>
+      Number(isOverdue(b, todayISO)) - Number(isOverdue(a, todayISO)) ||
+      PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+      (a.dueISO ?? "9999").localeCompare(b.dueISO ?? "9999") ||
+      a.title.localeCompare(b.title, "sv")
+  );
+}
+
+export function taskToEvent(task, { id, startMin, color }) {
+  const evt = {
+    id,
+    type: "custom",
+    title: task.title,
+    startMin,
+    durationMin: task.estimateMin,
+    color,
+    notes: task.notes ?? "",
+    task: { priority: task.priority, dueISO: task.dueISO, timeOfDay: task.timeOfDay },
+  };
+  if (task.categoryId) evt.categoryId = task.categoryId;
+  return evt;
+}
+
+export function eventToTask(evt, id) {
+  return normalizeTask({
+    id,
+    title: evt.title,
+    estimateMin: evt.durationMin,
+    priority: evt.task?.priority,
+    dueISO: evt.task?.dueISO,
+    timeOfDay: evt.task?.timeOfDay,
+    notes: evt.notes,
+    categoryId: evt.categoryId,
+  });
+}
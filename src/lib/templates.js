@@ -0,0 +1,101 @@
+import { isoRange, parseISODate, periodRange } from "./dates.js";
+
+// Reusable day and week templates, part of the planner state:
+//
+//   templates: [{
+//     id, name,
+//     kind: "day" | "week",
+//     days: [block[]],    // 1 entry for a day template, 7 (Monday first) for a week
+//   }]
+//   block = { type, habitId?, title, startMin, durationMin, color, categoryId?, notes }
+//
+// Blocks are events without anything tied to a date: no id, series link,
+// .ics UID or logged time.
+
+export const TEMPLATE_KINDS = [
+  { value: "day", label: "Dag" },
+  { value: "week", label: "Vecka" },
+];
+
+export const TEMPLATE_MODES = [
+  { value: "merge", label: "Slå ihop" },
+  { value: "replace", label: "Ersätt" },
+];
+
+export function templateBlock(evt) {
+  const block = {
+    type: evt.type === "habit" ? "habit" : "custom",
+    title: evt.title ?? "",
+    startMin: evt.startMin,
+    durationMin: evt.durationMin,
+    color: evt.color,
+    notes: evt.notes ?? "",
+  };
+  if (block.type === "habit") block.habitId = evt.habitId;
+  if (evt.categoryId) block.categoryId = evt.categoryId;
+  return block;
+}
+
+/**
+ * Template from the day or ISO week around `anchorISO`.
+ * getEventsForDay(iso) should include series occurrences.
+ */
+export function buildTemplate({ id, name, kind, anchorISO, getEventsForDay }) {
+  const [from, to] = periodRange(kind === "week" ? "week" : "day", anchorISO);
+  const days = isoRange(from, to).map((iso) =>
+    getEventsForDay(iso)
+      .map(templateBlock)
+      .sort((a, b) => a.startMin - b.startMin)
+  );
+  return { id, name, kind: kind === "week" ? "week" : "day", days };
+}
+
+// The template's blocks for `iso`: a week template by weekday.
+export function templateDayFor(template, iso) {
+  if (template.kind !== "week") return template.days[0] ?? [];
+  const weekday = (parseISODate(iso).getDay() + 6) % 7; // Monday = 0
+  return template.days[weekday] ?? [];
+}
+
+export function blockCount(template) {
+  return template.days.reduce((n, d) => n + d.length, 0);
+}
+
+const overlaps = (a, b) => a.startMin < b.startMin + b.durationMin && b.startMin < a.startMin + a.durationMin;
+
+/**
+ * What applying `template` to `isos` would do, per date:
+ * [{ iso, add: block[], remove: event[], skipped: [{ block, reason }], conflicts: [{ block, event }] }]
+ *
+ * - replace: every existing event on the date (stored or series occurrence) is removed
+ * - merge: existing events stay; blocks that overlap them are reported as conflicts
+ *   but still added
+ * Habit blocks are skipped for habits that no longer exist, and in merge mode
+ * for habits that already have a block that day.
+ */
+export function planTemplate({ template, isos, mode, getEventsForDay, habits }) {
+  const habitIds = new Set(habits.map((h) => h.id));
+  return [...new Set(isos)].sort().map((iso) => {
+    const existing = getEventsForDay(iso);
+    const kept = mode === "replace" ? [] : existing;
+    const blockedHabits = new Set(kept.filter((e) => e.type === "habit").map((e) => e.habitId));
+    const add = [];
+    const skipped = [];
+    const conflicts = [];
+
+    for (const block of templateDayFor(template, iso)) {
+      if (block.type === "habit" && !habitIds.has(block.habitId)) {
+        skipped.push({ block, reason: "Vanan finns inte längre" });
+        continue;
+      }
+      if (block.type === "habit" && blockedHabits.has(block.habitId)) {
+        skipped.push({ block, reason: "Vanan har redan ett block" });
+        continue;
+      }
+      for (const event of kept) if (overlaps(block, event)) conflicts.push({ block, event });
+      add.push(block);
+    }
+
+    return { iso, add, remove: mode === "replace" ? existing : [], skipped, conflicts };
+  });
+}
@@ -0,0 +1,120 @@
+// Planned vs. actual time. Events can carry an actual log next to the plan:
+//   actualStartMin?, actualEndMin?   // minutes since midnight, null = not set
+//   actualMin?                       // focus timer minutes, added up per session
+// Start/stop and manual start/end only set the start/end fields, so neither
+// source overwrites the other.
+
+// A block counts as overrun when it took this much longer than planned.
+export const OVERRUN_RATIO = 1.1;
+
+export function nowMinutes(d = new Date()) {
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+// End before start means the block ran past midnight.
+export function spanMinutes(startMin, endMin) {
+  const d = endMin - startMin;
+  return d >= 0 ? d : d + 24 * 60;
+}
+
+export function loggedSpanMinutes(evt) {
+  if (Number.isFinite(evt.actualStartMin) && Number.isFinite(evt.actualEndMin)) {
+    return spanMinutes(evt.actualStartMin, evt.actualEndMin);
+  }
+  return null;
+}
+
+// Focus sessions usually happen inside the logged start/end, so the two are
+// not added up: the larger one counts.
+export function actualMinutes(evt) {
+  const span = loggedSpanMinutes(evt);
+  const focus = Number.isFinite(evt.actualMin) ? evt.actualMin : null;
+  if (span == null) return focus;
+  return focus == null ? span : Math.max(span, focus);
+}
+
+export function isTracking(evt) {
+  return Number.isFinite(evt.actualStartMin) && !Number.isFinite(evt.actualEndMin);
+}
+
+// Blocks with the same title are treated as the same kind of work.
+const titleKey = (title) => String(title ?? "").trim().toLowerCase();
+
+/**
+ * Compare planned and actual minutes for `entries` ([{ iso, event }]).
+ * categoryOf(event) → { key, label, color } groups the per-category totals.
+ *
+ * Returns {
+ *   rows: [{ iso, event, planned, actual, variance, overrun }],   // by date and time
+ *   categories: [{ key, label, color, planned, actual, trackedPlanned }],
+ *   total: { planned, actual, trackedPlanned, tracked, untracked },
+ *   underestimated: [{ title, count, overruns, avgPlanned, avgActual }],
+ * }
+ * `planned` covers every block; `trackedPlanned` only blocks with an actual
+ * time, which is the fair number to compare `actual` with. A title is
+ * "usually underestimated" when most of its (at least two) tracked blocks
+ * overran.
+ */
+export function buildTimeReport(entries, categoryOf) {
+  const rows = [...entries]
+    .sort((a, b) => (a.iso === b.iso ? a.event.startMin - b.event.startMin : a.iso < b.iso ? -1 : 1))
+    .map(({ iso, event }) => {
+      const planned = Number(event.durationMin) || 0;
+      const actual = actualMinutes(event);
+      return {
+        iso,
+        event,
+        planned,
+        actual,
+        variance: actual == null ? null : actual - planned,
+        overrun: actual != null && actual > planned * OVERRUN_RATIO,
+      };
+    });
+
+  const categories = new Map();
+  const total = { planned: 0, actual: 0, trackedPlanned: 0, tracked: 0, untracked: 0 };
+  const byTitle = new Map();
+
+  for (const r of rows) {
+    const cat = categoryOf(r.event);
+    if (!categories.has(cat.key)) categories.set(cat.key, { ...cat, planned: 0, actual: 0, trackedPlanned: 0 });
+    const c = categories.get(cat.key);
+    c.planned += r.planned;
+    total.planned += r.planned;
+    if (r.actual == null) {
+      total.untracked += 1;
+      continue;
+    }
+    c.actual += r.actual;
+    c.trackedPlanned += r.planned;
+    total.actual += r.actual;
+    total.trackedPlanned += r.planned;
+    total.tracked += 1;
+
+    const k = titleKey(r.event.title);
+    if (!byTitle.has(k)) byTitle.set(k, { title: r.event.title, count: 0, overruns: 0, planned: 0, actual: 0 });
+    const t = byTitle.get(k);
+    t.count += 1;
+    t.planned += r.planned;
+    t.actual += r.actual;
+    if (r.overrun) t.overruns += 1;
+  }
+
+  const underestimated = [...byTitle.values()]
+    .filter((t) => t.count >= 2 && t.overruns / t.count > 0.5)
+    .map((t) => ({
+      title: t.title,
+      count: t.count,
+      overruns: t.overruns,
+      avgPlanned: Math.round(t.planned / t.count),
+      avgActual: Math.round(t.actual / t.count),
+    }))
+    .sort((a, b) => b.avgActual / b.avgPlanned - a.avgActual / a.avgPlanned);
+
+  return {
+    rows,
+    categories: [...categories.values()].sort((a, b) => b.planned - a.planned),
+    total,
+    underestimated,
+  };
+}
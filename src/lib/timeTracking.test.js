@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { actualMinutes, buildTimeReport, spanMinutes } from "./timeTracking.js";
+
+describe("actualMinutes", () => {
+  it("uses the logged start/end, past midnight too", () => {
+    expect(spanMinutes(23 * 60 + 30, 30)).toBe(60);
+    expect(actualMinutes({ actualStartMin: 540, actualEndMin: 600 })).toBe(60);
+  });
+
+  it("does not let focus minutes and the start/end log overwrite each other", () => {
+    expect(actualMinutes({ actualMin: 25 })).toBe(25);
+    expect(actualMinutes({ actualStartMin: 540, actualEndMin: 600, actualMin: 25 })).toBe(60);
+    expect(actualMinutes({ actualStartMin: 540, actualEndMin: 560, actualMin: 50 })).toBe(50);
+    expect(actualMinutes({ actualStartMin: 540 })).toBeNull();
+  });
+});
+
+describe("buildTimeReport", () => {
+  it("compares actual time only with the plan of tracked blocks", () => {
+    const cat = () => ({ key: "c", label: "C", color: "#000" });
+    const report = buildTimeReport(
+      [
+        { iso: "2026-01-05", event: { title: "Skriva", startMin: 540, durationMin: 60, actualMin: 90 } },
+        { iso: "2026-01-06", event: { title: "skriva ", startMin: 540, durationMin: 60, actualStartMin: 540, actualEndMin: 620 } },
+        { iso: "2026-01-06", event: { title: "Möte", startMin: 600, durationMin: 30 } },
+      ],
+      cat
+    );
+    expect(report.total).toMatchObject({ planned: 150, actual: 170, trackedPlanned: 120, tracked: 2, untracked: 1 });
+    expect(report.rows[0]).toMatchObject({ variance: 30, overrun: true });
+    expect(report.underestimated).toHaveLength(1);
+    expect(report.underestimated[0]).toMatchObject({ count: 2, overruns: 2 });
+  });
+});
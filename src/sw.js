@@ -0,0 +1,51 @@
+/* global __BUILD_ID__, __PRECACHE_URLS__ */
+// Service worker template, not part of the app bundle: vite.config.js fills in
+// the build id and the list of built files and emits it as sw.js, so every
+// deploy ships a new worker.
+//
+// The built app is cached on install and served cache-first, which lets it
+// start offline. A new worker waits until the page asks it to take over (the
+// "update available" prompt, see lib/serviceWorker.js).
+
+const CACHE_PREFIX = "tb-habits-";
+const CACHE = `${CACHE_PREFIX}${__BUILD_ID__}`;
+const INDEX_URL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(__PRECACHE_URLS__.map((url) => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+// Reminders are shown through the worker (see lib/reminders.js); clicking one
+// brings the app forward, or opens it if no window is left.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => w.url.startsWith(self.registration.scope));
+      return open ? open.focus() : self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  // Only this build's cache: while a new worker waits, both caches exist.
+  const cached = caches.open(CACHE).then((cache) => cache.match(req.mode === "navigate" ? INDEX_URL : req));
+  event.respondWith(cached.then((hit) => hit ?? fetch(req)));
+});
@@ -1,12 +1,61 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import path from "path";
+import fs from "fs";
+import { createHash } from "crypto";
+
+// Emits src/sw.js as sw.js with the list of built and public files to
+// precache, and a build id taken from their contents so each deploy with
+// changes gets a new worker (see src/lib/serviceWorker.js).
+function serviceWorker() {
+  let base = "/";
+  let publicDir = "";
+  return {
+    name: "service-worker",
+    apply: "build",
+    configResolved(config) {
+      base = config.base;
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      // index.html is only added to the bundle after this hook
+      const hash = createHash("sha256").update(fs.readFileSync(new URL("./index.html", import.meta.url)));
+      const files = [];
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (fileName.endsWith(".map")) continue;
+        files.push(fileName);
+        hash.update(fileName).update(output.type === "chunk" ? output.code : output.source);
+      }
+      if (publicDir && fs.existsSync(publicDir)) {
+        for (const entry of fs.readdirSync(publicDir, { recursive: true })) {
+          const file = path.join(publicDir, entry);
+          if (!fs.statSync(file).isFile()) continue;
+          const fileName = entry.split(path.sep).join("/");
+          files.push(fileName);
+          hash.update(fileName).update(fs.readFileSync(file));
+        }
+      }
+
+      const urls = [...new Set([base, `${base}index.html`, ...files.sort().map((f) => base + f)])];
+      const source = fs
+        .readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace(/^\/\* global .*\*\/\n/, "")
+        .replaceAll("__BUILD_ID__", JSON.stringify(hash.digest("hex").slice(0, 12)))
+        .replaceAll("__PRECACHE_URLS__", JSON.stringify(urls));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),
     },
   },
+  test: {
+    // Fixed zone so date and daylight-saving tests give the same result everywhere.
+    env: { TZ: "Europe/Stockholm" },
+  },
 });